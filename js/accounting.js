@@ -0,0 +1,317 @@
+// js/accounting.js
+
+/**
+ * Accounting Module — chart of accounts, double-entry journal, GL exports
+ * Turns the dashboard's books into balanced journal entries the
+ * accountant can import instead of retyping:
+ *
+ *   revenue  — Dr Checking, Cr the income account for its category; a
+ *              payment on an invoice (invoiceId) clears Accounts
+ *              Receivable instead, since the invoice already booked it
+ *   expense  — Dr the expense account for its category, Cr Checking
+ *   invoice  — once sent: Dr Accounts Receivable, Cr Services Income for
+ *              the total after discount, Cr Sales Tax Payable for the tax
+ *   order    — merch store orders: Dr Checking, Cr Online Store Sales
+ *              (cancelled and refunded orders are left out)
+ *
+ * Amounts are in the reporting currency at the rate on each entry's date
+ * (js/currency.js). Exports are QuickBooks Desktop IIF (general journal
+ * transactions plus the account list) and a generic general-ledger CSV,
+ * one row per debit or credit.
+ */
+
+const Accounting = {
+  /** Chart of accounts; type is the QuickBooks IIF account type */
+  ACCOUNTS: [
+    { number: '1000', name: 'Checking', type: 'BANK' },
+    { number: '1200', name: 'Accounts Receivable', type: 'AR' },
+    { number: '2200', name: 'Sales Tax Payable', type: 'OCLIAB' },
+    { number: '3000', name: 'Owner\'s Equity', type: 'EQUITY' },
+    { number: '4000', name: 'Performance Fees', type: 'INC' },
+    { number: '4100', name: 'Royalty Income', type: 'INC' },
+    { number: '4200', name: 'Merchandise Sales', type: 'INC' },
+    { number: '4250', name: 'Online Store Sales', type: 'INC' },
+    { number: '4300', name: 'Licensing Income', type: 'INC' },
+    { number: '4400', name: 'Publishing Income', type: 'INC' },
+    { number: '4500', name: 'Sponsorship Income', type: 'INC' },
+    { number: '4600', name: 'Services Income', type: 'INC' },
+    { number: '4900', name: 'Other Income', type: 'INC' },
+    { number: '6000', name: 'Office & Operations', type: 'EXP' },
+    { number: '6100', name: 'Production Costs', type: 'EXP' },
+    { number: '6200', name: 'Advertising & Marketing', type: 'EXP' },
+    { number: '6300', name: 'Travel', type: 'EXP' },
+    { number: '6400', name: 'Legal & Professional Fees', type: 'EXP' },
+    { number: '6500', name: 'Equipment', type: 'EXP' },
+    { number: '6600', name: 'Payroll', type: 'EXP' },
+    { number: '6700', name: 'Software & Subscriptions', type: 'EXP' },
+    { number: '6800', name: 'Artist Advances', type: 'EXP' },
+    { number: '6850', name: 'Artist Payouts', type: 'EXP' },
+    { number: '6900', name: 'Other Expenses', type: 'EXP' },
+  ],
+
+  /** Revenue category → income account; anything unlisted is Other Income */
+  REVENUE_ACCOUNTS: {
+    booking: '4000',
+    royalties: '4100',
+    merch: '4200',
+    licensing: '4300',
+    publishing: '4400',
+    sponsorship: '4500',
+    services: '4600',
+    other: '4900',
+  },
+
+  /** Expense category → expense account; anything unlisted is Other Expenses */
+  EXPENSE_ACCOUNTS: {
+    operations: '6000',
+    production: '6100',
+    marketing: '6200',
+    travel: '6300',
+    legal: '6400',
+    equipment: '6500',
+    payroll: '6600',
+    software: '6700',
+    advance: '6800',
+    payout: '6850',
+    other: '6900',
+  },
+
+  /** Accounts the journal posts to directly */
+  SYSTEM_ACCOUNTS: {
+    bank: '1000',
+    receivable: '1200',
+    salesTax: '2200',
+    invoiceIncome: '4600',
+    store: '4250',
+  },
+
+  /** Merch order statuses that never became sales */
+  VOID_ORDER_STATUSES: ['cancelled', 'refunded'],
+
+  // ============================================================
+  // ACCOUNTS
+  // ============================================================
+
+  /**
+   * Account by number
+   * @param {string} number
+   * @returns {Object|undefined}
+   */
+  account(number) {
+    return this.ACCOUNTS.find((a) => a.number === number);
+  },
+
+  /**
+   * Income or expense account for a ledger category
+   * @param {string} type - 'revenue' | 'expense'
+   * @param {string} category
+   * @returns {Object}
+   */
+  categoryAccount(type, category) {
+    const map = type === 'revenue' ? this.REVENUE_ACCOUNTS : this.EXPENSE_ACCOUNTS;
+    return this.account(map[category] || map.other);
+  },
+
+  // ============================================================
+  // JOURNAL
+  // ============================================================
+
+  /**
+   * Balanced journal entries dated within a range, oldest first
+   * @param {{from: string, to: string}} [range] - Finance.range(); open when omitted
+   * @returns {Array<{number: number, date: string, source: string, sourceId: string, ref: string, name: string, memo: string, lines: Array<{account: string, debit: number, credit: number}>}>}
+   */
+  journal(range) {
+    const r = range || { from: '', to: '' };
+    const convert = Currency.converter();
+    const invoices = {};
+    DataStore.getInvoices().forEach((inv) => { invoices[inv.id] = inv; });
+    const entries = [];
+    const a = this.SYSTEM_ACCOUNTS;
+
+    Finance.ledger(r).forEach((row) => {
+      const rec = row.record;
+      if (row.type === 'revenue') {
+        const inv = rec.invoiceId && invoices[rec.invoiceId];
+        const credit = inv ? a.receivable : this.categoryAccount('revenue', row.category).number;
+        entries.push(this._entry(row.date, 'revenue', rec.id, inv ? inv.invoiceNumber : '', inv ? inv.client : (rec.source || ''), row.description,
+          [[a.bank, row.amount], [credit, -row.amount]]));
+      } else {
+        entries.push(this._entry(row.date, 'expense', rec.id, '', rec.vendor || '', row.description,
+          [[this.categoryAccount('expense', row.category).number, row.amount], [a.bank, -row.amount]]));
+      }
+    });
+
+    Object.keys(invoices).forEach((id) => {
+      const inv = invoices[id];
+      const date = inv.issueDate || inv.sentDate;
+      if (Invoicing.status(inv) === 'draft' || !date || !Finance.inRange(date, r)) return;
+      const t = Invoicing.totals(inv);
+      const cur = Currency.of(inv);
+      const total = convert(t.total, cur, date);
+      const tax = convert(t.tax, cur, date);
+      entries.push(this._entry(date, 'invoice', inv.id, inv.invoiceNumber, inv.client, `Invoice ${inv.invoiceNumber} — ${inv.client}`,
+        [[a.receivable, total], [a.invoiceIncome, -Utils.roundMoney(total - tax)], [a.salesTax, -tax]]));
+    });
+
+    DataStore.getMerchOrders().forEach((order) => {
+      const date = String(order.date || order.createdAt || '').slice(0, 10);
+      const total = convert(order.total, Currency.BASE, date);
+      if (!date || !total || this.VOID_ORDER_STATUSES.includes(order.status) || !Finance.inRange(date, r)) return;
+      const ref = order.orderNumber || '';
+      entries.push(this._entry(date, 'order', order.id, ref, order.customer || order.customerName || '', `Store order${ref ? ` ${ref}` : ''}`,
+        [[a.bank, total], [a.store, -total]]));
+    });
+
+    entries.sort((x, y) => x.date.localeCompare(y.date) || x.source.localeCompare(y.source));
+    entries.forEach((e, i) => { e.number = i + 1; });
+    return entries;
+  },
+
+  /**
+   * Debits, credits and balance per account, in chart order (accounts with
+   * no activity omitted). Balance is debit-positive for assets and
+   * expenses, credit-positive for liabilities, equity and income.
+   * @param {Array<Object>} entries - From journal()
+   * @returns {{accounts: Array<{account: Object, debit: number, credit: number, balance: number}>, debit: number, credit: number, balanced: boolean}}
+   */
+  trialBalance(entries) {
+    const sums = {};
+    entries.forEach((e) => e.lines.forEach((l) => {
+      if (!sums[l.account]) sums[l.account] = { debit: 0, credit: 0 };
+      sums[l.account].debit += l.debit;
+      sums[l.account].credit += l.credit;
+    }));
+    const accounts = this.ACCOUNTS.filter((acc) => sums[acc.number]).map((acc) => {
+      const s = sums[acc.number];
+      const debitNormal = ['BANK', 'AR', 'OCASSET', 'EXP'].includes(acc.type);
+      return {
+        account: acc,
+        debit: Utils.roundMoney(s.debit),
+        credit: Utils.roundMoney(s.credit),
+        balance: Utils.roundMoney(debitNormal ? s.debit - s.credit : s.credit - s.debit),
+      };
+    });
+    const debit = Utils.roundMoney(accounts.reduce((sum, x) => sum + x.debit, 0));
+    const credit = Utils.roundMoney(accounts.reduce((sum, x) => sum + x.credit, 0));
+    return { accounts, debit, credit, balanced: Math.abs(debit - credit) < 0.005 };
+  },
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  /**
+   * QuickBooks Desktop IIF: the account list, then each entry as a
+   * general journal transaction (debits positive, credits negative)
+   * @param {Array<Object>} entries - From journal()
+   * @returns {string}
+   */
+  toIIF(entries) {
+    const clean = (v) => String(v === undefined || v === null ? '' : v).replace(/[\t\r\n]+/g, ' ').trim();
+    const date = (iso) => `${iso.slice(5, 7)}/${iso.slice(8, 10)}/${iso.slice(0, 4)}`;
+    const lines = ['!ACCNT\tNAME\tACCNTTYPE\tACCNUM'];
+    this.ACCOUNTS.forEach((acc) => lines.push(['ACCNT', clean(acc.name), acc.type, acc.number].join('\t')));
+    lines.push('!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tAMOUNT\tDOCNUM\tMEMO');
+    lines.push('!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tAMOUNT\tDOCNUM\tMEMO');
+    lines.push('!ENDTRNS');
+    entries.forEach((e) => {
+      const memo = clean(!e.name || e.memo.includes(e.name) ? e.memo : `${e.name} — ${e.memo}`);
+      e.lines.forEach((l, i) => {
+        const amount = (l.debit - l.credit).toFixed(2);
+        lines.push([i === 0 ? 'TRNS' : 'SPL', '', 'GENERAL JOURNAL', date(e.date), clean(this.account(l.account).name), amount, clean(e.ref), memo].join('\t'));
+      });
+      lines.push('ENDTRNS');
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  },
+
+  GL_COLUMNS: [
+    { key: 'date', label: 'Date' },
+    { key: 'entry', label: 'Entry' },
+    { key: 'accountNumber', label: 'Account Number' },
+    { key: 'account', label: 'Account' },
+    { key: 'debit', label: 'Debit' },
+    { key: 'credit', label: 'Credit' },
+    { key: 'name', label: 'Name' },
+    { key: 'memo', label: 'Memo' },
+    { key: 'ref', label: 'Reference' },
+    { key: 'source', label: 'Source' },
+    { key: 'sourceId', label: 'Source ID' },
+    { key: 'currency', label: 'Currency' },
+  ],
+
+  /**
+   * One general-ledger row per debit or credit
+   * @param {Array<Object>} entries - From journal()
+   * @returns {Array<Object>} Keyed by GL_COLUMNS
+   */
+  glRows(entries) {
+    const currency = Currency.reporting();
+    const rows = [];
+    entries.forEach((e) => e.lines.forEach((l) => {
+      const acc = this.account(l.account);
+      rows.push({
+        date: e.date,
+        entry: e.number,
+        accountNumber: acc.number,
+        account: acc.name,
+        debit: l.debit ? l.debit.toFixed(2) : '',
+        credit: l.credit ? l.credit.toFixed(2) : '',
+        name: e.name,
+        memo: e.memo,
+        ref: e.ref,
+        source: e.source,
+        sourceId: e.sourceId,
+        currency,
+      });
+    }));
+    return rows;
+  },
+
+  /**
+   * Download a range's journal as gbe-journal-<label>.iif
+   * @param {{from: string, to: string}} range
+   * @param {string} label - File name suffix, e.g. 2026 or 2026-q1
+   */
+  exportIIF(range, label) {
+    Utils.downloadText(this.toIIF(this.journal(range)), `gbe-journal-${label}.iif`);
+  },
+
+  /**
+   * Download a range's journal as gbe-general-ledger-<label>.csv
+   * @param {{from: string, to: string}} range
+   * @param {string} label
+   */
+  exportGL(range, label) {
+    Utils.downloadCSV(this.glRows(this.journal(range)), `gbe-general-ledger-${label}.csv`, this.GL_COLUMNS);
+  },
+
+  /** Download the chart of accounts as gbe-chart-of-accounts.csv */
+  exportChart() {
+    const types = { BANK: 'Bank', AR: 'Accounts receivable', OCLIAB: 'Other current liability', EQUITY: 'Equity', INC: 'Income', EXP: 'Expense' };
+    const rows = this.ACCOUNTS.map((acc) => ({ number: acc.number, name: acc.name, type: types[acc.type] || acc.type }));
+    Utils.downloadCSV(rows, 'gbe-chart-of-accounts.csv', [
+      { key: 'number', label: 'Account Number' },
+      { key: 'name', label: 'Account' },
+      { key: 'type', label: 'Type' },
+    ]);
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /**
+   * @private Journal entry from [account, amount] pairs — positive amounts
+   * are debits, negative credits; zero lines are dropped
+   */
+  _entry(date, source, sourceId, ref, name, memo, pairs) {
+    const lines = pairs
+      .map(([account, amount]) => ({ account, debit: amount > 0 ? Utils.roundMoney(amount) : 0, credit: amount < 0 ? Utils.roundMoney(-amount) : 0 }))
+      .filter((l) => l.debit || l.credit);
+    return { number: 0, date, source, sourceId, ref: ref || '', name: name || '', memo: memo || '', lines };
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Accounting;
@@ -0,0 +1,268 @@
+// js/audit.js
+
+/**
+ * Audit Module — the dashboard's audit trail
+ * Every DataStore create / update / delete (plus migrations and restores)
+ * appends an entry to DataStore.KEYS.ACTIVITY. Entries are kept until
+ * archive() downloads and removes the older ones:
+ *
+ *   { id, action, entityType, entityKey, entityId, entityName, user,
+ *     changes: [{ field, from, to }], timestamp }
+ *
+ * `changes` holds field-level before/after values — every field set on a
+ * create, every field cleared on a delete, and only the changed fields on
+ * an update. Vault-managed secrets are never written in clear.
+ * Entries recorded before the audit trail existed have no user or changes.
+ *
+ * The dashboard-home activity feed and the Audit Trail page both read
+ * through query().
+ *
+ * A growing trail is what usually fills localStorage's ~5 MB, after which
+ * every write fails. watchQuota() turns the 'gbe:storage-full' event from
+ * Utils.storage / the IndexedDB adapter into an error toast that offers
+ * archive().
+ */
+
+const Audit = {
+  /** Bookkeeping fields left out of diffs */
+  IGNORED_FIELDS: ['id', 'createdAt', 'updatedAt'],
+
+  REDACTED: '[redacted]',
+
+  /** Days of entries archive() keeps when no cut-off is given */
+  KEEP_DAYS: 90,
+
+  /** @type {boolean} Whether watchQuota() is listening */
+  _watchingQuota: false,
+
+  // ============================================================
+  // RECORDING
+  // ============================================================
+
+  /**
+   * Name of whoever is making the change
+   * @returns {string}
+   */
+  currentUser() {
+    if (typeof Auth === 'undefined' || !Auth.getUserDisplayName) return 'System';
+    const name = Auth.getUserDisplayName();
+    return name && name !== 'Guest' ? name : 'System';
+  },
+
+  /**
+   * Field-level differences between two versions of a record
+   * @param {string} entityKey - Storage key, used to redact secret fields
+   * @param {Object|null} before - null for a create
+   * @param {Object|null} after - null for a delete
+   * @returns {Array<{field: string, from: *, to: *}>}
+   */
+  diff(entityKey, before, after) {
+    const a = before || {};
+    const b = after || {};
+    const secret = this._secretFields(entityKey);
+    const blank = (v) => v === undefined || v === null || v === '';
+    const fields = Object.keys(Object.assign({}, a, b)).filter((f) => !this.IGNORED_FIELDS.includes(f));
+
+    return fields.reduce((changes, field) => {
+      const from = a[field];
+      const to = b[field];
+      if (blank(from) && blank(to)) return changes;
+      if (JSON.stringify(from) === JSON.stringify(to)) return changes;
+
+      if (secret.includes(field)) {
+        changes.push({ field, from: blank(from) ? null : this.REDACTED, to: blank(to) ? null : this.REDACTED });
+      } else {
+        changes.push({ field, from: blank(from) ? null : from, to: blank(to) ? null : to });
+      }
+      return changes;
+    }, []);
+  },
+
+  /** @private */
+  _secretFields(entityKey) {
+    if (entityKey !== DataStore.KEYS.IT_CREDENTIALS) return [];
+    return typeof Vault !== 'undefined' ? Vault.FIELDS : ['password', 'apiKey'];
+  },
+
+  // ============================================================
+  // QUERYING
+  // ============================================================
+
+  /**
+   * Audit entries, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.entityType] - e.g. 'contract'
+   * @param {string} [filters.entityId]
+   * @param {string} [filters.user]
+   * @param {string} [filters.action]
+   * @param {string} [filters.from] - YYYY-MM-DD, inclusive
+   * @param {string} [filters.to] - YYYY-MM-DD, inclusive
+   * @param {string} [filters.search] - Matched against the entity name and changed fields
+   * @param {number} [filters.limit]
+   * @returns {Array<Object>}
+   */
+  query(filters = {}) {
+    const search = (filters.search || '').trim().toLowerCase();
+    const entries = DataStore._getAll(DataStore.KEYS.ACTIVITY)
+      .filter((e) => {
+        if (filters.entityType && e.entityType !== filters.entityType) return false;
+        if (filters.entityId && e.entityId !== filters.entityId) return false;
+        if (filters.user && (e.user || 'System') !== filters.user) return false;
+        if (filters.action && e.action !== filters.action) return false;
+        const day = String(e.timestamp || '').slice(0, 10);
+        if (filters.from && day < filters.from) return false;
+        if (filters.to && day > filters.to) return false;
+        if (search) {
+          const haystack = [e.entityName].concat((e.changes || []).map((c) => c.field)).join(' ').toLowerCase();
+          if (!haystack.includes(search)) return false;
+        }
+        return true;
+      })
+      .sort((x, y) => String(y.timestamp).localeCompare(String(x.timestamp)));
+
+    return filters.limit ? entries.slice(0, filters.limit) : entries;
+  },
+
+  /**
+   * Distinct values of a field across the trail, for filter dropdowns
+   * @param {string} field - 'entityType' | 'user' | 'action'
+   * @returns {Array<string>}
+   */
+  distinct(field) {
+    const values = {};
+    DataStore._getAll(DataStore.KEYS.ACTIVITY).forEach((e) => {
+      values[field === 'user' ? (e.user || 'System') : e[field]] = true;
+    });
+    return Object.keys(values).filter((v) => v && v !== 'undefined').sort();
+  },
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  /**
+   * Flatten entries to one row per field change (entries without changes
+   * get a single row)
+   * @param {Array<Object>} entries
+   * @returns {Array<Object>}
+   */
+  toRows(entries) {
+    const rows = [];
+    entries.forEach((e) => {
+      const base = {
+        timestamp: e.timestamp,
+        user: e.user || '',
+        action: e.action,
+        entityType: e.entityType,
+        entityId: e.entityId || '',
+        entityName: e.entityName,
+      };
+      const changes = e.changes && e.changes.length ? e.changes : [{ field: '', from: null, to: null }];
+      changes.forEach((c) => rows.push(Object.assign({}, base, { field: c.field, from: c.from, to: c.to })));
+    });
+    return rows;
+  },
+
+  /** CSV columns for toRows() */
+  COLUMNS: [
+    { key: 'timestamp', label: 'Timestamp' },
+    { key: 'user', label: 'User' },
+    { key: 'action', label: 'Action' },
+    { key: 'entityType', label: 'Entity Type' },
+    { key: 'entityId', label: 'Entity ID' },
+    { key: 'entityName', label: 'Entity' },
+    { key: 'field', label: 'Field' },
+    { key: 'from', label: 'Before' },
+    { key: 'to', label: 'After' },
+  ],
+
+  /**
+   * Download entries as gbe-audit-YYYY-MM-DD.csv
+   * @param {Array<Object>} entries
+   */
+  exportCSV(entries) {
+    Utils.downloadCSV(this.toRows(entries), `gbe-audit-${new Date().toISOString().slice(0, 10)}.csv`, this.COLUMNS);
+  },
+
+  /**
+   * Download entries as gbe-audit-YYYY-MM-DD.json
+   * @param {Array<Object>} entries
+   * @param {string} [filename]
+   */
+  exportJSON(entries, filename) {
+    Utils.downloadJSON({
+      app: 'gbe-audit',
+      exportedAt: new Date().toISOString(),
+      count: entries.length,
+      entries,
+    }, filename || `gbe-audit-${new Date().toISOString().slice(0, 10)}.json`);
+  },
+
+  // ============================================================
+  // ARCHIVE
+  // ============================================================
+
+  /**
+   * Default archive() cut-off: KEEP_DAYS before today
+   * @returns {string} YYYY-MM-DD
+   */
+  defaultCutoff() {
+    return Utils.addDays(Utils.today(), -this.KEEP_DAYS);
+  },
+
+  /**
+   * Entries and stored size of the trail before a date
+   * @param {string} before - YYYY-MM-DD
+   * @returns {{count: number, total: number, bytes: number}} bytes — the whole trail, as JSON
+   */
+  archiveSummary(before) {
+    const all = DataStore._getAll(DataStore.KEYS.ACTIVITY);
+    return {
+      count: all.filter((e) => String(e.timestamp || '').slice(0, 10) < before).length,
+      total: all.length,
+      bytes: JSON.stringify(all).length,
+    };
+  },
+
+  /**
+   * Download the entries recorded before a date as JSON, then remove them
+   * from the trail. The removal is itself recorded.
+   * @param {string} [before] - YYYY-MM-DD, defaults to defaultCutoff()
+   * @returns {number} Entries archived
+   */
+  archive(before) {
+    const cutoff = before || this.defaultCutoff();
+    const all = DataStore._getAll(DataStore.KEYS.ACTIVITY);
+    const old = all.filter((e) => String(e.timestamp || '').slice(0, 10) < cutoff);
+    if (!old.length) return 0;
+
+    this.exportJSON(old, `gbe-audit-archive-before-${cutoff}.json`);
+    const archived = new Set(old.map((e) => e.id));
+    DataStore._store().set(DataStore.KEYS.ACTIVITY, all.filter((e) => !archived.has(e.id)));
+    DataStore._logActivity('archive', DataStore.KEYS.ACTIVITY, { name: `${old.length} entries before ${cutoff}` });
+    return old.length;
+  },
+
+  /** Tell the user when storage is full, and offer to archive the trail */
+  watchQuota() {
+    if (this._watchingQuota || typeof document === 'undefined') return;
+    this._watchingQuota = true;
+    let shownAt = 0;
+
+    document.addEventListener('gbe:storage-full', () => {
+      // One toast for a burst of failed writes
+      if (typeof Toast === 'undefined' || Date.now() - shownAt < 60000) return;
+      shownAt = Date.now();
+      Toast.show('Browser storage is full — your last change was not saved. Archive older audit entries to free space, then make it again.', 'error', 20000, {
+        label: 'Archive audit trail',
+        onClick: () => {
+          const count = this.archive();
+          if (count) Toast.success(`Archived ${count} audit entries to a download`);
+          else Toast.warning(`No audit entries older than ${this.KEEP_DAYS} days — pick a later cut-off on the Audit Trail page`);
+        },
+      });
+    });
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Audit;
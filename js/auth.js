@@ -54,6 +54,9 @@ const Auth = {
   /** @type {boolean} Whether authenticated via PIN (not Firebase) */
   _isPinAuth: false,
 
+  /** @type {string|null} User name the server reported for the PIN session */
+  _pinUserName: null,
+
   /* ------------------------------------------
      Initialization
      ------------------------------------------ */
@@ -472,6 +475,8 @@ const Auth = {
    * @private
    */
   _updatePinUI: function(userName) {
+    this._pinUserName = userName;
+
     // Update topbar user name
     var userNameEl = document.querySelector('.user-name');
     if (userNameEl) {
@@ -680,7 +685,7 @@ const Auth = {
    * @returns {string}
    */
   getUserDisplayName: function() {
-    if (this._isPinAuth) return 'Admin (Local)';
+    if (this._isPinAuth) return this._pinUserName || 'Admin (Local)';
     if (!this._user) return 'Guest';
     return this._user.displayName || this._user.email.split('@')[0];
   },
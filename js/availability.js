@@ -0,0 +1,386 @@
+// js/availability.js
+
+/**
+ * Availability Module — double-booking detection for each artist
+ * An artist's commitments are their bookings, calendar events and trips
+ * (matched by talentId, or by artist name for records off the roster):
+ *
+ *   booking — its whole date; lost bookings are left out and open ones
+ *             (lead … negotiating) are tentative
+ *   event   — date to endDate; a timed event without an end lasts
+ *             eventHours, an untimed one the whole day. Deadlines don't
+ *             block anything
+ *   trip    — departure through return date, whole days
+ *
+ * Two commitments clash when they overlap (a conflict, or a warning when
+ * either is tentative or only one has times), when timed ones come within
+ * bufferHours of each other (set-up, sound check, tear-down), or when they
+ * are at different places with fewer than the artist's travel days between
+ * them. Travel
+ * days follow the roster's free-text travelRadius (Local / Regional /
+ * National / International, or "N miles"). Records linked to the same
+ * booking (its event, its trip) never clash with each other, and an artist
+ * marked booked or on hold on the roster gets a warning on every check.
+ *
+ * check() backs the booking and calendar forms, conflicts() the calendar's
+ * markers, and openDates() the "find open dates" search.
+ */
+
+const Availability = {
+  /** Defaults, overridden by SiteConfig.availability */
+  DEFAULTS: {
+    bufferHours: 2,
+    eventHours: 3,
+    travelDays: { local: 0, regional: 0, national: 1, international: 2 },
+  },
+
+  /** Mileage above which a "N miles" radius counts as national travel */
+  REGIONAL_MILES: 250,
+
+  /** Event types that are reminders rather than time the artist is busy */
+  FREE_EVENT_TYPES: ['deadline'],
+
+  _config() {
+    const cfg = (typeof SiteConfig !== 'undefined' && SiteConfig.availability) || {};
+    return Object.assign({}, this.DEFAULTS, cfg, {
+      travelDays: Object.assign({}, this.DEFAULTS.travelDays, cfg.travelDays || {}),
+    });
+  },
+
+  // ============================================================
+  // TRAVEL RADIUS
+  // ============================================================
+
+  /**
+   * Reading of a roster travelRadius
+   * @param {Object} talent
+   * @returns {string} 'local' | 'regional' | 'national' | 'international' | '' when unset
+   */
+  travelScope(talent) {
+    const text = String((talent && talent.travelRadius) || '').toLowerCase();
+    if (!text.trim()) return '';
+    if (/international|worldwide|global|anywhere/.test(text)) return 'international';
+    if (/national|nationwide|touring/.test(text)) return 'national';
+    const miles = text.match(/(\d[\d,]*)\s*(mi|mile|km)/);
+    if (miles) return parseInt(miles[1].replace(/,/g, ''), 10) > this.REGIONAL_MILES ? 'national' : 'regional';
+    if (/regional|state|region/.test(text)) return 'regional';
+    return 'local';
+  },
+
+  /**
+   * Days to keep free between commitments in different places
+   * @param {Object} talent
+   * @returns {number}
+   */
+  travelDays(talent) {
+    const scope = this.travelScope(talent);
+    return scope ? this._config().travelDays[scope] || 0 : 0;
+  },
+
+  // ============================================================
+  // COMMITMENTS
+  // ============================================================
+
+  /**
+   * A booking, event or trip as a span of time
+   * @param {string} kind - 'booking' | 'event' | 'trip'
+   * @param {Object} record
+   * @returns {Object|null} { kind, id, title, talentId, start, end, timed,
+   *   tentative, place, bookingId, date, record } with start / end as ms;
+   *   null when undated or not a commitment
+   */
+  commitment(kind, record) {
+    if (!record || !record.date) return null;
+    const base = {
+      kind,
+      id: record.id || '',
+      talentId: this._talentOf(record),
+      date: String(record.date).slice(0, 10),
+      record,
+    };
+
+    if (kind === 'booking') {
+      const result = typeof Pipeline !== 'undefined' ? Pipeline.result(record) : 'won';
+      if (result === 'lost') return null;
+      return Object.assign(base, {
+        title: record.name || 'Booking',
+        start: this._day(record.date),
+        end: this._day(record.date, 1),
+        timed: false,
+        tentative: result === 'open',
+        place: record.venue,
+        bookingId: record.id,
+      });
+    }
+
+    if (kind === 'event') {
+      if (this.FREE_EVENT_TYPES.includes(record.type)) return null;
+      const timed = String(record.date).length > 10 && String(record.date).slice(11, 16) !== '00:00';
+      const start = timed ? this._time(record.date) : this._day(record.date);
+      let end = record.endDate ? this._time(record.endDate) : 0;
+      if (record.endDate && String(record.endDate).length <= 10) end = this._day(record.endDate, 1);
+      if (!end || end <= start) end = timed ? start + this._config().eventHours * 36e5 : this._day(record.date, 1);
+      return Object.assign(base, {
+        title: record.title || 'Event',
+        start,
+        end,
+        timed,
+        tentative: false,
+        place: record.location || record.venue,
+        bookingId: record.bookingId || '',
+      });
+    }
+
+    if (kind === 'trip') {
+      const back = record.returnDate && record.returnDate >= record.date ? record.returnDate : record.date;
+      return Object.assign(base, {
+        title: record.name || 'Trip',
+        start: this._day(record.date),
+        end: this._day(back, 1),
+        timed: false,
+        tentative: false,
+        place: record.city,
+        bookingId: record.bookingId || '',
+      });
+    }
+    return null;
+  },
+
+  /**
+   * Every commitment, optionally for one artist
+   * @param {string} [talentId]
+   * @returns {Array<Object>} Sorted by start
+   */
+  commitments(talentId) {
+    const list = []
+      .concat(DataStore.getBookings().map((r) => this.commitment('booking', r)))
+      .concat(DataStore.getEvents().map((r) => this.commitment('event', r)))
+      .concat(DataStore.getTravel().map((r) => this.commitment('trip', r)))
+      .filter((c) => c && c.talentId && (!talentId || c.talentId === talentId));
+    return list.sort((a, b) => a.start - b.start);
+  },
+
+  // ============================================================
+  // CONFLICTS
+  // ============================================================
+
+  /**
+   * How two commitments of the same artist clash, if they do
+   * @param {Object} a - commitment()
+   * @param {Object} b
+   * @param {Object} [talent] - For travel days; looked up when omitted
+   * @returns {{severity: string, type: string, message: string}|null}
+   *   severity 'conflict' | 'warning'; type 'overlap' | 'buffer' | 'travel'
+   */
+  compare(a, b, talent) {
+    if (a.kind === b.kind && a.id && a.id === b.id) return null;
+    if (a.bookingId && a.bookingId === b.bookingId) return null;
+
+    if (a.start < b.end && b.start < a.end) {
+      // A booking has a date but no hours, so a timed event that day may still fit
+      const sameDay = a.timed !== b.timed;
+      const tentative = a.tentative || b.tentative;
+      let message = `Double-booked with ${this.describe(b)}`;
+      if (tentative) message = `Overlaps ${this.describe(b)} (tentative)`;
+      else if (sameDay) message = `Same day as ${this.describe(b)}`;
+      return { severity: tentative || sameDay ? 'warning' : 'conflict', type: 'overlap', message };
+    }
+
+    const gap = a.start < b.start ? b.start - a.end : a.start - b.end;
+    const cfg = this._config();
+    if (a.timed && b.timed && gap < cfg.bufferHours * 36e5) {
+      return {
+        severity: 'warning',
+        type: 'buffer',
+        message: `Less than ${cfg.bufferHours} h between this and ${this.describe(b)}`,
+      };
+    }
+
+    const days = this.travelDays(talent || DataStore._getById(DataStore.KEYS.ROSTER, a.talentId));
+    if (days && this._elsewhere(a, b) && gap < days * 864e5) {
+      return {
+        severity: 'warning',
+        type: 'travel',
+        message: `Fewer than ${days} travel day${days === 1 ? '' : 's'} between ${a.place} and ${b.place} (${this.describe(b)})`,
+      };
+    }
+    return null;
+  },
+
+  /**
+   * Clashes for a booking, event or trip being added or edited
+   * @param {string} kind - 'booking' | 'event' | 'trip'
+   * @param {Object} record - With unsaved changes; id when editing
+   * @returns {Array<{severity: string, type: string, message: string, other: Object|null}>}
+   *   Conflicts first; type 'status' (other null) for the roster availability
+   */
+  check(kind, record) {
+    const subject = this.commitment(kind, record);
+    if (!subject || !subject.talentId) return [];
+    const talent = DataStore._getById(DataStore.KEYS.ROSTER, subject.talentId);
+    const issues = [];
+
+    if (talent && (talent.availabilityStatus === 'booked' || talent.availabilityStatus === 'onhold')) {
+      issues.push({
+        severity: 'warning',
+        type: 'status',
+        message: `${talent.name} is marked ${talent.availabilityStatus === 'onhold' ? 'on hold' : 'booked'} on the roster`,
+        other: null,
+      });
+    }
+
+    this.commitments(subject.talentId).forEach((other) => {
+      const clash = this.compare(subject, other, talent);
+      if (clash) issues.push(Object.assign(clash, { other }));
+    });
+    return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'conflict' ? -1 : 1));
+  },
+
+  /**
+   * Every clash between commitments of the same artist
+   * @param {{from: string, to: string}} [range] - YYYY-MM-DD; either commitment touching it counts
+   * @returns {Array<{severity: string, type: string, message: string, a: Object, b: Object}>}
+   */
+  conflicts(range) {
+    const from = range && range.from ? this._day(range.from) : -Infinity;
+    const to = range && range.to ? this._day(range.to, 1) : Infinity;
+    const byTalent = {};
+    this.commitments().forEach((c) => { (byTalent[c.talentId] = byTalent[c.talentId] || []).push(c); });
+
+    const found = [];
+    Object.keys(byTalent).forEach((talentId) => {
+      const list = byTalent[talentId];
+      const talent = DataStore._getById(DataStore.KEYS.ROSTER, talentId);
+      const reach = Math.max(this.travelDays(talent) * 864e5, this._config().bufferHours * 36e5);
+      list.forEach((a, i) => {
+        for (let j = i + 1; j < list.length; j++) {
+          const b = list[j];
+          // Sorted by start, so every later one is further away still
+          if (b.start - a.end >= reach) break;
+          if ((a.end < from && b.end < from) || (a.start >= to && b.start >= to)) continue;
+          const clash = this.compare(a, b, talent);
+          if (clash) found.push(Object.assign(clash, { a, b }));
+        }
+      });
+    });
+    return found;
+  },
+
+  /**
+   * Days touched by clashes, worst severity per day
+   * @param {Array<Object>} conflicts - From conflicts()
+   * @returns {Object<string, string>} { 'YYYY-MM-DD': 'conflict' | 'warning' }
+   */
+  days(conflicts) {
+    const map = {};
+    conflicts.forEach((c) => {
+      [c.a, c.b].forEach((x) => {
+        this._dates(x).forEach((d) => {
+          if (map[d] !== 'conflict') map[d] = c.severity;
+        });
+      });
+    });
+    return map;
+  },
+
+  /**
+   * Dates a whole-day booking for an artist would have no clash at all
+   * @param {string} talentId
+   * @param {Object} [options]
+   * @param {string} [options.from] - YYYY-MM-DD, defaults to today
+   * @param {number} [options.days=90] - How far ahead to look
+   * @param {number} [options.limit=10] - Most dates returned
+   * @param {Array<number>} [options.weekdays] - 0 (Sun) … 6 (Sat); any day when omitted
+   * @param {string} [options.place] - Venue / city, for travel days
+   * @param {string} [options.excludeId] - Booking being rescheduled
+   * @returns {Array<string>} YYYY-MM-DD
+   */
+  openDates(talentId, options) {
+    const opts = options || {};
+    const from = opts.from || Utils.today();
+    const limit = opts.limit || 10;
+    const open = [];
+    for (let i = 0; i < (opts.days || 90) && open.length < limit; i++) {
+      const date = Utils.addDays(from, i);
+      if (opts.weekdays && opts.weekdays.length && !opts.weekdays.includes(new Date(`${date}T12:00:00`).getDay())) continue;
+      const issues = this.check('booking', { id: opts.excludeId || '', date, talentId, venue: opts.place || '', stage: 'confirmed' })
+        .filter((issue) => issue.type !== 'status');
+      if (!issues.length) open.push(date);
+    }
+    return open;
+  },
+
+  // ============================================================
+  // DISPLAY
+  // ============================================================
+
+  /**
+   * Short label for a commitment, e.g. 'booking "Gala" on Jun 15, 2026'
+   * @param {Object} c - commitment()
+   * @returns {string}
+   */
+  describe(c) {
+    const labels = { booking: 'booking', event: 'event', trip: 'trip' };
+    return `${labels[c.kind]} "${c.title}" on ${Utils.formatDate(`${c.date}T12:00:00`)}`;
+  },
+
+  /**
+   * Toast a summary of clashes after a save
+   * @param {string} kind
+   * @param {Object} record - As saved
+   * @returns {Array<Object>} The issues from check()
+   */
+  warn(kind, record) {
+    const issues = this.check(kind, record);
+    if (!issues.length || typeof Toast === 'undefined') return issues;
+    const first = issues[0];
+    const more = issues.length > 1 ? ` (+${issues.length - 1} more)` : '';
+    Toast.warning(`${first.severity === 'conflict' ? 'Scheduling conflict' : 'Schedule warning'}: ${first.message}${more}`);
+    return issues;
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /** @private Roster id of a record's artist, by talentId or artist name */
+  _talentOf(record) {
+    if (record.talentId) return record.talentId;
+    if (!record.artist) return '';
+    const name = String(record.artist).trim().toLowerCase();
+    const talent = DataStore.getRoster().find((t) => String(t.name || '').trim().toLowerCase() === name);
+    return talent ? talent.id : '';
+  },
+
+  /** @private Whether two commitments are at different known places */
+  _elsewhere(a, b) {
+    const norm = (p) => String(p || '').toLowerCase().replace(/\[[^\]]*\]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+    const pa = norm(a.place);
+    const pb = norm(b.place);
+    if (!pa || !pb || pa === 'tbd' || pb === 'tbd') return false;
+    return pa !== pb && !pa.includes(pb) && !pb.includes(pa);
+  },
+
+  /** @private Local midnight of a date plus some days, as ms */
+  _day(date, plus) {
+    const [y, m, d] = String(date).slice(0, 10).split('-').map((n) => parseInt(n, 10));
+    return new Date(y, m - 1, d + (plus || 0)).getTime();
+  },
+
+  /** @private Local date-time as ms */
+  _time(value) {
+    const s = String(value);
+    if (s.length <= 10) return this._day(s);
+    const [h, min] = s.slice(11, 16).split(':').map((n) => parseInt(n, 10));
+    return this._day(s) + (h * 60 + (min || 0)) * 6e4;
+  },
+
+  /** @private YYYY-MM-DD days touched by a commitment */
+  _dates(c) {
+    const out = [];
+    for (let day = c.date; this._day(day) < c.end && out.length < 366; day = Utils.addDays(day, 1)) out.push(day);
+    return out;
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Availability;
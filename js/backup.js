@@ -0,0 +1,303 @@
+// js/backup.js
+
+/**
+ * Backup Module — full export / restore of DataStore
+ * A bundle holds every DataStore.KEYS collection (including settings,
+ * integrations and checklist) plus a manifest and checksum:
+ *
+ *   { manifest: { app, format, createdAt, siteVersion, schemaVersion, tier,
+ *                 adapter, collections: { key: count } },
+ *     checksum: { algorithm, value },
+ *     data: { 'gbe-roster': [...], 'gbe-settings': {...}, ... } }
+ *
+ * Restoring an older bundle replays pending migrations on it first, so the
+ * data always lands in the current shape. Restore runs in one of two modes:
+ *   replace — the store becomes exactly the bundle
+ *   merge   — records are matched by id; the newer updatedAt wins and
+ *             records only present locally are kept
+ */
+
+const Backup = {
+  APP: 'gbe-dashboard',
+  FORMAT: 1,
+
+  /** Collections never restored on the remote tier (seedIfEmpty's local-only data, plus the audit trail whose diffs carry it) */
+  _localOnly() {
+    const k = DataStore.KEYS;
+    return [k.FINANCES_REVENUE, k.FINANCES_EXPENSES, k.INVOICES, k.ROYALTY_IMPORTS, k.BANK_RULES, k.BUDGETS, k.RECURRING, k.DOCUMENTS,
+      k.EXCHANGE_RATES, k.SETTINGS, k.CHECKLIST, k.IT_CREDENTIALS, k.VAULT, k.INTEGRATIONS, k.ACTIVITY];
+  },
+
+  _isLocal() {
+    return (typeof Auth !== 'undefined' && Auth.isLocalDashboard && Auth.isLocalDashboard());
+  },
+
+  /** Every key a bundle carries — the schema version travels in the manifest */
+  _keys() {
+    return Object.values(DataStore.KEYS).filter((key) => key !== DataStore.KEYS.SCHEMA_VERSION);
+  },
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  /**
+   * Build a backup bundle of the current store
+   * @returns {Promise<Object>}
+   */
+  create() {
+    const data = {};
+    const collections = {};
+    this._keys().forEach((key) => {
+      const value = DataStore._store().get(key);
+      if (value === null || value === undefined) return;
+      data[key] = value;
+      collections[key] = Array.isArray(value) ? value.length : Object.keys(value).length;
+    });
+
+    const manifest = {
+      app: this.APP,
+      format: this.FORMAT,
+      createdAt: new Date().toISOString(),
+      siteVersion: (typeof SiteConfig !== 'undefined') ? SiteConfig.version : null,
+      schemaVersion: Migrations.currentVersion(),
+      tier: this._isLocal() ? 'local' : 'remote',
+      adapter: DataStore._store().name,
+      collections,
+    };
+
+    return this._checksum(JSON.stringify(data)).then((checksum) => ({ manifest, checksum, data }));
+  },
+
+  /**
+   * Create a bundle and download it as gbe-backup-YYYY-MM-DD.json
+   * @returns {Promise<Object>} The bundle
+   */
+  download() {
+    return this.create().then((bundle) => {
+      Utils.downloadJSON(bundle, `gbe-backup-${bundle.manifest.createdAt.slice(0, 10)}.json`);
+      return bundle;
+    });
+  },
+
+  // ============================================================
+  // IMPORT
+  // ============================================================
+
+  /**
+   * Parse and verify a bundle, upgrading its data to the current schema
+   * @param {string} text - File contents
+   * @returns {Promise<{manifest: Object, data: Object}>} Rejects with a readable Error
+   */
+  load(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (e) {
+      return Promise.reject(new Error('Not a valid JSON file.'));
+    }
+
+    const manifest = bundle && bundle.manifest;
+    if (!manifest || manifest.app !== this.APP || !bundle.data || !bundle.checksum) {
+      return Promise.reject(new Error('Not a GBE dashboard backup.'));
+    }
+    if (manifest.format > this.FORMAT || manifest.schemaVersion > Migrations.latest()) {
+      return Promise.reject(new Error('This backup was made by a newer version of the dashboard.'));
+    }
+
+    return this._checksum(JSON.stringify(bundle.data), bundle.checksum.algorithm).then((checksum) => {
+      if (checksum.value !== bundle.checksum.value) {
+        throw new Error('Checksum mismatch — the backup file is damaged or was edited.');
+      }
+      return { manifest, data: this._upgrade(bundle.data, manifest.schemaVersion || 0) };
+    });
+  },
+
+  /**
+   * Summarize what a restore would change, per collection
+   * @param {Object} data - Upgraded bundle data from load()
+   * @param {string} mode - 'merge' | 'replace'
+   * @returns {Array<{key: string, added: number, updated: number, removed: number,
+   *   unchanged: number, skipped: boolean}>}
+   */
+  diff(data, mode) {
+    const skip = this._isLocal() ? [] : this._localOnly();
+    return this._keys()
+      .filter((key) => Object.prototype.hasOwnProperty.call(data, key) || mode === 'replace')
+      .map((key) => {
+        if (skip.includes(key)) {
+          return { key, added: 0, updated: 0, removed: 0, unchanged: 0, skipped: true };
+        }
+        const plan = this._plan(key, DataStore._store().get(key), data[key], mode);
+        return { key, added: plan.added, updated: plan.updated, removed: plan.removed, unchanged: plan.unchanged, skipped: false };
+      })
+      .filter((row) => row.skipped || row.added || row.updated || row.removed || row.unchanged);
+  },
+
+  /**
+   * Apply bundle data to the store
+   * @param {Object} data - Upgraded bundle data from load()
+   * @param {string} mode - 'merge' | 'replace'
+   * @returns {Array<string>} Keys that were written
+   */
+  restore(data, mode) {
+    const skip = this._isLocal() ? [] : this._localOnly();
+    const written = [];
+
+    this._keys().forEach((key) => {
+      if (skip.includes(key)) return;
+      if (!Object.prototype.hasOwnProperty.call(data, key) && mode !== 'replace') return;
+
+      const current = DataStore._store().get(key);
+      const plan = this._plan(key, current, data[key], mode);
+      if (!plan.added && !plan.updated && !plan.removed) return;
+
+      if (plan.result === null) DataStore._store().remove(key);
+      else DataStore._store().set(key, plan.result);
+      written.push(key);
+    });
+
+    DataStore._store().set(DataStore.KEYS.SCHEMA_VERSION, Migrations.latest());
+    DataStore._logActivity('restore', 'gbe-backup', { name: `${written.length} collection${written.length === 1 ? '' : 's'} (${mode})` });
+    written.forEach((key) => DataStore._emit('restore', key, null, null));
+    return written;
+  },
+
+  // ============================================================
+  // INTERNALS
+  // ============================================================
+
+  /**
+   * Work out the restored value of one key and count the changes
+   * @private
+   */
+  _plan(key, current, incoming, mode) {
+    const plan = { result: null, added: 0, updated: 0, removed: 0, unchanged: 0 };
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    // Missing from the bundle: replace clears it, merge leaves it alone
+    if (incoming === undefined || incoming === null) {
+      if (mode === 'replace' && current !== null && current !== undefined) {
+        plan.removed = Array.isArray(current) ? current.length : 1;
+      } else {
+        plan.result = current === undefined ? null : current;
+      }
+      return plan;
+    }
+
+    // Key/value maps (settings, integrations)
+    if (!Array.isArray(incoming)) {
+      const base = (mode === 'merge' && current && !Array.isArray(current)) ? current : {};
+      plan.result = Object.assign({}, base, incoming);
+      if (!current) plan.added = 1;
+      else if (same(current, plan.result)) plan.unchanged = 1;
+      else plan.updated = 1;
+      return plan;
+    }
+
+    // Collections — match records by id
+    const existing = Array.isArray(current) ? current : [];
+    const byId = {};
+    existing.forEach((item) => { if (item && item.id) byId[item.id] = item; });
+
+    const result = mode === 'merge' ? existing.slice() : [];
+    const seen = {};
+
+    incoming.forEach((item) => {
+      const id = item && item.id;
+      const local = id ? byId[id] : existing.find((e) => same(e, item));
+      if (id) seen[id] = true;
+
+      if (!local) {
+        plan.added++;
+        result.push(item);
+        return;
+      }
+      if (same(local, item)) {
+        plan.unchanged++;
+        if (mode === 'replace') result.push(item);
+        return;
+      }
+
+      const incomingWins = mode === 'replace' || !local.updatedAt || !item.updatedAt || item.updatedAt > local.updatedAt;
+      if (incomingWins) plan.updated++;
+      else plan.unchanged++;
+
+      if (mode === 'replace') {
+        result.push(item);
+      } else if (incomingWins) {
+        result[result.indexOf(local)] = item;
+      }
+    });
+
+    if (mode === 'replace') {
+      plan.removed = existing.filter((item) => !(item && item.id && seen[item.id]) && !incoming.some((i) => same(i, item))).length;
+    }
+
+    // The audit trail stays newest-first, as _logActivity keeps it
+    if (key === DataStore.KEYS.ACTIVITY) {
+      result.sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    }
+
+    plan.result = result;
+    return plan;
+  },
+
+  /**
+   * Run pending migrations over bundle data in an in-memory adapter
+   * @private
+   */
+  _upgrade(data, fromVersion) {
+    if (fromVersion >= Migrations.latest()) return data;
+
+    const memory = Utils.deepClone(data);
+    memory[DataStore.KEYS.SCHEMA_VERSION] = fromVersion;
+    const adapter = {
+      name: 'memory',
+      get: (key, fallback) => (Object.prototype.hasOwnProperty.call(memory, key) ? Utils.deepClone(memory[key]) : (fallback === undefined ? null : fallback)),
+      set: (key, value) => { memory[key] = Utils.deepClone(value); },
+      remove: (key) => { delete memory[key]; },
+      insert(key, item, items) { this.set(key, items); },
+      replace(key, item, items) { this.set(key, items); },
+      destroy(key, id, items) { this.set(key, items); },
+    };
+
+    const live = DataStore._adapter;
+    DataStore._adapter = adapter;
+    let result;
+    try {
+      result = Migrations.run();
+    } finally {
+      DataStore._adapter = live;
+    }
+    if (result.failed) {
+      throw new Error(`Could not upgrade backup: migration v${result.failed.version} failed (${result.failed.error}).`);
+    }
+
+    delete memory[DataStore.KEYS.SCHEMA_VERSION];
+    return memory;
+  },
+
+  /**
+   * FNV-1a over the serialized data. Synchronous and available on plain
+   * http (the LAN dashboard has no WebCrypto), which is all an integrity
+   * check against truncated or hand-edited files needs.
+   * @param {string} text
+   * @param {string} [algorithm] - Algorithm named by the bundle being verified
+   * @returns {Promise<{algorithm: string, value: string}>}
+   * @private
+   */
+  _checksum(text, algorithm) {
+    if (algorithm && algorithm !== 'FNV-1a') {
+      return Promise.reject(new Error(`Unsupported checksum algorithm: ${algorithm}`));
+    }
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return Promise.resolve({ algorithm: 'FNV-1a', value: hash.toString(16).padStart(8, '0') });
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Backup;
@@ -0,0 +1,327 @@
+// js/bank-import.js
+
+/**
+ * Bank Import Module — bank / card statement import with saved rules
+ * Turns a CSV or OFX/QFX export into revenue and expense entries:
+ *
+ *   parse       — CSV (with a column mapping, guessed from the headers)
+ *                 or OFX into transactions
+ *   categorize  — the first saved rule whose pattern matches the
+ *                 description sets category and vendor
+ *   review      — flags rows already in the books (duplicates)
+ *   import      — logs the selected rows in one undoable batch
+ *
+ * Transaction shape — amount is signed from the account's point of view
+ * (money in positive, money out negative):
+ *
+ *   { date, description, amount, reference }
+ *
+ * Rules live in gbe-bank-rules:
+ *
+ *   { name, pattern, match: 'contains'|'starts'|'equals', type: ''|'expense'|'revenue', category, vendor }
+ */
+
+const BankImport = {
+  /** Header names guessed for each mapped column, lower-case, most specific first */
+  ALIASES: {
+    date: ['transaction date', 'trans. date', 'trans date', 'posting date', 'posted date', 'post date', 'date'],
+    description: ['description', 'payee', 'merchant', 'name', 'transaction description', 'details', 'memo'],
+    amount: ['amount', 'transaction amount', 'amount (usd)'],
+    debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'money out'],
+    credit: ['credit', 'credit amount', 'deposit', 'deposits', 'money in'],
+    reference: ['reference', 'reference number', 'ref', 'transaction id', 'fitid', 'check number', 'check or slip #'],
+  },
+
+  MATCH_TYPES: [
+    { value: 'contains', label: 'contains' },
+    { value: 'starts', label: 'starts with' },
+    { value: 'equals', label: 'is exactly' },
+  ],
+
+  /** Days either side of a date that still count as a possible duplicate */
+  DUPLICATE_WINDOW_DAYS: 3,
+
+  // ============================================================
+  // PARSING
+  // ============================================================
+
+  /**
+   * True when the text is an OFX / QFX export rather than CSV
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isOFX(text) {
+    return /<OFX>/i.test(text) || /^\s*OFXHEADER:/i.test(text);
+  },
+
+  /**
+   * Header row and body of a CSV export
+   * @param {string} text
+   * @returns {{headers: Array<string>, rows: Array<Array<string>>}}
+   */
+  table(text) {
+    const table = Utils.parseCSV(text);
+    return { headers: (table[0] || []).map((h) => h.trim()), rows: table.slice(1) };
+  },
+
+  /**
+   * Column mapping guessed from a CSV header row
+   * @param {Array<string>} headers
+   * @returns {Object} { date, description, amount, debit, credit, reference } — column indexes, -1 when absent
+   */
+  guessMapping(headers) {
+    const lower = headers.map((h) => h.toLowerCase());
+    const mapping = {};
+    Object.keys(this.ALIASES).forEach((field) => {
+      const alias = this.ALIASES[field].find((a) => lower.includes(a));
+      mapping[field] = alias ? lower.indexOf(alias) : -1;
+    });
+    return mapping;
+  },
+
+  /**
+   * Transactions from CSV text
+   * @param {string} text
+   * @param {Object} mapping - From guessMapping(), possibly edited
+   * @param {Object} [options]
+   * @param {boolean} [options.invert] - Amounts are positive for charges (most card exports)
+   * @param {string} [options.currency] - Account currency, for its decimal separator
+   * @returns {Array<Object>}
+   * @throws {Schemas.ValidationError} When the mapping lacks a date or an amount
+   */
+  parseCSV(text, mapping, options = {}) {
+    const errors = [];
+    if (mapping.date < 0) errors.push({ field: 'date', message: 'Choose the date column.' });
+    if (mapping.amount < 0 && mapping.debit < 0 && mapping.credit < 0) errors.push({ field: 'amount', message: 'Choose an amount column, or debit / credit columns.' });
+    if (errors.length) throw new Schemas.ValidationError(DataStore.KEYS.BANK_RULES, errors);
+
+    const cell = (cells, index) => (index < 0 ? '' : String(cells[index] || '').trim());
+    const amountIn = (cells, index) => Utils.parseAmount(cell(cells, index), options.currency);
+    const txns = [];
+    this.table(text).rows.forEach((cells) => {
+      const date = this._date(cell(cells, mapping.date));
+      let amount = amountIn(cells, mapping.amount);
+      if (amount === null) {
+        const debit = amountIn(cells, mapping.debit);
+        const credit = amountIn(cells, mapping.credit);
+        if (debit === null && credit === null) return;
+        amount = (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+      } else if (options.invert) {
+        amount = -amount;
+      }
+      if (!date || !amount) return;
+      txns.push({
+        date,
+        description: cell(cells, mapping.description),
+        amount: Utils.roundMoney(amount),
+        reference: cell(cells, mapping.reference),
+      });
+    });
+    return txns;
+  },
+
+  /**
+   * Transactions from an OFX / QFX export (SGML or XML flavour)
+   * @param {string} text
+   * @returns {Array<Object>}
+   */
+  parseOFX(text) {
+    const tag = (block, name) => {
+      const m = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+      return m ? m[1].trim() : '';
+    };
+    const txns = [];
+    (text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || []).forEach((block) => {
+      const amount = Utils.parseAmount(tag(block, 'TRNAMT'));
+      const date = this._date(tag(block, 'DTPOSTED'));
+      if (!amount || !date) return;
+      const name = tag(block, 'NAME');
+      const memo = tag(block, 'MEMO');
+      txns.push({
+        date,
+        description: this._entities(name && memo && !memo.includes(name) ? `${name} ${memo}` : name || memo),
+        amount: Utils.roundMoney(amount),
+        reference: tag(block, 'FITID'),
+      });
+    });
+    return txns;
+  },
+
+  // ============================================================
+  // RULES
+  // ============================================================
+
+  /**
+   * Does a rule apply to a transaction?
+   * @param {Object} rule
+   * @param {Object} txn
+   * @returns {boolean}
+   */
+  matches(rule, txn) {
+    const type = txn.amount < 0 ? 'expense' : 'revenue';
+    if (rule.type && rule.type !== type) return false;
+    const text = String(txn.description || '').toLowerCase();
+    const pattern = String(rule.pattern || '').toLowerCase().trim();
+    if (!pattern) return false;
+    if (rule.match === 'equals') return text.trim() === pattern;
+    if (rule.match === 'starts') return text.trim().startsWith(pattern);
+    return text.includes(pattern);
+  },
+
+  /**
+   * Category and vendor for a transaction from the first matching rule,
+   * else 'other' and a vendor cleaned from the description
+   * @param {Object} txn
+   * @param {Array<Object>} [rules] - Defaults to the saved rules
+   * @returns {{type: string, category: string, vendor: string, ruleId: string}}
+   */
+  categorize(txn, rules) {
+    const type = txn.amount < 0 ? 'expense' : 'revenue';
+    const rule = (rules || DataStore.getBankRules()).find((r) => this.matches(r, txn));
+    return {
+      type,
+      category: (rule && rule.category) || 'other',
+      vendor: (rule && rule.vendor) || this.vendorName(txn.description),
+      ruleId: rule ? rule.id : '',
+    };
+  },
+
+  /**
+   * Save a categorization rule
+   * @param {Object} data - { pattern, match, type, category, vendor }
+   * @returns {Object} The saved rule
+   */
+  saveRule(data) {
+    const match = this.MATCH_TYPES.find((m) => m.value === data.match) || this.MATCH_TYPES[0];
+    return DataStore.addBankRule({
+      ...data,
+      match: match.value,
+      name: `${data.type ? `${Utils.capitalize(data.type)} ` : ''}${match.label} "${data.pattern}" → ${data.category}`,
+    });
+  },
+
+  /**
+   * Bank description reduced to a vendor name: "POS PURCHASE DIGITALOCEAN.COM 8889 NY" → "Digitalocean.com"
+   * @param {string} description
+   * @returns {string}
+   */
+  vendorName(description) {
+    const words = String(description || '')
+      .replace(/^((pos|ach|debit|credit|card|checkcard|purchase|payment|recurring|online|withdrawal|deposit|transfer)\b[\s:-]*)+/i, '')
+      .replace(/[#*]\S*/g, ' ')
+      .split(/\s+/)
+      .filter((w) => w && !/\d{3,}/.test(w) && !/^[A-Z]{2}$/.test(w));
+    return words.slice(0, 3).map((w) => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' ');
+  },
+
+  /**
+   * Rule pattern for a description: the longest run of its vendor name
+   * that appears verbatim, so "GUITAR CENTER #123 TOWSON MD" gives "guitar center"
+   * @param {string} description
+   * @returns {string}
+   */
+  suggestPattern(description) {
+    const text = String(description || '').toLowerCase();
+    const words = this.vendorName(description).toLowerCase().split(' ').filter(Boolean);
+    for (let n = words.length; n > 0; n--) {
+      const candidate = words.slice(0, n).join(' ');
+      if (text.includes(candidate)) return candidate;
+    }
+    return text.trim();
+  },
+
+  // ============================================================
+  // REVIEW & IMPORT
+  // ============================================================
+
+  /**
+   * Transactions ready to review: categorized and checked against the books
+   * and earlier rows of the same file
+   * @param {Array<Object>} txns
+   * @returns {Array<Object>} txn plus { type, category, vendor, ruleId, duplicate: ''|'exact'|'possible', duplicateOf }
+   */
+  review(txns) {
+    const rules = DataStore.getBankRules();
+    const existing = [
+      ...DataStore.getExpenses().map((e) => ({ record: e, type: 'expense' })),
+      ...DataStore.getRevenue().map((r) => ({ record: r, type: 'revenue' })),
+    ];
+    const seen = [];
+    return txns.map((txn) => {
+      const row = { ...txn, ...this.categorize(txn, rules), duplicate: '', duplicateOf: null };
+      const amount = Math.abs(txn.amount);
+      const sameAmount = (x) => x.type === row.type && Math.abs((parseFloat(x.record.amount) || 0) - amount) < 0.005;
+
+      const exact = existing.find((x) => (txn.reference && x.record.importRef === txn.reference) ||
+        (sameAmount(x) && String(x.record.date).slice(0, 10) === txn.date));
+      const possible = !exact && existing.find((x) => sameAmount(x) && this._daysApart(x.record.date, txn.date) <= this.DUPLICATE_WINDOW_DAYS);
+      const repeated = seen.find((s) => (txn.reference ? s.reference === txn.reference : s.date === txn.date && s.amount === txn.amount && s.description === txn.description));
+
+      if (exact || repeated) row.duplicate = 'exact';
+      else if (possible) row.duplicate = 'possible';
+      row.duplicateOf = (exact || possible) ? (exact || possible).record : null;
+      seen.push(txn);
+      return row;
+    });
+  },
+
+  /**
+   * Log reviewed rows as revenue / expenses in one undoable step
+   * @param {Array<Object>} rows - From review(), possibly edited
+   * @param {Object} [options]
+   * @param {string} [options.fileName]
+   * @param {Array<Object>} [options.rules] - Rules to save in the same step (see saveRule)
+   * @returns {{revenue: number, expenses: number}} Counts created
+   */
+  import(rows, options = {}) {
+    const notes = options.fileName ? `Imported from ${options.fileName}` : 'Imported from bank statement';
+    const counts = { revenue: 0, expenses: 0 };
+    DataStore.batch(`Import ${rows.length} bank transaction${rows.length === 1 ? '' : 's'}`, () => {
+      (options.rules || []).forEach((rule) => this.saveRule(rule));
+      rows.forEach((row) => {
+        const common = { date: row.date, amount: Math.abs(row.amount), category: row.category, importRef: row.reference || '', notes };
+        if (row.type === 'expense') {
+          DataStore.addExpense({ ...common, description: row.description || row.vendor, vendor: row.vendor });
+          counts.expenses++;
+        } else {
+          DataStore.addRevenue({ ...common, source: row.vendor || row.description });
+          counts.revenue++;
+        }
+      });
+    });
+    return counts;
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /**
+   * Statement date as YYYY-MM-DD: ISO, US "MM/DD/YYYY" / "MM/DD/YY",
+   * OFX "YYYYMMDD[HHMMSS...]"; '' when unreadable
+   * @private
+   */
+  _date(value) {
+    const text = String(value || '').trim();
+    let m;
+    if ((m = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) return `${m[1]}-${m[2]}-${m[3]}`;
+    if ((m = text.match(/^(\d{4})(\d{2})(\d{2})/))) return `${m[1]}-${m[2]}-${m[3]}`;
+    if ((m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+      const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+      return `${year}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+    }
+    return '';
+  },
+
+  /** @private */
+  _daysApart(a, b) {
+    return Math.abs(new Date(String(a).slice(0, 10)) - new Date(String(b).slice(0, 10))) / 86400000;
+  },
+
+  /** Decode the few entities OFX text carries @private */
+  _entities(text) {
+    return String(text || '').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = BankImport;
@@ -0,0 +1,229 @@
+// js/budgets.js
+
+/**
+ * Budgets Module — planned spending and budget-vs-actual
+ * A budget caps expenses by category, by project (a tour, a release or a
+ * client development contract), or both, per month, per quarter or over
+ * the life of the project. Actual spending is read from getExpenses():
+ * an expense counts against a budget when it matches every filter the
+ * budget sets. A budget with neither filter covers all company spending.
+ * Budget amounts and actuals are in the reporting currency (js/currency.js).
+ *
+ *   status  — one budget in the period containing a date
+ *   report  — every budget over a month / quarter / year view, with the
+ *             planned amount scaled to the view (a monthly budget is
+ *             tripled in a quarter view)
+ *   alerts  — budgets at or past their alert level this period
+ *   watch   — warns with a Toast when a new or edited expense pushes a
+ *             budget past its alert level or over (started by DataStore.init)
+ */
+
+const Budgets = {
+  /** Budget periods and their length in months (total = the whole project, no scaling) */
+  PERIODS: { month: 1, quarter: 3, total: 0 },
+
+  /** Project link fields shared by budgets and expenses */
+  PROJECTS: [
+    { field: 'tripId', key: 'gbe-travel', label: 'Tour / trip' },
+    { field: 'releaseId', key: 'gbe-distribution', label: 'Release' },
+    { field: 'contractId', key: 'gbe-contracts', label: 'Client contract' },
+  ],
+
+  /** Default share of the budget (%) at which a warning is raised */
+  DEFAULT_ALERT_PCT: 90,
+
+  // ============================================================
+  // PERIODS
+  // ============================================================
+
+  /**
+   * The month or quarter containing a date
+   * @param {string} period - 'month' | 'quarter' | 'year' | 'total'
+   * @param {string} date - YYYY-MM-DD
+   * @returns {{from: string, to: string, months: number, label: string}} Empty bounds for 'total'
+   */
+  range(period, date) {
+    if (period === 'total') return { from: '', to: '', months: 0, label: 'All time' };
+    const year = parseInt(date.slice(0, 4), 10);
+    const month = parseInt(date.slice(5, 7), 10) - 1;
+    let first = 0;
+    let months = 12;
+    let label = String(year);
+    if (period === 'month') {
+      first = month;
+      months = 1;
+      label = new Date(Date.UTC(year, month, 1)).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    } else if (period === 'quarter') {
+      first = month - (month % 3);
+      months = 3;
+      label = `Q${first / 3 + 1} ${year}`;
+    }
+    return {
+      from: Utils.isoDate(new Date(year, first, 1)),
+      to: Utils.isoDate(new Date(year, first + months, 0)),
+      months,
+      label,
+    };
+  },
+
+  // ============================================================
+  // MATCHING
+  // ============================================================
+
+  /**
+   * Whether an expense counts against a budget (ignores dates)
+   * @param {Object} budget
+   * @param {Object} expense
+   * @returns {boolean}
+   */
+  matches(budget, expense) {
+    if (budget.category && expense.category !== budget.category) return false;
+    return this.PROJECTS.every((p) => !budget[p.field] || expense[p.field] === budget[p.field]);
+  },
+
+  /**
+   * Readable scope of a budget, e.g. "Travel · Summer Tour"
+   * @param {Object} budget
+   * @returns {string}
+   */
+  scope(budget) {
+    const parts = [];
+    if (budget.category) parts.push(Utils.capitalize(budget.category));
+    this.PROJECTS.forEach((p) => {
+      if (!budget[p.field]) return;
+      const record = DataStore._getById(p.key, budget[p.field]);
+      parts.push(record ? (record.name || record.title) : `Unknown ${p.label.toLowerCase()}`);
+    });
+    return parts.length ? parts.join(' · ') : 'All spending';
+  },
+
+  /**
+   * Sum of matching expenses dated within a range, in the reporting currency
+   * @param {Object} budget
+   * @param {{from: string, to: string}} range - Empty bounds are open
+   * @param {Array<Object>} [expenses] - Defaults to DataStore.getExpenses()
+   * @returns {number}
+   */
+  actual(budget, range, expenses) {
+    const convert = Currency.converter();
+    const total = (expenses || DataStore.getExpenses())
+      .filter((e) => this.matches(budget, e))
+      .filter((e) => (!range.from || e.date >= range.from) && (!range.to || e.date <= range.to))
+      .reduce((sum, e) => sum + convert(e.amount, e.currency, e.date), 0);
+    return Utils.roundMoney(total);
+  },
+
+  // ============================================================
+  // STATUS & REPORT
+  // ============================================================
+
+  /**
+   * Planned vs actual for a budget over a range
+   * @param {Object} budget
+   * @param {{from: string, to: string, months: number}} range
+   * @param {Array<Object>} [expenses]
+   * @returns {{budget: Object, scope: string, planned: number, actual: number, remaining: number, pct: number, level: string}}
+   *   level is 'ok', 'warning' (at or past alertPct) or 'over'
+   */
+  compare(budget, range, expenses) {
+    const months = this.PERIODS[budget.period] || 0;
+    const amount = parseFloat(budget.amount) || 0;
+    // Project-total budgets are compared over the whole project whatever the view
+    const window = months ? range : this.range('total');
+    const planned = Utils.roundMoney(months && range.months ? amount * range.months / months : amount);
+    const actual = this.actual(budget, window, expenses);
+    const pct = planned > 0 ? Math.round(actual / planned * 1000) / 10 : (actual > 0 ? 100 : 0);
+    const alertPct = budget.alertPct !== undefined && budget.alertPct !== '' ? parseFloat(budget.alertPct) : this.DEFAULT_ALERT_PCT;
+    let level = 'ok';
+    if (actual > planned) level = 'over';
+    else if (actual > 0 && pct >= alertPct) level = 'warning';
+    return { budget, scope: this.scope(budget), planned, actual, remaining: Utils.roundMoney(planned - actual), pct, level };
+  },
+
+  /**
+   * A budget in its own period containing a date
+   * @param {Object} budget
+   * @param {string} [date] - YYYY-MM-DD, defaults to today
+   * @param {Array<Object>} [expenses]
+   * @returns {Object} See compare(), plus the period range
+   */
+  status(budget, date, expenses) {
+    const range = this.range(budget.period || 'month', date || Utils.today());
+    return Object.assign(this.compare(budget, range, expenses), { range });
+  },
+
+  /**
+   * Budget-vs-actual for every budget over a view
+   * @param {string} view - 'month' | 'quarter' | 'year'
+   * @param {string} date - Any date in the view
+   * @returns {{range: Object, rows: Array<Object>, planned: number, actual: number}}
+   */
+  report(view, date) {
+    const range = this.range(view, date);
+    const expenses = DataStore.getExpenses();
+    const rows = DataStore.getBudgets()
+      .map((b) => this.compare(b, range, expenses))
+      .sort((a, b) => b.pct - a.pct);
+    const periodic = rows.filter((r) => this.PERIODS[r.budget.period]);
+    return {
+      range,
+      rows,
+      planned: Utils.roundMoney(periodic.reduce((sum, r) => sum + r.planned, 0)),
+      actual: Utils.roundMoney(periodic.reduce((sum, r) => sum + r.actual, 0)),
+    };
+  },
+
+  /**
+   * Budgets at or past their alert level in the current period, worst first
+   * @param {string} [date] - YYYY-MM-DD, defaults to today
+   * @returns {Array<Object>}
+   */
+  alerts(date) {
+    const expenses = DataStore.getExpenses();
+    return DataStore.getBudgets()
+      .map((b) => this.status(b, date, expenses))
+      .filter((s) => s.level !== 'ok')
+      .sort((a, b) => b.pct - a.pct);
+  },
+
+  // ============================================================
+  // OVERRUN WARNINGS
+  // ============================================================
+
+  /** Start warning on expense writes that cross a budget's alert level */
+  watch() {
+    DataStore.unsubscribeAll('budgets');
+    DataStore.subscribe(DataStore.KEYS.FINANCES_EXPENSES, (event) => this._onExpense(event), 'budgets');
+  },
+
+  /**
+   * Compare each affected budget with and without the written expense and
+   * warn only on a change of level, so one overrun isn't repeated on every
+   * later expense.
+   * @private
+   */
+  _onExpense(event) {
+    if ((event.type !== 'create' && event.type !== 'update') || !event.entity || typeof Toast === 'undefined') return;
+    const expense = event.entity;
+    const expenses = DataStore.getExpenses();
+    const before = expenses.filter((e) => e.id !== expense.id);
+    if (event.previous) before.push(event.previous);
+    const rank = { ok: 0, warning: 1, over: 2 };
+
+    DataStore.getBudgets().forEach((budget) => {
+      if (!this.matches(budget, expense)) return;
+      const now = this.status(budget, expense.date, expenses);
+      const was = this.status(budget, expense.date, before);
+      if (rank[now.level] <= rank[was.level]) return;
+      const name = budget.name || now.scope;
+      const period = this.PERIODS[budget.period] ? ` for ${now.range.label}` : '';
+      if (now.level === 'over') {
+        Toast.warning(`Over budget: ${name}${period} — ${Utils.formatCurrency(now.actual)} of ${Utils.formatCurrency(now.planned)}`);
+      } else {
+        Toast.warning(`Budget at ${Math.round(now.pct)}%: ${name}${period} — ${Utils.formatCurrency(now.remaining)} left`);
+      }
+    });
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Budgets;
@@ -59,6 +59,55 @@ const SiteConfig = {
     }
   },
 
+  storage: {
+    adapter: 'auto',                   // 'auto' | 'localStorage' | 'indexeddb' | 'rest'
+    localAdapter: 'indexeddb',         // 'auto' on the LAN dashboard — synced with the home server (js/sync.js)
+    remoteAdapter: 'localStorage',     // 'auto' on GitHub Pages / public hosts
+    apiPath: '/api/v1',                // REST adapter: {server}{apiPath}/{entity}
+    dbName: 'gbe-datastore'            // IndexedDB adapter database name
+  },
+
+  sync: {
+    enabled: true,                     // LAN only; ignored with the 'rest' adapter
+    intervalSeconds: 30,               // Pull interval for other devices' changes
+    timeoutSeconds: 8                  // Per-request timeout before treating the server as offline
+  },
+
+  availability: {
+    bufferHours: 2,                    // Set-up / tear-down gap kept between timed commitments
+    eventHours: 3,                     // Length of a timed event with no end time
+    travelDays: { local: 0, regional: 0, national: 1, international: 2 }  // Free days between gigs in different places, by roster travel radius
+  },
+
+  proposals: {
+    mileageRate: 0.67,                 // Per round-trip mile past includedMiles (js/proposals.js)
+    includedMiles: 25,                 // One-way miles the artist's fee already covers
+    lodgingRate: 150,                  // Per lodging night quoted
+    localMiles: 50,                    // What a "Local Only" travel radius means, in miles
+    depositPercent: 50,                // When the artist's roster entry has no deposit %
+    validDays: 30,                     // Proposal valid for this many days after it is issued
+    terms: ''                          // Proposal terms; '' = the standard deposit / balance wording
+  },
+
+  intake: {
+    endpoint: '',                      // Public booking-request URL; '' = the home server's /booking-requests when reachable
+    timeoutSeconds: 8                  // Before falling back to this browser's queue (js/intake.js)
+  },
+
+  tax: {
+    federalRate: 22,                   // Marginal federal income tax % for estimates (override on the Taxes page)
+    stateRate: 4.75,                   // State income tax % (override on the Taxes page)
+    selfEmploymentRate: 15.3           // Social Security + Medicare on 92.35% of net profit
+  },
+
+  // The vault needs WebCrypto, which browsers only expose over https or on
+  // localhost. Serve the home server over https for LAN devices — over plain
+  // http the vault is unavailable and encrypted credentials are read-only.
+  vault: {
+    idleMinutes: 5,                    // Auto-lock the credentials vault after inactivity
+    iterations: 310000                 // PBKDF2 rounds for new / re-keyed vaults
+  },
+
   features: {
     enableShop: false,
     enableBookingForm: true,
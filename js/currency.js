@@ -0,0 +1,179 @@
+// js/currency.js
+
+/**
+ * Currency Module — currency codes, dated exchange rates and conversion
+ * Revenue, expenses, invoices and recurring templates carry a `currency`
+ * code; records without one are in BASE (USD), which every amount was
+ * before currencies existed. Rates are kept in gbe-exchange-rates as the
+ * value of one unit in BASE on a date ("1 EUR = 1.08 USD"), so any two
+ * currencies convert through BASE.
+ *
+ *   rate      — the latest rate on or before a date (the earliest one
+ *               when the date predates them all)
+ *   convert   — between any two currencies on a date
+ *   converter — the same with the rate table read once, for reports
+ *   format    — Intl currency formatting in the currency's home locale
+ *
+ * Reports total in the reporting currency (settings.reportingCurrency,
+ * BASE until changed). A currency with no rate converts 1:1 and is listed
+ * by missing() so the pages can say so.
+ */
+
+const Currency = {
+  /** Currency every stored amount without a code is in, and that rates are quoted in */
+  BASE: 'USD',
+
+  /** Supported currencies and the locale whose conventions format them */
+  CURRENCIES: {
+    USD: { name: 'US Dollar', locale: 'en-US' },
+    EUR: { name: 'Euro', locale: 'de-DE' },
+    GBP: { name: 'British Pound', locale: 'en-GB' },
+    CAD: { name: 'Canadian Dollar', locale: 'en-CA' },
+    AUD: { name: 'Australian Dollar', locale: 'en-AU' },
+    JPY: { name: 'Japanese Yen', locale: 'ja-JP' },
+    MXN: { name: 'Mexican Peso', locale: 'es-MX' },
+  },
+
+  // ============================================================
+  // CODES
+  // ============================================================
+
+  /** @returns {Array<string>} Supported currency codes, BASE first */
+  codes() {
+    return Object.keys(this.CURRENCIES);
+  },
+
+  /** @returns {string} Currency reports are totalled in */
+  reporting() {
+    const code = DataStore.getSettings().reportingCurrency;
+    return this.CURRENCIES[code] ? code : this.BASE;
+  },
+
+  /**
+   * Currency of a stored record
+   * @param {Object} record
+   * @returns {string}
+   */
+  of(record) {
+    return (record && record.currency) || this.BASE;
+  },
+
+  // ============================================================
+  // RATES
+  // ============================================================
+
+  /**
+   * Value of one unit in BASE on a date
+   * @param {string} code
+   * @param {string} [date] - YYYY-MM-DD, defaults to today
+   * @param {Array<Object>} [rates] - Defaults to DataStore.getExchangeRates()
+   * @returns {number|null} null when the currency has no rate at all
+   */
+  rate(code, date, rates) {
+    if (code === this.BASE) return 1;
+    const day = String(date || Utils.today()).slice(0, 10);
+    const list = (rates || DataStore.getExchangeRates())
+      .filter((r) => r.currency === code && (parseFloat(r.rate) || 0) > 0)
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    if (!list.length) return null;
+    const onOrBefore = list.filter((r) => r.date <= day);
+    return parseFloat((onOrBefore.length ? onOrBefore[onOrBefore.length - 1] : list[0]).rate);
+  },
+
+  /**
+   * Convert an amount between currencies at the rates on a date
+   * @param {number} amount
+   * @param {string} from
+   * @param {string} [to] - Defaults to the reporting currency
+   * @param {string} [date]
+   * @returns {number} Rounded to cents
+   */
+  convert(amount, from, to, date) {
+    return this.converter(to)(amount, from, date);
+  },
+
+  /**
+   * Converter into one currency with the rate table read once
+   * @param {string} [to] - Defaults to the reporting currency
+   * @returns {function(number, string, string): number} (amount, from, date) → amount in `to`
+   */
+  converter(to) {
+    const target = to || this.reporting();
+    const rates = DataStore.getExchangeRates();
+    return (amount, from, date) => {
+      const value = parseFloat(amount) || 0;
+      const source = from || this.BASE;
+      if (source === target) return value;
+      const fromRate = this.rate(source, date, rates) || 1;
+      const toRate = this.rate(target, date, rates) || 1;
+      return Utils.roundMoney(value * fromRate / toRate);
+    };
+  },
+
+  /**
+   * A record's amount in the reporting currency, at the rate on its date
+   * @param {Object} record - Revenue, expense or any record with currency and date
+   * @param {number} [amount] - Defaults to record.amount
+   * @returns {number}
+   */
+  toReporting(record, amount) {
+    const value = amount === undefined ? record.amount : amount;
+    return this.convert(value, this.of(record), this.reporting(), record.date || record.issueDate);
+  },
+
+  /**
+   * Currencies used by revenue, expenses or invoices (or needed for the
+   * reporting currency) that have no exchange rate
+   * @returns {Array<string>}
+   */
+  missing() {
+    const rates = DataStore.getExchangeRates();
+    const used = new Set([this.reporting()]);
+    DataStore.getRevenue().concat(DataStore.getExpenses(), DataStore.getInvoices())
+      .forEach((r) => used.add(this.of(r)));
+    return Array.from(used).filter((code) => this.rate(code, null, rates) === null);
+  },
+
+  // ============================================================
+  // FORMATTING
+  // ============================================================
+
+  /**
+   * Format an amount in a currency, e.g. 1.234,50 € or £1,234.50
+   * @param {number} amount
+   * @param {string} [code] - Defaults to the reporting currency
+   * @returns {string}
+   */
+  format(amount, code) {
+    const currency = code || this.reporting();
+    const info = this.CURRENCIES[currency] || this.CURRENCIES[this.BASE];
+    try {
+      return new Intl.NumberFormat(info.locale, { style: 'currency', currency }).format(Number(amount) || 0);
+    } catch (e) {
+      return `${currency} ${(Number(amount) || 0).toFixed(2)}`;
+    }
+  },
+
+  /**
+   * Decimal separator in a currency's home locale, for reading amounts
+   * @param {string} [code] - Defaults to BASE
+   * @returns {string} '.' or ','
+   */
+  decimalSeparator(code) {
+    const info = this.CURRENCIES[code] || this.CURRENCIES[this.BASE];
+    const part = new Intl.NumberFormat(info.locale).formatToParts(1.5).find((p) => p.type === 'decimal');
+    return part ? part.value : '.';
+  },
+
+  /**
+   * <option> list of currency codes
+   * @param {string} [selected] - Defaults to the reporting currency
+   * @returns {string} HTML
+   */
+  options(selected) {
+    const current = selected || this.reporting();
+    return this.codes().map((code) => `<option value="${code}"${code === current ? ' selected' : ''}>${code} — ${this.CURRENCIES[code].name}</option>`).join('');
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Currency;
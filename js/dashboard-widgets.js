@@ -145,19 +145,28 @@ const DashboardWidgets = {
     var actionColors = {
       create: 'success',
       update: 'info',
-      delete: 'danger'
+      delete: 'danger',
+      migrate: 'warning',
+      'migration-failed': 'danger',
+      restore: 'warning'
     };
 
     var actionIcons = {
       create: 'fa-solid fa-plus',
       update: 'fa-solid fa-pen',
-      delete: 'fa-solid fa-trash'
+      delete: 'fa-solid fa-trash',
+      migrate: 'fa-solid fa-database',
+      'migration-failed': 'fa-solid fa-triangle-exclamation',
+      restore: 'fa-solid fa-box-archive'
     };
 
     var actionVerbs = {
       create: 'Created',
       update: 'Updated',
-      delete: 'Deleted'
+      delete: 'Deleted',
+      migrate: 'Applied',
+      'migration-failed': 'Rolled back',
+      restore: 'Restored'
     };
 
     var html = '<div class="activity-feed">';
@@ -168,6 +177,7 @@ const DashboardWidgets = {
       var icon = actionIcons[activity.action] || 'fa-solid fa-circle-info';
       var verb = actionVerbs[activity.action] || activity.action;
       var timeText = this._timeAgo(activity.timestamp);
+      if (activity.user) timeText += ' &middot; ' + this._escapeHtml(activity.user);
 
       html += '<div class="activity-item">';
       html += '  <div class="activity-icon activity-icon--' + color + '">';
@@ -251,14 +261,15 @@ const DashboardWidgets = {
   // ============================================================
 
   /**
-   * Format a number as currency (USD).
-   * Uses Utils.formatCurrency if available, otherwise a simple fallback.
+   * Format a number as currency (the reporting currency unless given).
+   * Uses Utils.formatCurrency if available, otherwise a simple USD fallback.
    * @param {number} amount
+   * @param {string} [currency] - ISO code
    * @returns {string}
    */
-  _formatCurrency: function (amount) {
+  _formatCurrency: function (amount, currency) {
     if (typeof Utils !== 'undefined' && Utils.formatCurrency) {
-      return Utils.formatCurrency(amount);
+      return Utils.formatCurrency(amount, currency);
     }
     var num = parseFloat(amount) || 0;
     return '$' + num.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
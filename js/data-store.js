@@ -1,9 +1,10 @@
 // js/data-store.js
 
 /**
- * DataStore Module — localStorage-based data layer
+ * DataStore Module — business data layer
  * Full CRUD for all business entities with seed data.
- * Designed for easy migration to a real backend (API swap).
+ * Persistence goes through a pluggable adapter (localStorage, IndexedDB,
+ * or the home server REST API) — see js/storage-adapters.js.
  */
 
 const DataStore = {
@@ -13,6 +14,11 @@ const DataStore = {
     FINANCES_REVENUE: 'gbe-revenue',
     FINANCES_EXPENSES: 'gbe-expenses',
     INVOICES: 'gbe-invoices',
+    ROYALTY_IMPORTS: 'gbe-royalty-imports',
+    BANK_RULES: 'gbe-bank-rules',
+    BUDGETS: 'gbe-budgets',
+    RECURRING: 'gbe-recurring',
+    EXCHANGE_RATES: 'gbe-exchange-rates',
     EVENTS: 'gbe-events',
     BOOKINGS: 'gbe-bookings',
     IP_RIGHTS: 'gbe-ip-rights',
@@ -27,25 +33,64 @@ const DataStore = {
     VENUE_LEADS: 'gbe-venue-leads',
     IT_CREDENTIALS: 'gbe-it-credentials',
     IT_SERVERS: 'gbe-it-servers',
+    VAULT: 'gbe-vault',
     TRADEMARKS: 'gbe-trademarks',
     ACTIVITY: 'gbe-activity',
+    SCHEMA_VERSION: 'gbe-schema-version',
   },
 
+  /** @type {Object|null} Active storage adapter (see StorageAdapters) */
+  _adapter: null,
+
+  /** @type {Promise|null} Resolves once the adapter is hydrated and seeded */
+  ready: null,
+
   init() {
-    this.seedIfEmpty();
-    console.log('✅ DataStore initialized');
+    if (this.ready) return this.ready;
+
+    this._adapter = StorageAdapters.resolve();
+    const keys = Object.values(this.KEYS);
+
+    this.ready = this._adapter.init(keys)
+      .catch((err) => {
+        console.warn(`⚠️ DataStore: ${this._adapter.name} adapter unavailable — falling back to localStorage`, err);
+        this._adapter = StorageAdapters.adapters.localStorage;
+        return this._adapter.init(keys);
+      })
+      .then(() => {
+        const syncing = typeof Sync !== 'undefined' && Sync.isEnabled();
+        // A device that has never synced waits for the server's data instead of sample data
+        if (!syncing || Sync.hasPulled()) this.seedIfEmpty();
+        if (typeof Budgets !== 'undefined') Budgets.watch();
+        if (typeof Audit !== 'undefined') Audit.watchQuota();
+        if (typeof Recurring !== 'undefined') Recurring.start();
+        if (typeof Intake !== 'undefined') Intake.start();
+        // In the background: a slow or absent home server must not hold up the page
+        if (syncing) Sync.start().then(() => this._seedAfterSync());
+        else if (typeof Sync !== 'undefined') Sync.flush(); // 'rest' writes left queued last session
+        console.log(`✅ DataStore initialized (${this._adapter.name})`);
+      });
+
+    return this.ready;
   },
 
   // ============================================================
   // GENERIC CRUD HELPERS
   // ============================================================
 
+  /**
+   * Active adapter — localStorage until init() has resolved one
+   */
+  _store() {
+    return this._adapter || StorageAdapters.adapters.localStorage;
+  },
+
   _getAll(key) {
-    return Utils.storage.get(key, []);
+    return this._store().get(key, []);
   },
 
   _save(key, data) {
-    Utils.storage.set(key, data);
+    this._store().set(key, data);
   },
 
   _getById(key, id) {
@@ -54,47 +99,348 @@ const DataStore = {
   },
 
   _add(key, item) {
+    Object.assign(item, Schemas.enforce(key, item));
+    Relations.resolve(key, item);
     const items = this._getAll(key);
     item.id = item.id || Utils.generateId();
     item.createdAt = item.createdAt || new Date().toISOString();
     item.updatedAt = new Date().toISOString();
     items.push(item);
-    this._save(key, items);
+    this._store().insert(key, item, items);
     this._logActivity('create', key, item);
+    this._recordHistory('create', key, null, item);
+    this._emit('create', key, item, null);
     return item;
   },
 
   _update(key, id, updates) {
+    // Renames refresh copies on linked records — keep them in one undo step
+    if (!this._batch && Relations.referencing(key).length) return this.batch(null, () => this._update(key, id, updates));
+
     const items = this._getAll(key);
     const index = items.findIndex((item) => item.id === id);
     if (index === -1) return null;
-    items[index] = { ...items[index], ...updates, updatedAt: new Date().toISOString() };
-    this._save(key, items);
-    this._logActivity('update', key, items[index]);
+    updates = Schemas.enforce(key, updates, { partial: true });
+    Relations.resolve(key, updates);
+    const previous = items[index];
+    items[index] = { ...previous, ...updates, updatedAt: new Date().toISOString() };
+    this._store().replace(key, items[index], items);
+    this._logActivity('update', key, items[index], previous);
+    this._recordHistory('update', key, previous, items[index]);
+    this._emit('update', key, items[index], previous);
+
+    Relations.copies(key, previous, items[index]).forEach((c) => this._update(c.key, c.id, c.changes));
     return items[index];
   },
 
   _delete(key, id) {
     const items = this._getAll(key);
-    const item = items.find((i) => i.id === id);
+    const index = items.findIndex((i) => i.id === id);
+    const item = items[index];
+
+    if (item && Relations.referencing(key).length) {
+      Relations.assertDeletable(key, item);
+      if (!this._batch) return this.batch(null, () => this._delete(key, id));
+    }
+
     const filtered = items.filter((item) => item.id !== id);
-    this._save(key, filtered);
-    if (item) this._logActivity('delete', key, item);
+    this._store().destroy(key, id, filtered);
+    if (item) {
+      this._logActivity('delete', key, item);
+      this._recordHistory('delete', key, item, null, index);
+      this._emit('delete', key, null, item);
+
+      // Linked records follow the record's own delete so it labels the undo step
+      Relations.referencing(key).forEach((rel) => {
+        Relations.pointingAt(rel, id).forEach((record) => {
+          if (rel.onDelete === 'cascade') this._delete(rel.from, record.id);
+          else if (rel.onDelete === 'nullify') this._update(rel.from, record.id, { [rel.field]: '' });
+        });
+      });
+    }
     return filtered;
   },
 
+  // ============================================================
+  // CHANGE SUBSCRIPTIONS
+  // ============================================================
+
+  /** @type {Array<Object>} { collection, handler, owner } */
+  _subscribers: [],
+
+  /**
+   * Listen for changes to a collection.
+   * Handler receives { type: 'create'|'update'|'delete'|'restore', collection,
+   * id, entity, previous, timestamp } after every mutation. 'restore' means
+   * the whole collection was replaced (id, entity and previous are null).
+   * @param {string} collection - Storage key (DataStore.KEYS.*) or '*' for all
+   * @param {Function} handler
+   * @param {string} [owner] - Tag for bulk removal; 'page' subscriptions are
+   *   released by PageLoader when the next page loads
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(collection, handler, owner) {
+    const sub = { collection, handler, owner: owner || null };
+    this._subscribers.push(sub);
+    return () => {
+      this._subscribers = this._subscribers.filter((s) => s !== sub);
+    };
+  },
+
+  /**
+   * Remove every subscription registered with the given owner tag
+   * @param {string} owner
+   */
+  unsubscribeAll(owner) {
+    this._subscribers = this._subscribers.filter((s) => s.owner !== owner);
+  },
+
+  /**
+   * Notify subscribers and dispatch the global gbe:data-updated event
+   * @private
+   */
+  _emit(type, key, entity, previous) {
+    const event = {
+      type,
+      collection: key,
+      id: (entity || previous || {}).id || null,
+      entity,
+      previous,
+      timestamp: new Date().toISOString(),
+    };
+
+    this._subscribers.slice().forEach((sub) => {
+      if (sub.collection !== '*' && sub.collection !== key) return;
+      try {
+        sub.handler(event);
+      } catch (e) {
+        console.error('[DataStore] Subscriber error:', e);
+      }
+    });
+
+    if (typeof document !== 'undefined' && typeof CustomEvent === 'function') {
+      document.dispatchEvent(new CustomEvent('gbe:data-updated', { detail: event }));
+    }
+  },
+
+  // ============================================================
+  // HISTORY (undo / redo)
+  // ============================================================
+
+  /**
+   * Undo stack, newest last. Each entry is one user action:
+   * { id, label, ops: [{ type, key, before, after, index }] } where before /
+   * after are full record snapshots (null for the side that didn't exist).
+   * Held in memory for the session only.
+   * @type {Array<Object>}
+   */
+  _undoStack: [],
+
+  /** @type {Array<Object>} */
+  _redoStack: [],
+
+  /** @type {Object|null} Entry collecting ops while batch() runs */
+  _batch: null,
+
+  HISTORY_LIMIT: 50,
+
+  /** @private */
+  _recordHistory(type, key, before, after, index) {
+    const op = { type, key, before, after, index: index === undefined ? null : index };
+    if (this._batch) {
+      this._batch.ops.push(op);
+      return;
+    }
+    this._pushHistory({ id: Utils.generateId(), label: this._describeOp(op), ops: [op] });
+  },
+
+  /** @private */
+  _pushHistory(entry) {
+    this._undoStack.push(entry);
+    if (this._undoStack.length > this.HISTORY_LIMIT) this._undoStack.shift();
+    this._redoStack = [];
+  },
+
+  /**
+   * Run several mutations as one undoable step (e.g. a delete and its cascade)
+   * @param {string|null} label - Shown in undo toasts; defaults to the first change
+   * @param {Function} fn
+   * @returns {*} fn's return value
+   */
+  batch(label, fn) {
+    if (this._batch) return fn();
+    this._batch = { id: Utils.generateId(), label, ops: [] };
+    try {
+      return fn();
+    } finally {
+      const entry = this._batch;
+      this._batch = null;
+      if (entry.ops.length) {
+        entry.label = entry.label || this._describeOp(entry.ops[0]);
+        this._pushHistory(entry);
+      }
+    }
+  },
+
+  canUndo() { return this._undoStack.length > 0; },
+  canRedo() { return this._redoStack.length > 0; },
+
+  /** @returns {string|null} Id of the newest undoable step, for undo buttons */
+  lastHistoryId() {
+    const entry = this._undoStack[this._undoStack.length - 1];
+    return entry ? entry.id : null;
+  },
+
+  /**
+   * Revert the newest step
+   * @param {string} [entryId] - Only undo if this is still the newest step
+   * @returns {{id: string, label: string}|null} The step undone, null if nothing to undo
+   * @throws {Error} If a newer step exists, or the records have changed since
+   *   (the stale step is then dropped)
+   */
+  undo(entryId) {
+    const entry = this._undoStack[this._undoStack.length - 1];
+    if (!entry) return null;
+    if (entryId && entry.id !== entryId) {
+      throw new Error('Newer changes have been made since — undo those first (Ctrl+Z).');
+    }
+    try {
+      this._replay(entry, 'undo');
+    } finally {
+      this._undoStack.pop();
+    }
+    this._redoStack.push(entry);
+    return { id: entry.id, label: entry.label };
+  },
+
+  /**
+   * Re-apply the most recently undone step
+   * @returns {{id: string, label: string}|null}
+   * @throws {Error} If the records have changed since (the stale step is then dropped)
+   */
+  redo() {
+    const entry = this._redoStack[this._redoStack.length - 1];
+    if (!entry) return null;
+    try {
+      this._replay(entry, 'redo');
+    } finally {
+      this._redoStack.pop();
+    }
+    this._undoStack.push(entry);
+    return { id: entry.id, label: entry.label };
+  },
+
+  /**
+   * Move every record in a step from one snapshot to the other. All ops are
+   * checked before any is written: a record edited since (here, by sync or
+   * by a restore) must match its snapshot exactly, so nothing is clobbered.
+   * @private
+   */
+  _replay(entry, direction) {
+    const ops = direction === 'undo' ? entry.ops.slice().reverse() : entry.ops;
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    ops.forEach((op) => {
+      const from = direction === 'undo' ? op.after : op.before;
+      const id = (op.after || op.before).id;
+      const current = this._getById(op.key, id);
+      if (from ? !same(current, from) : current) {
+        const name = (op.after || op.before).name || (op.after || op.before).title || 'This record';
+        throw new Error(`"${name}" has changed since — it can't be ${direction === 'undo' ? 'undone' : 'redone'}.`);
+      }
+    });
+
+    ops.forEach((op) => {
+      const from = direction === 'undo' ? op.after : op.before;
+      const to = direction === 'undo' ? op.before : op.after;
+      const items = this._getAll(op.key);
+
+      if (!to) {
+        const filtered = items.filter((i) => i.id !== from.id);
+        this._store().destroy(op.key, from.id, filtered);
+        this._logActivity('delete', op.key, from);
+        this._emit('delete', op.key, null, from);
+      } else if (!from) {
+        const at = op.index === null ? items.length : Math.min(op.index, items.length);
+        items.splice(at, 0, to);
+        this._store().insert(op.key, to, items);
+        this._logActivity('create', op.key, to);
+        this._emit('create', op.key, to, null);
+      } else {
+        // A fresh updatedAt so sync treats the reverted record as the newest revision
+        const record = { ...to, updatedAt: new Date().toISOString() };
+        const index = items.findIndex((i) => i.id === record.id);
+        items[index] = record;
+        this._store().replace(op.key, record, items);
+        this._logActivity('update', op.key, record, from);
+        this._emit('update', op.key, record, from);
+        if (direction === 'undo') op.before = record;
+        else op.after = record;
+      }
+    });
+  },
+
+  /** @private */
+  _describeOp(op) {
+    const verbs = { create: 'Added', update: 'Edited', delete: 'Deleted' };
+    const record = op.after || op.before;
+    const name = this._entityName(record) || 'item';
+    return `${verbs[op.type]} ${this._entityLabel(op.key)} "${name}"`;
+  },
+
+  // ============================================================
+  // ASYNC API
+  // ============================================================
+
+  /**
+   * Promise-based mirror of the public API. Every method resolves once the
+   * storage adapter is ready, e.g. DataStore.async.getBookings().then(...)
+   * Populated by _buildAsyncApi() when this file loads.
+   */
+  async: {},
+
+  /** Methods that stay synchronous-only */
+  _syncOnly: ['init', 'subscribe', 'unsubscribeAll', 'seedIfEmpty', 'batch', 'undo', 'redo'],
+
+  _buildAsyncApi() {
+    Object.keys(this).forEach((name) => {
+      if (typeof this[name] !== 'function') return;
+      if (name.charAt(0) === '_' || name.startsWith('seed') || this._syncOnly.includes(name)) return;
+      this.async[name] = (...args) => (this.ready || this.init()).then(() => this[name](...args));
+    });
+  },
+
   // ============================================================
   // ACTIVITY LOG
   // ============================================================
 
-  _logActivity(action, entityKey, entity) {
-    const activities = this._getAll(this.KEYS.ACTIVITY);
+  /**
+   * Display name of a record, as shown in the activity feed and history labels
+   * @param {Object} entity
+   * @returns {string} '' when the record has no name-like field
+   * @private
+   */
+  _entityName(entity) {
+    return entity.name || entity.title || entity.description || entity.source || entity.invoiceNumber || '';
+  },
+
+  /**
+   * Singular label for a collection, as shown in the activity feed
+   * @param {string} entityKey
+   * @returns {string}
+   */
+  _entityLabel(entityKey) {
     const entityLabels = {
       [this.KEYS.ROSTER]: 'talent',
       [this.KEYS.CONTRACTS]: 'contract',
       [this.KEYS.FINANCES_REVENUE]: 'revenue',
       [this.KEYS.FINANCES_EXPENSES]: 'expense',
       [this.KEYS.INVOICES]: 'invoice',
+      [this.KEYS.ROYALTY_IMPORTS]: 'royalty import',
+      [this.KEYS.BANK_RULES]: 'bank rule',
+      [this.KEYS.BUDGETS]: 'budget',
+      [this.KEYS.RECURRING]: 'recurring entry',
+      [this.KEYS.EXCHANGE_RATES]: 'exchange rate',
       [this.KEYS.EVENTS]: 'event',
       [this.KEYS.BOOKINGS]: 'booking',
       [this.KEYS.IP_RIGHTS]: 'IP entry',
@@ -106,26 +452,86 @@ const DataStore = {
       [this.KEYS.IT_CREDENTIALS]: 'credential',
       [this.KEYS.IT_SERVERS]: 'server',
       [this.KEYS.TRADEMARKS]: 'trademark',
+      [this.KEYS.SCHEMA_VERSION]: 'migration',
+      [this.KEYS.ACTIVITY]: 'audit trail',
+      'gbe-backup': 'backup',
     };
+    return entityLabels[entityKey] || 'item';
+  },
+
+  /**
+   * Append an entry to the audit trail (see js/audit.js)
+   * @param {string} action - 'create' | 'update' | 'delete' | 'migrate' | 'restore' ...
+   * @param {string} entityKey - Storage key of the collection
+   * @param {Object} entity - The record as saved (for a delete, the removed record)
+   * @param {Object} [previous] - The record before an update
+   * @private
+   */
+  _logActivity(action, entityKey, entity, previous) {
+    const activities = this._getAll(this.KEYS.ACTIVITY);
+    const label = this._entityLabel(entityKey);
+    const name = this._entityName(entity) || 'Unknown';
 
-    const label = entityLabels[entityKey] || 'item';
-    const name = entity.name || entity.title || entity.description || 'Unknown';
+    let changes = [];
+    if (action === 'create') changes = Audit.diff(entityKey, null, entity);
+    else if (action === 'update') changes = Audit.diff(entityKey, previous, entity);
+    else if (action === 'delete') changes = Audit.diff(entityKey, entity, null);
 
-    activities.unshift({
+    const entry = {
       id: Utils.generateId(),
       action,
       entityType: label,
+      entityKey,
+      entityId: entity.id || null,
       entityName: name,
+      user: Audit.currentUser(),
+      changes,
       timestamp: new Date().toISOString(),
-    });
+    };
 
-    // Keep only last 50 activities
-    if (activities.length > 50) activities.length = 50;
-    this._save(this.KEYS.ACTIVITY, activities);
+    // Kept until Audit.archive(); write just the new entry where the adapter allows
+    activities.unshift(entry);
+    this._store().insert(this.KEYS.ACTIVITY, entry, activities);
   },
 
+  /** Most recent audit entries, for the dashboard-home feed */
   getActivity(limit = 10) {
-    return this._getAll(this.KEYS.ACTIVITY).slice(0, limit);
+    return Audit.query({ limit });
+  },
+
+  // ============================================================
+  // RELATIONS
+  // ============================================================
+
+  /**
+   * Everything linked to a record (see js/relations.js)
+   * @param {string} type - Entity label ('talent', 'booking', ...) or storage key
+   * @param {string} id
+   * @returns {Object<string, Array<Object>>} Records grouped by entity label
+   * @example DataStore.getRelated('talent', 'talent-001').contract
+   */
+  getRelated(type, id) {
+    return Relations.related(type, id);
+  },
+
+  /**
+   * What deleting a record would do to linked records
+   * @param {string} key - Storage key
+   * @param {string} id
+   * @returns {{restrict: Array<Object>, cascade: Array<Object>, nullify: Array<Object>}}
+   */
+  getDeleteImpact(key, id) {
+    return Relations.impact(key, id);
+  },
+
+  /**
+   * getDeleteImpact as a sentence for confirm dialogs
+   * @param {string} key - Storage key
+   * @param {string} id
+   * @returns {string} e.g. 'This also deletes 1 event and unlinks 1 itinerary.' — '' if nothing else is touched
+   */
+  getDeleteSummary(key, id) {
+    return Relations.summary(key, id);
   },
 
   // ============================================================
@@ -173,8 +579,10 @@ const DataStore = {
   updateRevenue(id, data) { return this._update(this.KEYS.FINANCES_REVENUE, id, data); },
   deleteRevenue(id) { return this._delete(this.KEYS.FINANCES_REVENUE, id); },
 
+  /** Total in the reporting currency (see js/currency.js) */
   getTotalRevenue() {
-    return this.getRevenue().reduce((sum, r) => sum + (parseFloat(r.amount) || 0), 0);
+    const convert = Currency.converter();
+    return this.getRevenue().reduce((sum, r) => sum + convert(r.amount, r.currency, r.date), 0);
   },
 
   // ============================================================
@@ -186,25 +594,54 @@ const DataStore = {
   updateExpense(id, data) { return this._update(this.KEYS.FINANCES_EXPENSES, id, data); },
   deleteExpense(id) { return this._delete(this.KEYS.FINANCES_EXPENSES, id); },
 
+  /** Total in the reporting currency (see js/currency.js) */
   getTotalExpenses() {
-    return this.getExpenses().reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+    const convert = Currency.converter();
+    return this.getExpenses().reduce((sum, e) => sum + convert(e.amount, e.currency, e.date), 0);
   },
 
   getNetIncome() {
     return this.getTotalRevenue() - this.getTotalExpenses();
   },
 
+  // Bank import categorization rules (see js/bank-import.js)
+  getBankRules() { return this._getAll(this.KEYS.BANK_RULES); },
+  addBankRule(rule) { return this._add(this.KEYS.BANK_RULES, rule); },
+  updateBankRule(id, data) { return this._update(this.KEYS.BANK_RULES, id, data); },
+  deleteBankRule(id) { return this._delete(this.KEYS.BANK_RULES, id); },
+
+  // Budgets by category and / or project (see js/budgets.js)
+  getBudgets() { return this._getAll(this.KEYS.BUDGETS); },
+  addBudget(budget) { return this._add(this.KEYS.BUDGETS, budget); },
+  updateBudget(id, data) { return this._update(this.KEYS.BUDGETS, id, data); },
+  deleteBudget(id) { return this._delete(this.KEYS.BUDGETS, id); },
+
+  // Recurring expense / revenue templates (see js/recurring.js)
+  getRecurring() { return this._getAll(this.KEYS.RECURRING); },
+  addRecurring(template) { return this._add(this.KEYS.RECURRING, template); },
+  updateRecurring(id, data) { return this._update(this.KEYS.RECURRING, id, data); },
+  deleteRecurring(id) { return this._delete(this.KEYS.RECURRING, id); },
+
+  // Dated exchange rates into Currency.BASE (see js/currency.js)
+  getExchangeRates() { return this._getAll(this.KEYS.EXCHANGE_RATES); },
+  addExchangeRate(rate) { return this._add(this.KEYS.EXCHANGE_RATES, rate); },
+  updateExchangeRate(id, data) { return this._update(this.KEYS.EXCHANGE_RATES, id, data); },
+  deleteExchangeRate(id) { return this._delete(this.KEYS.EXCHANGE_RATES, id); },
+
   // ============================================================
   // INVOICES
   // ============================================================
 
   getInvoices() { return this._getAll(this.KEYS.INVOICES); },
-  addInvoice(invoice) { return this._add(this.KEYS.INVOICES, invoice); },
-  updateInvoice(id, data) { return this._update(this.KEYS.INVOICES, id, data); },
+  getInvoice(id) { return this._getById(this.KEYS.INVOICES, id); },
+  // Numbering and totals are filled in by Invoicing.prepare (js/invoicing.js)
+  addInvoice(invoice) { return this._add(this.KEYS.INVOICES, Invoicing.prepare(invoice)); },
+  updateInvoice(id, data) { return this._update(this.KEYS.INVOICES, id, Invoicing.prepare(data, this.getInvoice(id))); },
   deleteInvoice(id) { return this._delete(this.KEYS.INVOICES, id); },
 
+  /** Sent, part-paid or overdue invoices with a balance left */
   getOutstandingInvoices() {
-    return this.getInvoices().filter((i) => i.status === 'sent' || i.status === 'overdue');
+    return this.getInvoices().filter((i) => Invoicing.isOutstanding(i));
   },
 
   // ============================================================
@@ -300,6 +737,11 @@ const DataStore = {
   updateRelease(id, data) { return this._update(this.KEYS.DISTRIBUTION, id, data); },
   deleteRelease(id) { return this._delete(this.KEYS.DISTRIBUTION, id); },
 
+  // Royalty statement imports (see js/royalties.js) — deleting one removes its revenue
+  getRoyaltyImports() { return this._getAll(this.KEYS.ROYALTY_IMPORTS); },
+  addRoyaltyImport(imp) { return this._add(this.KEYS.ROYALTY_IMPORTS, imp); },
+  deleteRoyaltyImport(id) { return this._delete(this.KEYS.ROYALTY_IMPORTS, id); },
+
   // ============================================================
   // DOCUMENTS
   // ============================================================
@@ -366,13 +808,14 @@ const DataStore = {
   // ============================================================
 
   getIntegrations() {
-    return Utils.storage.get(this.KEYS.INTEGRATIONS, {});
+    return this._store().get(this.KEYS.INTEGRATIONS, {});
   },
 
   updateIntegration(service, data) {
     const integrations = this.getIntegrations();
     integrations[service] = { ...integrations[service], ...data, updatedAt: new Date().toISOString() };
-    Utils.storage.set(this.KEYS.INTEGRATIONS, integrations);
+    this._store().set(this.KEYS.INTEGRATIONS, integrations);
+    this._emit('update', this.KEYS.INTEGRATIONS, integrations, null);
     return integrations[service];
   },
 
@@ -381,14 +824,16 @@ const DataStore = {
   // ============================================================
 
   getSettings() {
-    return Utils.storage.get(this.KEYS.SETTINGS, {});
+    return this._store().get(this.KEYS.SETTINGS, {});
   },
 
   updateSettings(data) {
+    data = Schemas.enforce(this.KEYS.SETTINGS, data, { partial: true });
     const settings = this.getSettings();
     Object.assign(settings, data);
     settings.updatedAt = new Date().toISOString();
-    Utils.storage.set(this.KEYS.SETTINGS, settings);
+    this._store().set(this.KEYS.SETTINGS, settings);
+    this._emit('update', this.KEYS.SETTINGS, settings, null);
     return settings;
   },
 
@@ -397,16 +842,18 @@ const DataStore = {
   // ============================================================
 
   getChecklist() {
-    return Utils.storage.get(this.KEYS.CHECKLIST, []);
+    return this._store().get(this.KEYS.CHECKLIST, []);
   },
 
   updateChecklistItem(id, checked) {
     const checklist = this.getChecklist();
     const item = checklist.find((c) => c.id === id);
     if (item) {
+      const previous = { ...item };
       item.checked = checked;
       item.updatedAt = new Date().toISOString();
-      Utils.storage.set(this.KEYS.CHECKLIST, checklist);
+      this._store().set(this.KEYS.CHECKLIST, checklist);
+      this._emit('update', this.KEYS.CHECKLIST, item, previous);
     }
     return checklist;
   },
@@ -435,8 +882,10 @@ const DataStore = {
       metrics.revenueYTD = this.getTotalRevenue();
       metrics.expensesYTD = this.getTotalExpenses();
       metrics.netIncome = this.getNetIncome();
-      metrics.merchSales = this.getMerchRevenue();
-      metrics.outstandingInvoices = this.getOutstandingInvoices().reduce((sum, i) => sum + (parseFloat(i.amount) || 0), 0);
+      metrics.merchSales = Currency.convert(this.getMerchRevenue(), Currency.BASE);
+      const convert = Currency.converter();
+      metrics.outstandingInvoices = this.getOutstandingInvoices()
+        .reduce((sum, i) => sum + convert(Invoicing.totals(i).balance, i.currency, i.issueDate), 0);
     }
     return metrics;
   },
@@ -445,38 +894,25 @@ const DataStore = {
   // SEED DATA — Pre-populate on first load
   // ============================================================
 
+  /**
+   * Seed a first-time synced device whose server had no data (or could not
+   * be reached), without queuing the samples for the server
+   * @private
+   */
+  _seedAfterSync() {
+    if (this._store().get(this.KEYS.ROSTER)) return;
+    Sync.quietly(() => {
+      this.seedIfEmpty();
+      Object.values(this.KEYS).forEach((key) => this._emit('restore', key, null, null));
+    });
+  },
+
   seedIfEmpty() {
     var isLocal = (typeof Auth !== 'undefined' && Auth.isLocalDashboard && Auth.isLocalDashboard());
 
-    // Remote tier migration: if remote user has old financial seed data, clear it
-    if (!isLocal && !Utils.storage.get('gbe-data-v2')) {
-      var sensitiveKeys = [this.KEYS.FINANCES_REVENUE, this.KEYS.FINANCES_EXPENSES,
-        this.KEYS.INVOICES, this.KEYS.DOCUMENTS, this.KEYS.SETTINGS, this.KEYS.CHECKLIST];
-      sensitiveKeys.forEach(function(key) { Utils.storage.remove(key); });
-      Utils.storage.set('gbe-data-v2', 'remote');
-      console.log('🔒 DataStore: cleared sensitive data for remote tier');
-    }
-
-    // One-time migration: seed venue leads for existing users
-    if (!Utils.storage.get(this.KEYS.VENUE_LEADS)) {
-      this.seedVenueLeads();
-      console.log('🏛️ DataStore: migrated venue leads');
-    }
-
-    // One-time migration: seed IT credentials for existing users (local only)
-    if (isLocal && !Utils.storage.get(this.KEYS.IT_CREDENTIALS)) {
-      this.seedITCredentials();
-      console.log('🔑 DataStore: migrated IT credentials');
-    }
-
-    // One-time migration: seed IT servers for existing users
-    if (!Utils.storage.get(this.KEYS.IT_SERVERS)) {
-      this.seedITServers();
-      console.log('🖥️ DataStore: migrated IT servers');
-    }
-
-    if (Utils.storage.get(this.KEYS.ROSTER)) {
+    if (this._store().get(this.KEYS.ROSTER)) {
       console.log('📦 DataStore: existing data found');
+      Migrations.run();
       return;
     }
 
@@ -505,6 +941,8 @@ const DataStore = {
       this.seedITCredentials();
     }
 
+    // Fresh seed is already current-shape — no migrations to replay
+    Migrations.markCurrent();
     console.log('✅ DataStore: seed complete');
   },
 
@@ -517,7 +955,7 @@ const DataStore = {
         genre: 'Soul / Jazz / Blues / R&B',
         status: 'active',
         email: 'layoung@goldbottom-ent.com',
-        phone: '[PHONE]',
+        phone: '',
         bio: 'International soul artist, Phyllis Hyman tribute performer. #1 UK FM Radio, 5 Top-5 UK hits, Maryland Artist of Year 2018.',
         website: '../LAYoungBandPage/index.html',
         contractStart: '2025-01-15',
@@ -542,8 +980,8 @@ const DataStore = {
         category: 'artist',
         genre: 'Hip-Hop / R&B',
         status: 'prospect',
-        email: '[EMAIL]',
-        phone: '[PHONE]',
+        email: '',
+        phone: '',
         bio: '[Placeholder — Add artist bio here]',
         website: '',
         contractStart: '',
@@ -567,8 +1005,8 @@ const DataStore = {
         category: 'creative',
         genre: 'Graphic Design / Video Production',
         status: 'prospect',
-        email: '[EMAIL]',
-        phone: '[PHONE]',
+        email: '',
+        phone: '',
         bio: '[Placeholder — Add creative professional bio here]',
         website: '',
         contractStart: '',
@@ -592,8 +1030,8 @@ const DataStore = {
         category: 'developer',
         genre: 'Full-Stack / Web / Mobile',
         status: 'prospect',
-        email: '[EMAIL]',
-        phone: '[PHONE]',
+        email: '',
+        phone: '',
         bio: '[Placeholder — Add developer bio here]',
         website: '',
         contractStart: '',
@@ -677,13 +1115,13 @@ const DataStore = {
     ]);
 
     this._save(this.KEYS.INVOICES, [
-      { id: 'inv-001', invoiceNumber: 'GBE-2026-001', client: '[Client Name]', amount: 0, status: 'draft', dueDate: '2026-06-01', description: '[SAMPLE] Edit with your actual invoice', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
+      { id: 'inv-001', invoiceNumber: 'GBE-2026-001', client: '[Client Name]', issueDate: '2026-02-01', dueDate: '2026-06-01', lineItems: [{ description: 'Performance fee', quantity: 1, unitPrice: 0 }], discount: 0, taxRate: 0, subtotal: 0, tax: 0, amount: 0, payments: [], amountPaid: 0, status: 'draft', bookingId: 'book-001', notes: '[SAMPLE] Edit with your actual invoice', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
     ]);
   },
 
   seedEvents() {
     this._save(this.KEYS.EVENTS, [
-      { id: 'evt-001', title: 'L.A. Young — [Venue Name]', date: '2026-06-15T20:00:00', endDate: '2026-06-15T23:00:00', type: 'gig', venue: '[Venue, City]', notes: '[SAMPLE] Edit with your actual event', color: '#d4a017', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
+      { id: 'evt-001', title: 'L.A. Young — [Venue Name]', date: '2026-06-15T20:00:00', endDate: '2026-06-15T23:00:00', type: 'gig', venue: '[Venue, City]', artist: 'L.A. Young', talentId: 'talent-001', bookingId: 'book-001', notes: '[SAMPLE] Edit with your actual event', color: '#d4a017', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
       { id: 'evt-002', title: 'Studio Session', date: '2026-03-10T14:00:00', endDate: '2026-03-10T18:00:00', type: 'studio', venue: '[Studio Name]', notes: '[SAMPLE] Edit with your actual session details', color: '#58a6ff', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
       { id: 'evt-003', title: 'Quarterly Tax Deadline', date: '2026-04-15T00:00:00', endDate: '', type: 'deadline', venue: '', notes: 'Q1 estimated tax payment due', color: '#f85149', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
       { id: 'evt-004', title: 'Networking Event', date: '2026-05-20T18:00:00', endDate: '2026-05-20T21:00:00', type: 'meeting', venue: '[Event Location]', notes: '[SAMPLE] Edit with your actual event', color: '#3fb950', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
@@ -693,7 +1131,7 @@ const DataStore = {
   seedBookings() {
     this._save(this.KEYS.BOOKINGS, [
       {
-        id: 'book-001', name: '[Sample] Venue Show', venue: '[Venue Name, City]', date: '2026-06-15', artist: 'L.A. Young',
+        id: 'book-001', name: '[Sample] Venue Show', venue: '[Venue Name, City]', date: '2026-06-15', artist: 'L.A. Young', talentId: 'talent-001',
         stage: 'confirmed', value: 0, deposit: 0, depositPaid: false,
         // Intake fields (from Booking Agent Requirements)
         eventType: 'bar-club', guestCount: 0, hoursNeeded: 3, indoorOutdoor: 'indoor',
@@ -701,12 +1139,12 @@ const DataStore = {
         // Post-event
         rating: 0, rebook: false, outcome: '',
         // Contact
-        contactName: '[Venue Contact]', contactEmail: '[EMAIL]', contactPhone: '[PHONE]',
+        contactName: '[Venue Contact]', contactEmail: '', contactPhone: '',
         notes: '[SAMPLE] Edit with your actual booking details.',
         createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z',
       },
       {
-        id: 'book-002', name: '[Sample] Corporate Event', venue: '[Client TBD]', date: '2026-12-10', artist: 'L.A. Young',
+        id: 'book-002', name: '[Sample] Corporate Event', venue: '[Client TBD]', date: '2026-12-10', artist: 'L.A. Young', talentId: 'talent-001',
         stage: 'lead', value: 0, deposit: 0, depositPaid: false,
         eventType: 'corporate', guestCount: 0, hoursNeeded: 3, indoorOutdoor: 'indoor',
         budgetRange: 'Let\'s Discuss', soundSystem: 'not-sure', riderMet: 'na', referralSource: '',
@@ -817,13 +1255,13 @@ const DataStore = {
 
   seedTravel() {
     this._save(this.KEYS.TRAVEL, [
-      { id: 'trip-001', name: '[Sample] Venue Show — [City]', date: '2026-06-14', returnDate: '2026-06-16', city: '[City, State]', venue: '[Venue Name]', hotel: '[HOTEL TBD]', flight: 'N/A', perDiem: 0, totalBudget: 0, expenses: [], checklist: ['Confirm hotel', 'Arrange equipment transport', 'Confirm sound check time'], notes: '[SAMPLE] Edit with your actual travel details', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
+      { id: 'trip-001', name: '[Sample] Venue Show — [City]', date: '2026-06-14', returnDate: '2026-06-16', city: '[City, State]', venue: '[Venue Name]', hotel: '[HOTEL TBD]', flight: 'N/A', perDiem: 0, totalBudget: 0, expenses: [], checklist: ['Confirm hotel', 'Arrange equipment transport', 'Confirm sound check time'], talentId: 'talent-001', bookingId: 'book-001', notes: '[SAMPLE] Edit with your actual travel details', createdAt: '2026-02-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
     ]);
   },
 
   seedDistribution() {
     this._save(this.KEYS.DISTRIBUTION, [
-      { id: 'rel-001', title: '[Song Title]', artist: 'L.A. Young', type: 'single', releaseDate: '2024-01-01', distributor: 'Self-Distributed', status: 'released', platforms: ['Spotify', 'Apple Music', 'YouTube Music', 'Amazon Music', 'Tidal'], isrc: '[YOUR ISRC CODE — register at usisrc.org]', upc: '[YOUR UPC CODE — purchase at gs1us.org]', spotifyUrl: '[SPOTIFY URL]', appleMusicUrl: '[APPLE MUSIC URL]', royaltyIncome: 0, roadmapSteps: [false,false,false,false,false,false,false,false,false,false,false,false,false,false], notes: '[SAMPLE] DIY release — register your own ISRC at usisrc.org and purchase UPC from GS1 US. Edit with your actual release details.', createdAt: '2024-01-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
+      { id: 'rel-001', title: '[Song Title]', artist: 'L.A. Young', talentId: 'talent-001', type: 'single', releaseDate: '2024-01-01', distributor: 'Self-Distributed', status: 'released', platforms: ['Spotify', 'Apple Music', 'YouTube Music', 'Amazon Music', 'Tidal'], isrc: '[YOUR ISRC CODE — register at usisrc.org]', upc: '[YOUR UPC CODE — purchase at gs1us.org]', spotifyUrl: '[SPOTIFY URL]', appleMusicUrl: '[APPLE MUSIC URL]', royaltyIncome: 0, roadmapSteps: [false,false,false,false,false,false,false,false,false,false,false,false,false,false], notes: '[SAMPLE] DIY release — register your own ISRC at usisrc.org and purchase UPC from GS1 US. Edit with your actual release details.', createdAt: '2024-01-01T00:00:00Z', updatedAt: '2026-02-01T00:00:00Z' },
     ]);
   },
 
@@ -891,13 +1329,13 @@ const DataStore = {
       { id: 'srv-002', name: 'Home Server', provider: 'Self-Hosted', category: 'server', purpose: 'Local API server — Express + SQLite, PIN auth, full dashboard access', url: 'http://[YOUR-LAN-IP]:3000', ip: '[YOUR-LAN-IP]', status: 'active', monthlyCost: 0, billingCycle: 'free', renewalDate: '', notes: 'Node.js on home LAN. WAL-mode SQLite. PM2 process manager in production. server/ directory.', createdAt: '2026-02-20T00:00:00Z', updatedAt: '2026-02-20T00:00:00Z' },
       { id: 'srv-003', name: 'DigitalOcean Droplet', provider: 'DigitalOcean', category: 'hosting', purpose: 'Remote backend — API endpoints + Listmonk email service', url: '[YOUR DROPLET URL]', ip: '[YOUR DROPLET IP]', status: 'active', monthlyCost: 0, billingCycle: 'monthly', renewalDate: '', notes: 'Ubuntu droplet. Hosts Listmonk self-hosted email + remote API. Update cost when active.', createdAt: '2026-02-20T00:00:00Z', updatedAt: '2026-02-20T00:00:00Z' },
       { id: 'srv-004', name: 'Firebase', provider: 'Google', category: 'database', purpose: 'Authentication (Google/Apple/Microsoft sign-in) + Firestore database', url: 'https://console.firebase.google.com', ip: '', status: 'active', monthlyCost: 0, billingCycle: 'free', renewalDate: '', notes: 'Spark (free) plan. Project: goldbottoment. Collections: users, contact_submissions, booking_requests.', createdAt: '2026-02-20T00:00:00Z', updatedAt: '2026-02-20T00:00:00Z' },
-      { id: 'srv-005', name: 'Domain Name', provider: '[Registrar]', category: 'domain', purpose: 'Primary domain name — DNS to GitHub Pages', url: '[YOUR DOMAIN]', ip: '', status: 'active', monthlyCost: 0, billingCycle: 'annual', renewalDate: '[RENEWAL DATE]', notes: 'DNS configured with CNAME to GitHub Pages. Update with actual registrar and cost.', createdAt: '2026-02-20T00:00:00Z', updatedAt: '2026-02-20T00:00:00Z' },
+      { id: 'srv-005', name: 'Domain Name', provider: '[Registrar]', category: 'domain', purpose: 'Primary domain name — DNS to GitHub Pages', url: '[YOUR DOMAIN]', ip: '', status: 'active', monthlyCost: 0, billingCycle: 'annual', renewalDate: '', notes: 'DNS configured with CNAME to GitHub Pages. Update with actual registrar and cost.', createdAt: '2026-02-20T00:00:00Z', updatedAt: '2026-02-20T00:00:00Z' },
       { id: 'srv-006', name: 'Shopify Store', provider: 'Shopify', category: 'ecommerce', purpose: 'Merch storefront + Printful print-on-demand fulfillment', url: '[YOUR STORE URL]', ip: '', status: 'planned', monthlyCost: 0, billingCycle: 'monthly', renewalDate: '', notes: 'Not yet active. Will host merchandise with print-on-demand via Printful. Update plan cost when activated.', createdAt: '2026-02-20T00:00:00Z', updatedAt: '2026-02-20T00:00:00Z' },
     ]);
   },
 
   seedSettings() {
-    Utils.storage.set(this.KEYS.SETTINGS, {
+    this._store().set(this.KEYS.SETTINGS, {
       companyName: 'Gold Bottom Ent LLC',
       dba1: 'Gold Bottom Entertainment',
       dba2: 'Gold Bottom Enterprise',
@@ -910,8 +1348,8 @@ const DataStore = {
       insurance: '[YOUR BUSINESS INSURANCE]',
       bankName: '[BANK NAME]',
       ownerName: 'Jeffery Ponder, CISSP',
-      ownerEmail: '[YOUR EMAIL]',
-      ownerPhone: '[YOUR PHONE]',
+      ownerEmail: '',
+      ownerPhone: '',
       notifyEmail: true,
       notifyDashboard: true,
       updatedAt: new Date().toISOString(),
@@ -919,7 +1357,7 @@ const DataStore = {
   },
 
   seedChecklist() {
-    Utils.storage.set(this.KEYS.CHECKLIST, [
+    this._store().set(this.KEYS.CHECKLIST, [
       // Formation & Legal
       { id: 'chk-001', category: 'Formation & Legal', label: 'Filed Articles of Organization', checked: true },
       { id: 'chk-002', category: 'Formation & Legal', label: 'Received EIN from IRS', checked: true },
@@ -977,13 +1415,15 @@ const DataStore = {
 
   resetAll() {
     Object.values(this.KEYS).forEach((key) => {
-      Utils.storage.remove(key);
+      this._store().remove(key);
     });
     this.seedIfEmpty();
     console.log('🔄 DataStore reset and re-seeded');
   },
 };
 
+DataStore._buildAsyncApi();
+
 // Auto-initialize
 if (typeof module === 'undefined') {
   if (document.readyState === 'loading') {
@@ -0,0 +1,280 @@
+// js/finance.js
+
+/**
+ * Finance Module — reporting over revenue and expenses
+ * Read-only helpers behind the Finances & Accounting page: a combined
+ * ledger, period ranges (year, YTD, quarters), the monthly P&L and
+ * per-category / per-talent breakdowns. Writes go through DataStore.
+ *
+ * Ledger rows normalise both collections to one shape:
+ *
+ *   { id, type: 'revenue'|'expense', key, date, description, category,
+ *     amount, currency, originalAmount, talentId, record }
+ *
+ * Amounts are always positive; `type` says which side of the P&L they
+ * fall on. `amount` is in the reporting currency at the rate on the entry's
+ * date; `originalAmount` is as entered, in `currency`.
+ */
+
+const Finance = {
+  MONTHS: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
+  /** Period choices for the page filter, in display order */
+  PERIODS: [
+    { value: 'year', label: 'Full year' },
+    { value: 'ytd', label: 'Year to date' },
+    { value: 'q1', label: 'Q1 (Jan–Mar)' },
+    { value: 'q2', label: 'Q2 (Apr–Jun)' },
+    { value: 'q3', label: 'Q3 (Jul–Sep)' },
+    { value: 'q4', label: 'Q4 (Oct–Dec)' },
+    { value: 'all', label: 'All time' },
+  ],
+
+  // ============================================================
+  // PERIODS
+  // ============================================================
+
+  /**
+   * Date range for a period of a year
+   * @param {string} period - One of PERIODS[].value
+   * @param {number} [year] - Defaults to the current year
+   * @param {Date} [today] - For 'ytd'; defaults to now
+   * @returns {{from: string, to: string}} Inclusive YYYY-MM-DD bounds ('' = open)
+   */
+  range(period, year, today) {
+    const now = today || new Date();
+    const y = year || now.getFullYear();
+    const quarter = /^q([1-4])$/.exec(period);
+
+    if (period === 'all') return { from: '', to: '' };
+    if (quarter) {
+      const startMonth = (Number(quarter[1]) - 1) * 3;
+      return { from: Utils.isoDate(new Date(y, startMonth, 1)), to: Utils.isoDate(new Date(y, startMonth + 3, 0)) };
+    }
+    if (period === 'ytd' && y === now.getFullYear()) {
+      return { from: `${y}-01-01`, to: Utils.isoDate(new Date(y, now.getMonth(), now.getDate())) };
+    }
+    // 'year', and YTD of a past year (which is the whole year)
+    return { from: `${y}-01-01`, to: `${y}-12-31` };
+  },
+
+  /**
+   * @param {string} date - YYYY-MM-DD (longer ISO strings are truncated)
+   * @param {{from: string, to: string}} range
+   * @returns {boolean}
+   */
+  inRange(date, range) {
+    const d = String(date || '').slice(0, 10);
+    if (!range) return true;
+    if (range.from && (!d || d < range.from)) return false;
+    if (range.to && (!d || d > range.to)) return false;
+    return true;
+  },
+
+  /**
+   * Years that have entries, plus the current year, newest first
+   * @returns {Array<number>}
+   */
+  years() {
+    const years = new Set([new Date().getFullYear()]);
+    this.ledger().forEach((row) => {
+      const y = parseInt(String(row.date).slice(0, 4), 10);
+      if (y) years.add(y);
+    });
+    return Array.from(years).sort((a, b) => b - a);
+  },
+
+  // ============================================================
+  // LEDGER
+  // ============================================================
+
+  /**
+   * Revenue and expenses as one list, newest first
+   * @param {Object} [filters]
+   * @param {string} [filters.from] - YYYY-MM-DD, inclusive
+   * @param {string} [filters.to] - YYYY-MM-DD, inclusive
+   * @param {string} [filters.type] - 'revenue' or 'expense'
+   * @param {string} [filters.category]
+   * @param {string} [filters.talentId] - '-' matches entries with no talent
+   * @param {string} [filters.search] - Matches description, category, vendor and notes
+   * @returns {Array<Object>} Ledger rows
+   */
+  ledger(filters) {
+    const f = filters || {};
+    const rows = [];
+    const convert = Currency.converter();
+    if (f.type !== 'expense') {
+      DataStore.getRevenue().forEach((r) => rows.push(this._row('revenue', DataStore.KEYS.FINANCES_REVENUE, r, r.source, convert)));
+    }
+    if (f.type !== 'revenue') {
+      DataStore.getExpenses().forEach((e) => rows.push(this._row('expense', DataStore.KEYS.FINANCES_EXPENSES, e, e.description, convert)));
+    }
+
+    const search = (f.search || '').trim().toLowerCase();
+    return rows.filter((row) => {
+      if (!this.inRange(row.date, f)) return false;
+      if (f.category && row.category !== f.category) return false;
+      if (f.talentId && (f.talentId === '-' ? row.talentId : row.talentId !== f.talentId)) return false;
+      if (search) {
+        const r = row.record;
+        const haystack = [row.description, row.category, r.vendor, r.notes].join(' ').toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+      return true;
+    }).sort((a, b) => String(b.date).localeCompare(String(a.date)));
+  },
+
+  /**
+   * @param {Array<Object>} rows - Ledger rows
+   * @returns {{revenue: number, expenses: number, net: number, margin: (number|null)}}
+   *   margin is net / revenue as a percentage, null without revenue
+   */
+  totals(rows) {
+    const revenue = this._sum(rows.filter((r) => r.type === 'revenue'));
+    const expenses = this._sum(rows.filter((r) => r.type === 'expense'));
+    const net = revenue - expenses;
+    return { revenue, expenses, net, margin: revenue ? (net / revenue) * 100 : null };
+  },
+
+  // ============================================================
+  // REPORTS
+  // ============================================================
+
+  /**
+   * Monthly profit & loss for one year
+   * @param {number} year
+   * @param {Object} [filters] - Extra ledger filters (category, talentId, ...)
+   * @returns {Array<{month: string, label: string, revenue: number, expenses: number, net: number}>}
+   *   Twelve rows, January first; month is YYYY-MM
+   */
+  monthly(year, filters) {
+    const rows = this.ledger(Object.assign({}, filters, this.range('year', year)));
+    return this.MONTHS.map((label, i) => {
+      const month = `${year}-${String(i + 1).padStart(2, '0')}`;
+      const t = this.totals(rows.filter((r) => String(r.date).startsWith(month)));
+      return { month, label, revenue: t.revenue, expenses: t.expenses, net: t.net };
+    });
+  },
+
+  /**
+   * Totals per category
+   * @param {Array<Object>} rows - Ledger rows
+   * @returns {{revenue: Array<{category: string, total: number}>, expense: Array<{category: string, total: number}>}}
+   *   Largest first; uncategorised entries are grouped under 'other'
+   */
+  byCategory(rows) {
+    const out = { revenue: {}, expense: {} };
+    rows.forEach((r) => {
+      const cat = r.category || 'other';
+      out[r.type][cat] = (out[r.type][cat] || 0) + r.amount;
+    });
+    const list = (totals) => Object.keys(totals)
+      .map((category) => ({ category, total: totals[category] }))
+      .sort((a, b) => b.total - a.total);
+    return { revenue: list(out.revenue), expense: list(out.expense) };
+  },
+
+  /**
+   * Revenue per roster member
+   * @param {Array<Object>} rows - Ledger rows (expense rows are ignored)
+   * @returns {Array<{talentId: string, name: string, total: number, count: number, share: number, categories: Object<string, number>}>}
+   *   Largest first. Entries without a talent are grouped under talentId ''.
+   */
+  byTalent(rows) {
+    const revenue = rows.filter((r) => r.type === 'revenue');
+    const grand = this._sum(revenue);
+    const groups = {};
+    revenue.forEach((r) => {
+      const id = r.talentId || '';
+      if (!groups[id]) {
+        const talent = id ? DataStore.getTalent(id) : null;
+        groups[id] = { talentId: id, name: talent ? talent.name : (id ? 'Unknown talent' : 'Company / unassigned'), total: 0, count: 0, share: 0, categories: {} };
+      }
+      const g = groups[id];
+      const cat = r.category || 'other';
+      g.total += r.amount;
+      g.count += 1;
+      g.categories[cat] = (g.categories[cat] || 0) + r.amount;
+    });
+    return Object.keys(groups).map((id) => {
+      groups[id].share = grand ? (groups[id].total / grand) * 100 : 0;
+      return groups[id];
+    }).sort((a, b) => b.total - a.total);
+  },
+
+  // ============================================================
+  // EXPORT
+  // ============================================================
+
+  COLUMNS: [
+    { key: 'date', label: 'Date' },
+    { key: 'type', label: 'Type' },
+    { key: 'description', label: 'Description' },
+    { key: 'category', label: 'Category' },
+    { key: 'talent', label: 'Talent' },
+    { key: 'vendor', label: 'Vendor' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'originalAmount', label: 'Original Amount' },
+    { key: 'originalCurrency', label: 'Original Currency' },
+    { key: 'notes', label: 'Notes' },
+  ],
+
+  /**
+   * Download ledger rows as gbe-ledger-YYYY-MM-DD.csv
+   * Expenses are written as negative amounts so the column sums to net income,
+   * in the reporting currency; the amount as entered follows it.
+   * @param {Array<Object>} rows - Ledger rows
+   */
+  exportCSV(rows) {
+    const reporting = Currency.reporting();
+    const sign = (row, n) => (row.type === 'expense' ? -n : n).toFixed(2);
+    const out = rows.map((row) => {
+      const talent = row.talentId ? DataStore.getTalent(row.talentId) : null;
+      return {
+        date: row.date,
+        type: row.type,
+        description: row.description,
+        category: row.category,
+        talent: talent ? talent.name : '',
+        vendor: row.record.vendor || '',
+        amount: sign(row, row.amount),
+        currency: reporting,
+        originalAmount: sign(row, row.originalAmount),
+        originalCurrency: row.currency,
+        notes: row.record.notes || '',
+      };
+    });
+    Utils.downloadCSV(out, `gbe-ledger-${new Date().toISOString().slice(0, 10)}.csv`, this.COLUMNS);
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /** @private */
+  _row(type, key, record, description, convert) {
+    const originalAmount = parseFloat(record.amount) || 0;
+    const currency = Currency.of(record);
+    return {
+      id: record.id,
+      type,
+      key,
+      date: record.date || '',
+      description: description || '',
+      category: record.category || '',
+      amount: convert(originalAmount, currency, record.date),
+      currency,
+      originalAmount,
+      talentId: record.talentId || '',
+      record,
+    };
+  },
+
+  /** @private */
+  _sum(rows) {
+    return rows.reduce((sum, r) => sum + r.amount, 0);
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Finance;
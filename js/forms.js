@@ -260,6 +260,58 @@ const Forms = {
     }
   },
 
+  /**
+   * Map a list of field errors onto a form — e.g. the errors carried by a
+   * Schemas.ValidationError thrown from DataStore. Errors for fields the
+   * form does not render fall back to a toast.
+   * @param {HTMLFormElement} formElement
+   * @param {Array<{field: string, message: string}>} errors
+   * @returns {boolean} Always false, so an onSave handler can return it
+   */
+  showErrors: function (formElement, errors) {
+    if (!formElement) return false;
+    this.clearErrors(formElement);
+
+    var unmatched = [];
+    for (var i = 0; i < (errors || []).length; i++) {
+      var input = formElement.elements[errors[i].field];
+      // RadioNodeList — attach to the first control
+      if (input && !input.tagName && input.length) input = input[0];
+      if (input) {
+        this.showError(input, errors[i].message);
+      } else {
+        unmatched.push(errors[i].message);
+      }
+    }
+
+    if (unmatched.length && typeof Toast !== 'undefined') {
+      Toast.error(unmatched.join(' '));
+    }
+
+    var first = formElement.querySelector('.form-input-error');
+    if (first) first.focus();
+    return false;
+  },
+
+  /**
+   * <option> list for a field that links to another collection (a relation
+   * declared in js/relations.js), e.g. a booking's talentId.
+   * @param {string} key - Storage key of the linked collection
+   * @param {string} [selectedId]
+   * @param {string} [emptyLabel] - Label of a leading "no link" option; omitted when not given
+   * @returns {string} HTML
+   */
+  recordOptions: function (key, selectedId, emptyLabel) {
+    var html = emptyLabel ? '<option value="">' + Utils.escapeHtml(emptyLabel) + '</option>' : '';
+    var records = (typeof DataStore !== 'undefined') ? DataStore._getAll(key) : [];
+    for (var i = 0; i < records.length; i++) {
+      var r = records[i];
+      html += '<option value="' + Utils.escapeHtml(r.id) + '"' + (r.id === selectedId ? ' selected' : '') + '>' +
+        Utils.escapeHtml(r.name || r.title || r.id) + '</option>';
+    }
+    return html;
+  },
+
   /**
    * Clear all error indicators from a form.
    * @param {HTMLFormElement} formElement
@@ -0,0 +1,386 @@
+// js/intake.js
+
+/**
+ * Intake Module — public booking requests into the booking pipeline
+ * The booking request form on the entertainment contact page posts each
+ * request to the home server ({server}{apiPath}/booking-requests, or
+ * SiteConfig.intake.endpoint when the public site reaches it another way).
+ * Without either — the public GitHub Pages site — it goes to the Firestore
+ * booking_requests collection (Auth._db; the Firestore rules must allow
+ * anyone to create there and only admins to read and delete). Only when
+ * none of those answers does the request wait in this browser's queue
+ * (localStorage), which only a dashboard on the same origin can read, so
+ * the form offers the visitor an email fallback instead of confirming.
+ *
+ * On the local dashboard, start() imports all three: each request becomes a
+ * `lead` booking (Pipeline.add) with its intake fields filled in. A
+ * request from the same contact email for the same event date as an
+ * existing booking is merged into that booking's notes instead. Bookings
+ * keep the ids of the requests they came from (intakeIds), so a request
+ * is never imported twice.
+ *
+ * Server contract:
+ *   POST   /booking-requests        → store a request
+ *   GET    /booking-requests        → requests not yet imported
+ *   DELETE /booking-requests/{id}   → acknowledge an imported request
+ * Firestore: one booking_requests document per request, id = request id,
+ * deleted once imported.
+ */
+
+const Intake = {
+  QUEUE_KEY: 'gbe-intake-queue',
+
+  /** Firestore collection the public site writes to */
+  COLLECTION: 'booking_requests',
+
+  /** Choices offered by the public form, matching the booking form's */
+  OPTIONS: {
+    eventType: ['Wedding', 'Corporate', 'Bar/Club', 'Private Party', 'Festival', 'Birthday', 'Nonprofit', 'Other'],
+    indoorOutdoor: ['Indoor', 'Outdoor', 'Both/Hybrid'],
+    budgetRange: ['Under $500', '$500–$1,000', '$1,000–$2,500', '$2,500–$5,000', '$5,000+'],
+    soundSystem: ['Yes', 'No', 'Not Sure'],
+  },
+
+  /** Request fields copied onto the booking as they are */
+  INTAKE_FIELDS: ['eventType', 'indoorOutdoor', 'budgetRange', 'soundSystem', 'referralSource'],
+
+  /** @type {Object|null} Values for the next booking form opened (see prefill()) */
+  _prefill: null,
+
+  /** @type {Promise|null} The import in progress (see start()) */
+  _running: null,
+
+  _config() {
+    const defaults = { endpoint: '', timeoutSeconds: 8 };
+    return Object.assign(defaults, (typeof SiteConfig !== 'undefined' && SiteConfig.intake) || {});
+  },
+
+  /**
+   * Where requests are sent, or null when there is no server to send to
+   * @returns {string|null}
+   */
+  url() {
+    const cfg = this._config();
+    if (cfg.endpoint) return cfg.endpoint.replace(/\/+$/, '');
+    if (typeof Auth === 'undefined' || !Auth._serverUrl) return null;
+    return StorageAdapters.adapters.rest._entityUrl('gbe-booking-requests');
+  },
+
+  /** @returns {Object|null} The Firestore collection, when Firebase is set up on this page */
+  _collection() {
+    if (typeof Auth === 'undefined' || !Auth._db) return null;
+    return Auth._db.collection(this.COLLECTION);
+  },
+
+  // ============================================================
+  // SUBMIT (public site)
+  // ============================================================
+
+  /**
+   * Request record from the public form's data
+   * @param {Object} data - Forms.getData() of the booking request form
+   * @returns {Object}
+   */
+  normalize(data) {
+    const text = (v) => String(v === undefined || v === null ? '' : v).trim();
+    const number = (v) => (text(v) === '' ? '' : parseFloat(v));
+    const request = {
+      id: Utils.generateId(),
+      receivedAt: new Date().toISOString(),
+      name: text(data.name),
+      email: text(data.email).toLowerCase(),
+      phone: text(data.phone),
+      eventDate: text(data.eventDate),
+      venue: text(data.venue),
+      guestCount: number(data.guestCount),
+      hoursNeeded: number(data.hoursNeeded),
+      subject: text(data.subject),
+      message: text(data.message),
+    };
+    this.INTAKE_FIELDS.forEach((field) => { request[field] = text(data[field]); });
+    return request;
+  },
+
+  /**
+   * Send a booking request to the server, else to Firestore, else queue it
+   * in this browser. A queued request has not reached the office — tell the
+   * visitor so (see mailto()).
+   * @param {Object} data - Form data (see normalize())
+   * @returns {Promise<{request: Object, queued: boolean}>} Never rejects
+   */
+  submit(data) {
+    const request = this.normalize(data);
+    const url = this.url();
+    const collection = this._collection();
+    const sent = () => ({ request, queued: false });
+
+    const toFirestore = (err) => {
+      if (err) console.warn('[Intake] Booking request not sent to the server:', err);
+      if (!collection) return Promise.reject(new Error('No booking request store configured'));
+      return this._timeout(collection.doc(request.id).set(request)).then(sent);
+    };
+
+    const attempt = url ? this._request('POST', url, request).then(sent, toFirestore) : toFirestore();
+    return attempt.catch((err) => {
+      console.warn('[Intake] Booking request not sent — queued locally:', err);
+      this._enqueue(request);
+      return { request, queued: true };
+    });
+  },
+
+  /**
+   * mailto: link carrying a request, for when it could only be queued
+   * @param {Object} request
+   * @returns {string|null} null when the company email isn't set
+   */
+  mailto(request) {
+    const email = typeof SiteConfig !== 'undefined' && SiteConfig.company && SiteConfig.company.email;
+    if (!email || /^\[.*\]$/.test(String(email).trim())) return null;
+    const lines = [
+      `Name: ${request.name}`,
+      `Email: ${request.email}`,
+      request.phone && `Phone: ${request.phone}`,
+      request.eventDate && `Event date: ${request.eventDate}`,
+      request.venue && `Venue: ${request.venue}`,
+      request.eventType && `Event type: ${request.eventType}`,
+      request.guestCount !== '' && `Guests: ${request.guestCount}`,
+      request.hoursNeeded !== '' && `Hours: ${request.hoursNeeded}`,
+      request.budgetRange && `Budget: ${request.budgetRange}`,
+      '',
+      request.message,
+    ].filter((line) => line !== false && line !== undefined && line !== null);
+    const subject = request.subject || `Booking request — ${request.eventType || request.name}`;
+    return `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+  },
+
+  /** @returns {Array<Object>} Requests waiting in this browser */
+  queue() {
+    return Utils.storage.get(this.QUEUE_KEY, []);
+  },
+
+  /**
+   * Queue a request; a newer one from the same email for the same date
+   * replaces it
+   * @private
+   */
+  _enqueue(request) {
+    const rest = this.queue().filter((r) => this._key(r) !== this._key(request));
+    rest.push(request);
+    Utils.storage.set(this.QUEUE_KEY, rest);
+  },
+
+  /**
+   * Values for the next booking request form opened, e.g. from a "Book an
+   * Artist" link; read once
+   * @param {Object} [values] - Omit to read and clear
+   * @returns {Object|null}
+   */
+  prefill(values) {
+    if (values !== undefined) {
+      this._prefill = values;
+      return values;
+    }
+    const taken = this._prefill;
+    this._prefill = null;
+    return taken;
+  },
+
+  // ============================================================
+  // IMPORT (dashboard)
+  // ============================================================
+
+  /**
+   * Booking fields for a request
+   * @param {Object} request
+   * @returns {Object}
+   */
+  toBooking(request) {
+    const booking = {
+      name: `${request.eventType || 'Booking'} — ${request.name || request.email}`,
+      venue: request.venue || 'TBD',
+      date: request.eventDate || '',
+      stage: 'lead',
+      contactName: request.name,
+      contactEmail: request.email,
+      contactPhone: request.phone,
+      notes: this._note(request),
+      intakeIds: [request.id],
+    };
+    this.INTAKE_FIELDS.forEach((field) => { booking[field] = request[field] || ''; });
+    if (request.guestCount !== '' && request.guestCount !== undefined) booking.guestCount = Math.round(request.guestCount);
+    if (request.hoursNeeded !== '' && request.hoursNeeded !== undefined) booking.hoursNeeded = request.hoursNeeded;
+    return booking;
+  },
+
+  /**
+   * Booking for the same contact email and event date, if any
+   * @param {Object} request
+   * @returns {Object|undefined}
+   */
+  findDuplicate(request) {
+    const key = this._key(request);
+    return DataStore.getBookings().find((b) => this._key({ email: b.contactEmail, eventDate: b.date }) === key);
+  },
+
+  /**
+   * Add requests to the pipeline as leads, merging duplicates, in one
+   * undoable step. Requests already imported are skipped; those the
+   * bookings schema rejects (e.g. a malformed email from the server) are
+   * listed as invalid with the reason.
+   * @param {Array<Object>} requests
+   * @returns {{added: Array<Object>, merged: Array<Object>, skipped: number, invalid: Array<{request: Object, message: string}>}}
+   */
+  import(requests) {
+    const result = { added: [], merged: [], skipped: 0, invalid: [] };
+    DataStore.batch('Import booking requests', () => {
+      requests.forEach((request) => {
+        if (DataStore.getBookings().some((b) => (b.intakeIds || []).includes(request.id))) {
+          result.skipped++;
+          return;
+        }
+        try {
+          const existing = this.findDuplicate(request);
+          if (!existing) {
+            result.added.push(Pipeline.add(this.toBooking(request)));
+            return;
+          }
+          const notes = [existing.notes, `Repeat request:\n${this._note(request)}`]
+            .filter(Boolean).join('\n\n');
+          result.merged.push(DataStore.updateBooking(existing.id, {
+            notes,
+            intakeIds: (existing.intakeIds || []).concat(request.id),
+          }));
+        } catch (err) {
+          if (!err || err.name !== 'ValidationError') throw err;
+          console.warn('[Intake] Booking request invalid:', err.message, request);
+          result.invalid.push({ request, message: err.message });
+        }
+      });
+    });
+    return result;
+  },
+
+  /**
+   * Import requests from the server, Firestore and this browser's queue.
+   * Invalid requests stay where they are, to be fixed or removed there.
+   * @returns {Promise<Object>} import()'s result
+   */
+  run() {
+    const url = this.url();
+    const collection = this._collection();
+    const fetched = url
+      ? this._request('GET', url).catch((err) => {
+        console.warn('[Intake] Could not fetch booking requests:', err);
+        return [];
+      })
+      : Promise.resolve([]);
+    const stored = collection
+      ? this._timeout(collection.get())
+        .then((snapshot) => snapshot.docs.map((doc) => Object.assign({ id: doc.id }, doc.data())))
+        .catch((err) => {
+          console.warn('[Intake] Could not read booking requests from Firestore:', err);
+          return [];
+        })
+      : Promise.resolve([]);
+
+    return Promise.all([fetched, stored]).then(([remote, cloud]) => {
+      const server = Array.isArray(remote) ? remote : [];
+      const local = this.queue();
+      const result = this.import(server.concat(cloud, local));
+      const invalid = new Set(result.invalid.map((x) => x.request));
+      const done = (r) => !invalid.has(r);
+      Utils.storage.set(this.QUEUE_KEY, local.filter((r) => !done(r)));
+      // Acknowledge after the import so a failure leaves them for next time
+      return Promise.all(
+        server.filter(done).map((r) => this._request('DELETE', `${url}/${encodeURIComponent(r.id)}`).catch(() => null))
+          .concat(cloud.filter(done).map((r) => collection.doc(r.id).delete().catch(() => null))),
+      ).then(() => result);
+    });
+  },
+
+  /**
+   * Import waiting requests on the local dashboard. A call while an import
+   * is running shares it rather than starting a second.
+   * @returns {Promise<Object|null>} run()'s result; null when not local or it failed. Never rejects.
+   */
+  start() {
+    if (typeof Auth === 'undefined' || !Auth.isLocalDashboard || !Auth.isLocalDashboard()) return Promise.resolve(null);
+    if (this._running) return this._running;
+
+    this._running = this.run()
+      .then((result) => {
+        const count = result.added.length + result.merged.length;
+        if (count && typeof Toast !== 'undefined') {
+          const parts = [];
+          if (result.added.length) parts.push(`${result.added.length} new lead${result.added.length === 1 ? '' : 's'}`);
+          if (result.merged.length) parts.push(`${result.merged.length} merged into existing bookings`);
+          Toast.undoable(`Booking requests: ${parts.join(', ')}`);
+        }
+        if (result.invalid.length && typeof Toast !== 'undefined') {
+          const names = result.invalid.map((x) => x.request.name || x.request.email || x.request.id).join(', ');
+          Toast.warning(`${result.invalid.length} booking request${result.invalid.length === 1 ? '' : 's'} could not be imported: ${names}`);
+        }
+        return result;
+      })
+      .catch((err) => {
+        console.warn('[Intake] Booking request import failed:', err);
+        return null;
+      })
+      .then((result) => {
+        this._running = null;
+        return result;
+      });
+    return this._running;
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /** @private Duplicate key: lower-case email + event date */
+  _key(request) {
+    return `${String(request.email || '').trim().toLowerCase()}|${request.eventDate || ''}`;
+  },
+
+  /** @private Booking notes for a request */
+  _note(request) {
+    const lines = [];
+    if (request.subject) lines.push(request.subject);
+    if (request.message) lines.push(request.message);
+    lines.push(`Submitted through the website booking form on ${Utils.formatDate(request.receivedAt)}.`);
+    return lines.join('\n');
+  },
+
+  /**
+   * A promise that rejects after SiteConfig.intake.timeoutSeconds
+   * @private
+   */
+  _timeout(promise) {
+    const timeout = new Promise((resolve, reject) => {
+      setTimeout(() => reject(new TypeError('Booking request timed out')), this._config().timeoutSeconds * 1000);
+    });
+    return Promise.race([promise, timeout]);
+  },
+
+  /**
+   * JSON request with a timeout; 204 resolves to null, and so does a 404
+   * on GET / DELETE (nothing waiting, already gone). A POST that isn't 2xx
+   * rejects so submit() falls back rather than losing the request.
+   * @private
+   */
+  _request(method, url, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (typeof Auth !== 'undefined' && Auth._sessionToken) headers['X-GBE-Session'] = Auth._sessionToken;
+    const opts = { method, headers };
+    if (body !== undefined) opts.body = JSON.stringify(body);
+
+    return this._timeout(fetch(url, opts)).then((response) => {
+      if (response.status === 404 && method !== 'POST') return null;
+      if (!response.ok) throw new Error(`HTTP ${response.status} ${method} ${url}`);
+      if (response.status === 204) return null;
+      return response.json().catch(() => null);
+    });
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Intake;
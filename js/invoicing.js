@@ -0,0 +1,292 @@
+// js/invoicing.js
+
+/**
+ * Invoicing Module — invoice numbering, totals, payments and print output
+ * An invoice carries its line items and the figures derived from them:
+ *
+ *   { invoiceNumber, client, clientEmail, clientAddress, issueDate, dueDate,
+ *     lineItems: [{ description, quantity, unitPrice }],
+ *     discount, taxRate, subtotal, tax, amount,
+ *     payments: [{ id, date, amount, method, reference, revenueId }],
+ *     amountPaid, status, talentId, bookingId, notes }
+ *
+ * `amount` is the invoice total (subtotal − discount + tax on the
+ * discounted subtotal). DataStore.addInvoice / updateInvoice run writes
+ * through prepare(), so the derived fields never drift from the line items.
+ *
+ * Status moves draft → sent → partial → paid. 'overdue' is derived: a sent
+ * or part-paid invoice past its due date with a balance left reports
+ * 'overdue' from status() without being rewritten. Invoices saved before
+ * line items existed are read as a single line for their amount.
+ */
+
+const Invoicing = {
+  PAYMENT_METHODS: ['check', 'ach', 'wire', 'card', 'cash', 'paypal', 'zelle', 'venmo', 'other'],
+
+  /** Balances smaller than this count as settled (rounding) */
+  EPSILON: 0.005,
+
+  // ============================================================
+  // NUMBERING
+  // ============================================================
+
+  /** @returns {string} e.g. 'GBE' — from SiteConfig.company.shortName */
+  prefix() {
+    return (typeof SiteConfig !== 'undefined' && SiteConfig.company && SiteConfig.company.shortName) || 'INV';
+  },
+
+  /**
+   * Next free number for a year: PREFIX-YYYY-NNN, one past the highest in use
+   * @param {number} [year] - Defaults to the current year
+   * @returns {string}
+   */
+  nextNumber(year) {
+    const y = year || new Date().getFullYear();
+    const pattern = new RegExp(`^${this.prefix().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-${y}-(\\d+)$`);
+    const highest = DataStore.getInvoices().reduce((max, inv) => {
+      const match = pattern.exec(inv.invoiceNumber || '');
+      return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+    return `${this.prefix()}-${y}-${String(highest + 1).padStart(3, '0')}`;
+  },
+
+  // ============================================================
+  // TOTALS
+  // ============================================================
+
+  /**
+   * @param {{quantity: number, unitPrice: number}} item
+   * @returns {number}
+   */
+  lineTotal(item) {
+    return Utils.roundMoney((parseFloat(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0));
+  },
+
+  /**
+   * Derived figures for an invoice
+   * @param {Object} inv
+   * @returns {{subtotal: number, discount: number, tax: number, total: number, paid: number, balance: number}}
+   */
+  totals(inv) {
+    const items = inv.lineItems || [];
+    const subtotal = items.length
+      ? Utils.roundMoney(items.reduce((sum, item) => sum + this.lineTotal(item), 0))
+      : (parseFloat(inv.amount) || 0);
+    const discount = items.length ? Math.min(parseFloat(inv.discount) || 0, subtotal) : 0;
+    const tax = items.length ? Utils.roundMoney((subtotal - discount) * (parseFloat(inv.taxRate) || 0) / 100) : 0;
+    const total = Utils.roundMoney(subtotal - discount + tax);
+    const paid = Utils.roundMoney(parseFloat(inv.amountPaid) || (inv.payments || []).reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0));
+    return { subtotal, discount, tax, total, paid, balance: Utils.roundMoney(total - paid) };
+  },
+
+  /**
+   * Normalise an invoice write and fill in the derived fields
+   * @param {Object} data - New invoice, or a partial update
+   * @param {Object} [current] - The stored invoice, for updates
+   * @returns {Object} A copy of data, ready for DataStore
+   */
+  prepare(data, current) {
+    const out = Object.assign({}, data);
+
+    if (Array.isArray(out.lineItems)) {
+      out.lineItems = out.lineItems
+        .map((item) => ({
+          description: String(item.description || '').trim(),
+          quantity: parseFloat(item.quantity) || 0,
+          unitPrice: parseFloat(item.unitPrice) || 0,
+        }))
+        .filter((item) => item.description || item.unitPrice);
+    }
+
+    if (!current) {
+      out.issueDate = out.issueDate || Utils.today();
+      out.invoiceNumber = out.invoiceNumber || this.nextNumber(parseInt(out.issueDate.slice(0, 4), 10));
+      out.status = out.status || 'draft';
+      out.payments = out.payments || [];
+      out.amountPaid = out.amountPaid || 0;
+    }
+
+    const merged = Object.assign({}, current, out);
+    if (merged.lineItems && merged.lineItems.length) {
+      const t = this.totals(merged);
+      out.subtotal = t.subtotal;
+      out.tax = t.tax;
+      out.amount = t.total;
+    }
+    return out;
+  },
+
+  // ============================================================
+  // STATUS
+  // ============================================================
+
+  /**
+   * Status to show: the stored status, or 'overdue' once a sent or
+   * part-paid invoice is past due with a balance left
+   * @param {Object} inv
+   * @param {string} [today] - YYYY-MM-DD
+   * @returns {string}
+   */
+  status(inv, today) {
+    const stored = inv.status || 'draft';
+    if ((stored === 'sent' || stored === 'partial') && inv.dueDate && inv.dueDate < (today || Utils.today()) &&
+        this.totals(inv).balance > this.EPSILON) {
+      return 'overdue';
+    }
+    return stored;
+  },
+
+  /**
+   * @param {Object} inv
+   * @returns {boolean} Sent to the client and not yet paid in full
+   */
+  isOutstanding(inv) {
+    return ['sent', 'partial', 'overdue'].includes(inv.status) && this.totals(inv).balance > this.EPSILON;
+  },
+
+  // ============================================================
+  // ACTIONS
+  // ============================================================
+
+  /**
+   * Mark a draft as sent to the client
+   * @param {string} id
+   * @returns {Object|null} The updated invoice
+   */
+  markSent(id) {
+    const inv = DataStore.getInvoice(id);
+    if (!inv) return null;
+    return DataStore.updateInvoice(id, { status: 'sent', sentDate: inv.sentDate || Utils.today() });
+  },
+
+  /**
+   * Record a payment against an invoice. Logs a matching revenue entry
+   * (linked through invoiceId) and moves the invoice to partial or paid,
+   * as one undoable step.
+   * @param {string} id
+   * @param {{amount: number, date: string, method: string, reference: string}} payment
+   * @returns {Object} The revenue entry
+   * @throws {ValidationError} If the amount is not positive or exceeds the balance
+   */
+  recordPayment(id, payment) {
+    const inv = DataStore.getInvoice(id);
+    if (!inv) throw new Error('Invoice not found');
+    const t = this.totals(inv);
+    const amount = Utils.roundMoney(parseFloat(payment.amount) || 0);
+    const date = payment.date || Utils.today();
+
+    const errors = [];
+    if (inv.status === 'draft') errors.push({ field: 'amount', message: 'Mark the invoice as sent before recording a payment.' });
+    else if (amount <= 0) errors.push({ field: 'amount', message: 'Amount must be more than zero.' });
+    else if (amount > t.balance + this.EPSILON) errors.push({ field: 'amount', message: `Amount is more than the ${Utils.formatCurrency(t.balance, Currency.of(inv))} balance.` });
+    if (errors.length) throw new Schemas.ValidationError(DataStore.KEYS.INVOICES, errors);
+
+    return DataStore.batch(`Recorded payment on invoice ${inv.invoiceNumber}`, () => {
+      const revenue = DataStore.addRevenue({
+        date,
+        source: `Invoice ${inv.invoiceNumber} — ${inv.client}`,
+        amount,
+        currency: Currency.of(inv),
+        category: 'services',
+        talentId: inv.talentId || '',
+        bookingId: inv.bookingId || '',
+        invoiceId: inv.id,
+        notes: [payment.method, payment.reference].filter(Boolean).join(' · '),
+      });
+
+      const paid = Utils.roundMoney(t.paid + amount);
+      const settled = paid >= t.total - this.EPSILON;
+      DataStore.updateInvoice(id, {
+        payments: (inv.payments || []).concat({
+          id: Utils.generateId(), date, amount, method: payment.method || '', reference: payment.reference || '', revenueId: revenue.id,
+        }),
+        amountPaid: paid,
+        status: settled ? 'paid' : 'partial',
+        paidDate: settled ? date : '',
+      });
+      return revenue;
+    });
+  },
+
+  // ============================================================
+  // OUTPUT
+  // ============================================================
+
+  /**
+   * Standalone, print-ready HTML document for an invoice
+   * @param {Object} inv
+   * @returns {string}
+   */
+  renderHTML(inv) {
+    const esc = (v) => Utils.escapeHtml(v === undefined || v === null ? '' : String(v));
+    const money = (v) => Utils.formatCurrency(v, Currency.of(inv));
+    const date = (v) => (v ? Utils.formatDate(v) : '—');
+    const company = (typeof SiteConfig !== 'undefined' && SiteConfig.company) || {};
+    const filled = (v) => v && !/^\[.*\]$/.test(String(v).trim());
+    const t = this.totals(inv);
+    const items = (inv.lineItems && inv.lineItems.length)
+      ? inv.lineItems
+      : [{ description: inv.description || 'Services', quantity: 1, unitPrice: t.subtotal }];
+    const status = this.status(inv);
+
+    const rows = items.map((item) => `
+        <tr><td>${esc(item.description)}</td><td class="num">${esc(item.quantity)}</td><td class="num">${money(item.unitPrice)}</td><td class="num">${money(this.lineTotal(item))}</td></tr>`).join('');
+    const companyLines = [company.address, company.email, company.phone].filter(filled).map(esc).join('<br>');
+    const clientLines = [inv.clientAddress, inv.clientEmail].filter(filled).map((v) => esc(v).replace(/\n/g, '<br>')).join('<br>');
+
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Invoice ${esc(inv.invoiceNumber)}</title>
+<style>
+  body{font-family:-apple-system,'Segoe UI',Helvetica,Arial,sans-serif;color:#1f2328;margin:40px;font-size:14px;}
+  .head{display:flex;justify-content:space-between;align-items:flex-start;border-bottom:3px solid #d4a017;padding-bottom:16px;margin-bottom:24px;}
+  h1{margin:0;font-size:28px;letter-spacing:0.08em;color:#d4a017;}
+  .muted{color:#656d76;}
+  .parties{display:flex;justify-content:space-between;gap:24px;margin-bottom:24px;}
+  table{width:100%;border-collapse:collapse;}
+  th{text-align:left;font-size:12px;text-transform:uppercase;letter-spacing:0.05em;color:#656d76;border-bottom:2px solid #d0d7de;padding:8px;}
+  td{padding:8px;border-bottom:1px solid #eaeef2;vertical-align:top;}
+  .num{text-align:right;white-space:nowrap;}
+  .totals{margin-left:auto;width:280px;margin-top:16px;}
+  .totals td{border:none;padding:4px 8px;}
+  .grand td{border-top:2px solid #1f2328;font-weight:700;font-size:16px;}
+  .stamp{display:inline-block;padding:2px 10px;border:2px solid;border-radius:4px;font-weight:700;text-transform:uppercase;font-size:12px;}
+  .notes{margin-top:32px;white-space:pre-wrap;}
+  @media print{body{margin:0;}}
+</style></head>
+<body>
+  <div class="head">
+    <div><strong style="font-size:18px;">${esc(company.legalName || company.name || '')}</strong><br><span class="muted">${companyLines}</span></div>
+    <div style="text-align:right;"><h1>INVOICE</h1><div><strong>${esc(inv.invoiceNumber)}</strong></div>
+      <div class="stamp" style="color:${status === 'paid' ? '#1a7f37' : status === 'overdue' ? '#cf222e' : '#656d76'};">${esc(status)}</div></div>
+  </div>
+  <div class="parties">
+    <div><div class="muted">Bill to</div><strong>${esc(inv.client)}</strong><br>${clientLines}</div>
+    <div style="text-align:right;"><div><span class="muted">Issued:</span> ${date(inv.issueDate)}</div><div><span class="muted">Due:</span> ${date(inv.dueDate)}</div></div>
+  </div>
+  <table>
+    <thead><tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td>Subtotal</td><td class="num">${money(t.subtotal)}</td></tr>
+    ${t.discount ? `<tr><td>Discount</td><td class="num">-${money(t.discount)}</td></tr>` : ''}
+    ${t.tax ? `<tr><td>Tax (${esc(inv.taxRate)}%)</td><td class="num">${money(t.tax)}</td></tr>` : ''}
+    <tr class="grand"><td>Total</td><td class="num">${money(t.total)}</td></tr>
+    ${t.paid ? `<tr><td>Paid</td><td class="num">-${money(t.paid)}</td></tr><tr><td><strong>Balance due</strong></td><td class="num"><strong>${money(t.balance)}</strong></td></tr>` : ''}
+  </table>
+  ${inv.notes ? `<div class="notes"><div class="muted">Notes</div>${esc(inv.notes)}</div>` : ''}
+</body></html>`;
+  },
+
+  /**
+   * Open the invoice for printing / saving as PDF
+   * @param {Object} inv
+   * @returns {boolean} false if the browser blocked the window
+   */
+  print(inv) {
+    return Utils.printHTML(this.renderHTML(inv));
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Invoicing;
@@ -106,11 +106,19 @@
         if (typeof Toast !== 'undefined') {
           Toast.success('Connection restored');
         }
+        // Replay changes queued while offline
+        if (typeof Sync !== 'undefined' && (Sync.isEnabled() || Sync.pendingCount())) {
+          Sync.flush().then((result) => {
+            if (result.pushed && Sync.isEnabled() && typeof Toast !== 'undefined') {
+              Toast.info(`Synced ${result.pushed} offline change${result.pushed === 1 ? '' : 's'}`);
+            }
+          });
+        }
       });
 
       window.addEventListener('offline', () => {
         if (typeof Toast !== 'undefined') {
-          Toast.warning('You are offline. Changes are saved locally.');
+          Toast.warning('You are offline. Changes are saved locally and will sync when you reconnect.');
         }
       });
 
@@ -133,6 +141,19 @@
             searchInput.focus();
           }
         }
+
+        // Ctrl/Cmd + Z → Undo, Ctrl/Cmd + Shift + Z or Ctrl + Y → Redo
+        // (dashboard only; text fields and open modals keep native undo)
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && typeof DataStore !== 'undefined') {
+          const target = e.target;
+          const editing = target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+          const onDashboard = typeof Router !== 'undefined' && String(Router.getCurrentPage()).startsWith('dashboard-');
+          if (editing || !onDashboard || (typeof Modal !== 'undefined' && Modal.isOpen)) return;
+
+          e.preventDefault();
+          Toast.history(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+        }
       });
     },
 
@@ -0,0 +1,250 @@
+// js/migrations.js
+
+/**
+ * Migrations Module — versioned DataStore migrations
+ * The stored schema version (DataStore.KEYS.SCHEMA_VERSION) records the last
+ * step applied. Pending steps run in version order, each inside a
+ * transaction over the active storage adapter: writes are buffered and only
+ * committed when the step succeeds, so a failed step rolls back cleanly and
+ * stops the run. Dry runs execute the same steps and report the keys they
+ * would change without committing anything. Every applied or failed step is
+ * logged to the activity feed.
+ *
+ * Adding a step: append to `steps` with the next version number. A step's
+ * up(ctx) reads and writes through ctx.store (or DataStore methods — the
+ * transaction is installed as the active adapter while it runs).
+ */
+
+const Migrations = {
+
+  /**
+   * Ordered migration steps. Never renumber or remove a shipped step.
+   * @type {Array<{version: number, name: string, up: Function}>}
+   */
+  steps: [
+    {
+      version: 1,
+      name: 'Clear sensitive data on the remote tier',
+      up(ctx) {
+        // Previously tracked by the 'gbe-data-v2' flag
+        if (ctx.isLocal || ctx.store.get('gbe-data-v2')) return;
+        const keys = ctx.DataStore.KEYS;
+        [keys.FINANCES_REVENUE, keys.FINANCES_EXPENSES, keys.INVOICES,
+          keys.DOCUMENTS, keys.SETTINGS, keys.CHECKLIST].forEach((key) => ctx.store.remove(key));
+        ctx.store.set('gbe-data-v2', 'remote');
+      },
+    },
+    {
+      version: 2,
+      name: 'Seed venue leads',
+      up(ctx) {
+        if (!ctx.store.get(ctx.DataStore.KEYS.VENUE_LEADS)) ctx.DataStore.seedVenueLeads();
+      },
+    },
+    {
+      version: 3,
+      name: 'Seed IT credentials',
+      up(ctx) {
+        if (ctx.isLocal && !ctx.store.get(ctx.DataStore.KEYS.IT_CREDENTIALS)) ctx.DataStore.seedITCredentials();
+      },
+    },
+    {
+      version: 4,
+      name: 'Seed IT servers',
+      up(ctx) {
+        if (!ctx.store.get(ctx.DataStore.KEYS.IT_SERVERS)) ctx.DataStore.seedITServers();
+      },
+    },
+    {
+      version: 5,
+      name: 'Clear placeholder text from typed fields',
+      up(ctx) {
+        // '[EMAIL]', '[PHONE]' etc. fail schema validation on the next edit
+        Object.values(ctx.DataStore.KEYS).forEach((key) => {
+          const schema = Schemas.get(key);
+          const data = ctx.store.get(key);
+          if (!schema || !data || typeof data !== 'object') return;
+
+          const typed = Object.keys(schema).filter((f) => schema[f].type !== 'string');
+          const records = Array.isArray(data) ? data : [data];
+          let changed = false;
+          records.forEach((record) => {
+            typed.forEach((field) => {
+              const value = record[field];
+              if (typeof value === 'string' && /^\[.*\]$/.test(value.trim())) {
+                record[field] = '';
+                changed = true;
+              }
+            });
+          });
+          if (changed) ctx.store.set(key, data);
+        });
+      },
+    },
+    {
+      version: 6,
+      name: 'Link artist names to roster records',
+      up(ctx) {
+        // Bookings, events and releases named their artist in free text
+        const keys = ctx.DataStore.KEYS;
+        const byName = {};
+        (ctx.store.get(keys.ROSTER) || []).forEach((t) => {
+          if (t.name) byName[t.name.trim().toLowerCase()] = t.id;
+        });
+
+        [keys.BOOKINGS, keys.EVENTS, keys.DISTRIBUTION].forEach((key) => {
+          const records = ctx.store.get(key);
+          if (!Array.isArray(records)) return;
+          let changed = false;
+          records.forEach((record) => {
+            const id = !record.talentId && record.artist ? byName[String(record.artist).trim().toLowerCase()] : null;
+            if (id) {
+              record.talentId = id;
+              changed = true;
+            }
+          });
+          if (changed) ctx.store.set(key, records);
+        });
+      },
+    },
+    {
+      version: 7,
+      name: 'Give invoices line items and payment totals',
+      up(ctx) {
+        // Invoices were a bare amount; carry it over as a single line
+        const key = ctx.DataStore.KEYS.INVOICES;
+        const invoices = ctx.store.get(key);
+        if (!Array.isArray(invoices) || !invoices.length) return;
+        invoices.forEach((inv) => {
+          if (Array.isArray(inv.lineItems)) return;
+          const amount = parseFloat(inv.amount) || 0;
+          inv.lineItems = [{ description: inv.description || 'Services', quantity: 1, unitPrice: amount }];
+          inv.discount = 0;
+          inv.taxRate = 0;
+          inv.subtotal = amount;
+          inv.tax = 0;
+          inv.issueDate = inv.issueDate || String(inv.createdAt || '').slice(0, 10);
+          inv.payments = inv.payments || [];
+          inv.amountPaid = inv.status === 'paid' ? amount : 0;
+        });
+        ctx.store.set(key, invoices);
+      },
+    },
+  ],
+
+  /** @returns {number} Highest version defined in steps */
+  latest() {
+    return this.steps.reduce((max, step) => Math.max(max, step.version), 0);
+  },
+
+  /** @returns {number} Version recorded in storage (0 if never migrated) */
+  currentVersion() {
+    return parseInt(DataStore._store().get(DataStore.KEYS.SCHEMA_VERSION, 0), 10) || 0;
+  },
+
+  /** @returns {Array<Object>} Steps newer than the stored version, in order */
+  pending() {
+    const current = this.currentVersion();
+    return this.steps
+      .filter((step) => step.version > current)
+      .sort((a, b) => a.version - b.version);
+  },
+
+  /**
+   * Record the latest version without running steps — used after a fresh
+   * seed, which already produces current-shape data.
+   */
+  markCurrent() {
+    DataStore._store().set(DataStore.KEYS.SCHEMA_VERSION, this.latest());
+  },
+
+  /**
+   * Apply pending migrations
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Run steps without committing
+   * @returns {{ from: number, to: number, dryRun: boolean,
+   *   applied: Array<{version: number, name: string, changes: Array<string>}>,
+   *   failed: ({version: number, name: string, error: string}|null) }}
+   */
+  run(options = {}) {
+    const dryRun = !!options.dryRun;
+    const from = this.currentVersion();
+    const result = { from, to: from, dryRun, applied: [], failed: null };
+    const isLocal = (typeof Auth !== 'undefined' && Auth.isLocalDashboard && Auth.isLocalDashboard());
+
+    const base = DataStore._store();
+    // Dry runs stack each step's buffer on the previous one so later steps
+    // see earlier (uncommitted) changes
+    let view = base;
+
+    for (const step of this.pending()) {
+      const tx = this._transaction(view);
+      DataStore._adapter = tx;
+
+      try {
+        step.up({ store: tx, isLocal, DataStore, dryRun });
+      } catch (err) {
+        // Rollback: drop the buffered writes and stop here
+        DataStore._adapter = base;
+        result.failed = { version: step.version, name: step.name, error: err.message || String(err) };
+        console.error(`❌ Migrations: v${step.version} "${step.name}" failed — rolled back`, err);
+        if (!dryRun) this._log('migration-failed', step);
+        break;
+      }
+
+      DataStore._adapter = base;
+      const changes = tx.changedKeys();
+      result.applied.push({ version: step.version, name: step.name, changes });
+      result.to = step.version;
+
+      if (dryRun) {
+        view = tx;
+        continue;
+      }
+
+      tx.commit();
+      base.set(DataStore.KEYS.SCHEMA_VERSION, step.version);
+      this._log('migrate', step);
+      console.log(`🧭 Migrations: applied v${step.version} "${step.name}"` + (changes.length ? ` (${changes.join(', ')})` : ''));
+    }
+
+    return result;
+  },
+
+  /**
+   * Write-buffering wrapper over an adapter. Reads see buffered writes;
+   * commit() flushes them to the underlying adapter.
+   * @private
+   */
+  _transaction(base) {
+    const REMOVED = {};
+    const pending = {};
+
+    return {
+      name: base.name,
+      get(key, fallback) {
+        if (!Object.prototype.hasOwnProperty.call(pending, key)) return base.get(key, fallback);
+        return pending[key] === REMOVED ? (fallback === undefined ? null : fallback) : Utils.deepClone(pending[key]);
+      },
+      set(key, value) { pending[key] = Utils.deepClone(value); },
+      remove(key) { pending[key] = REMOVED; },
+      insert(key, item, items) { this.set(key, items); },
+      replace(key, item, items) { this.set(key, items); },
+      destroy(key, id, items) { this.set(key, items); },
+      changedKeys() { return Object.keys(pending); },
+      commit() {
+        Object.keys(pending).forEach((key) => {
+          if (pending[key] === REMOVED) base.remove(key);
+          else base.set(key, pending[key]);
+        });
+      },
+    };
+  },
+
+  /** @private */
+  _log(action, step) {
+    DataStore._logActivity(action, DataStore.KEYS.SCHEMA_VERSION, { name: `v${step.version} — ${step.name}` });
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Migrations;
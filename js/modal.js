@@ -29,7 +29,9 @@ const Modal = {
    * @param {string} [options.size='md'] - Size: 'sm', 'md', or 'lg'
    * @param {string} [options.saveText='Save'] - Save/confirm button text
    * @param {string} [options.cancelText='Cancel'] - Cancel button text
-   * @param {Function} [options.onSave] - Callback when save is clicked
+   * @param {Function} [options.onSave] - Callback when save is clicked; return false to keep the modal open.
+   *   A Schemas.ValidationError thrown from onSave is shown on the modal's form and keeps it open;
+   *   a Relations.RelationError (blocked delete) is shown as a toast.
    * @param {Function} [options.onCancel] - Callback when cancel is clicked
    * @param {boolean} [options.showFooter=true] - Whether to show the footer buttons
    */
@@ -103,11 +105,36 @@ const Modal = {
       saveBtn.textContent = saveText;
       saveBtn.addEventListener('click', function() {
         if (options.onSave) {
-          var result = options.onSave();
+          var result;
+          try {
+            result = options.onSave();
+          } catch (err) {
+            // Schema validation failures from DataStore map onto the modal form
+            if (err && err.name === 'ValidationError' && Array.isArray(err.errors)) {
+              var form = body.querySelector('form');
+              if (form && typeof Forms !== 'undefined') {
+                Forms.showErrors(form, err.errors);
+              } else if (typeof Toast !== 'undefined') {
+                Toast.error(err.message);
+              }
+              return;
+            }
+            // Deletes refused by a 'restrict' relation: explain and dismiss
+            if (err && err.name === 'RelationError') {
+              if (typeof Toast !== 'undefined') Toast.error(err.message);
+              Modal.close();
+              return;
+            }
+            throw err;
+          }
           // If onSave returns a Promise, caller controls modal close
           if (result && typeof result.then === 'function') {
             return;
           }
+          // Explicit false (e.g. validation failed) keeps the modal open
+          if (result === false) {
+            return;
+          }
         }
         Modal.close();
       });
@@ -58,9 +58,20 @@ const PageLoader = {
       // Get page content (from cache or fetch)
       const content = await this.getPageContent(pageName, pageUrl);
 
+      // Dashboard pages read DataStore synchronously — wait for the
+      // storage adapter (IndexedDB / REST) to finish hydrating first
+      if (pageName.startsWith('dashboard-') && typeof DataStore !== 'undefined' && DataStore.ready) {
+        await DataStore.ready;
+      }
+
       // Fade out current content
       await this.fadeOut(container);
 
+      // Release change subscriptions held by the previous page
+      if (typeof DataStore !== 'undefined' && DataStore.unsubscribeAll) {
+        DataStore.unsubscribeAll('page');
+      }
+
       // Insert new content
       container.innerHTML = content;
 
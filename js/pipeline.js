@@ -0,0 +1,423 @@
+// js/pipeline.js
+
+/**
+ * Pipeline Module — booking stage moves, stage rules and stage history
+ * Bookings move through Schemas.ENUMS.bookingStage (lead → … → completed,
+ * with closed for deals that end either way). Moving a booking forward
+ * checks the rules of every stage it passes: a rule names the stage it
+ * guards, a test on the booking, and whether it may be overridden.
+ *
+ *   deposit-paid    — confirmed needs depositPaid (overridable)
+ *   signed-contract — contracted needs a signed or active contract linked
+ *                     to the booking (not overridable)
+ *   proposal-value, event-date — a quoted value before proposed and a date
+ *                     before confirmed (overridable, off by default)
+ *
+ * Rules are switched on or off per install in settings.pipelineRules
+ * ({ ruleId: boolean }); moving backwards or to closed skips them, as does
+ * adding a booking straight into a later stage. Every move appends
+ * { from, to, at, by, override, note } to the booking's stageHistory, and
+ * a booking added through add() starts it with its first stage.
+ *
+ * Analytics read the same history: how far each booking got (funnel), how
+ * long it sat in each stage (velocity), whether it was won or lost (by
+ * eventType and referralSource), and open value weighted by stage
+ * probability, spread over the months of the event dates (forecast).
+ */
+
+const Pipeline = {
+  /** Stage moves into which rules never apply (ending a deal is always allowed) */
+  EXEMPT_STAGES: ['closed'],
+
+  /** Stages at which a booking counts as won */
+  WON_STAGES: ['confirmed', 'contracted', 'completed'],
+
+  /** Chance (%) that an open booking in each stage is won, for weighted value */
+  PROBABILITY: { lead: 10, qualified: 20, proposed: 35, negotiating: 50, confirmed: 100, contracted: 100, completed: 100, closed: 0 },
+
+  /** Stage rules; enabled is the default until changed in settings */
+  RULES: [
+    {
+      id: 'proposal-value',
+      stage: 'proposed',
+      label: 'The booking has a quoted value',
+      overridable: true,
+      enabled: false,
+      test: (b) => (parseFloat(b.value) || 0) > 0,
+    },
+    {
+      id: 'event-date',
+      stage: 'confirmed',
+      label: 'An event date is set',
+      overridable: true,
+      enabled: false,
+      test: (b) => !!b.date,
+    },
+    {
+      id: 'deposit-paid',
+      stage: 'confirmed',
+      label: 'The deposit is marked paid',
+      overridable: true,
+      enabled: true,
+      test: (b) => !!b.depositPaid,
+    },
+    {
+      id: 'signed-contract',
+      stage: 'contracted',
+      label: 'A signed contract is linked to the booking',
+      overridable: false,
+      enabled: true,
+      test: (b) => DataStore.getContracts().some((c) => c.bookingId === b.id && (c.status === 'signed' || c.status === 'active')),
+    },
+  ],
+
+  // ============================================================
+  // STAGES
+  // ============================================================
+
+  /** @returns {Array<string>} Stages in pipeline order */
+  stages() {
+    return Schemas.ENUMS.bookingStage;
+  },
+
+  /**
+   * Stage before or after another, for keyboard moves
+   * @param {string} stage
+   * @param {number} offset - -1 or 1
+   * @returns {string|null} null past either end
+   */
+  neighbour(stage, offset) {
+    const list = this.stages();
+    const i = list.indexOf(stage);
+    return i === -1 ? null : list[i + offset] || null;
+  },
+
+  // ============================================================
+  // RULES
+  // ============================================================
+
+  /**
+   * Rules with their enabled state for this install
+   * @returns {Array<Object>} RULES entries with enabled resolved
+   */
+  rules() {
+    const saved = DataStore.getSettings().pipelineRules || {};
+    return this.RULES.map((rule) => Object.assign({}, rule, {
+      enabled: typeof saved[rule.id] === 'boolean' ? saved[rule.id] : rule.enabled,
+    }));
+  },
+
+  /**
+   * Switch a rule on or off
+   * @param {string} id
+   * @param {boolean} enabled
+   */
+  setRule(id, enabled) {
+    this.setRules({ [id]: enabled });
+  },
+
+  /**
+   * Switch several rules in one settings write
+   * @param {Object<string, boolean>} map - Rule id → enabled
+   */
+  setRules(map) {
+    const saved = Object.assign({}, DataStore.getSettings().pipelineRules || {});
+    Object.keys(map).forEach((id) => { saved[id] = !!map[id]; });
+    DataStore.updateSettings({ pipelineRules: saved });
+  },
+
+  /**
+   * Rules a booking fails on its way to a stage. Only the stages passed on
+   * a forward move are checked.
+   * @param {Object} booking - With any unsaved changes applied
+   * @param {string} to
+   * @param {string} [from] - Defaults to booking.stage
+   * @returns {{allowed: boolean, blocking: Array<Object>, overridable: Array<Object>}}
+   */
+  check(booking, to, from) {
+    const list = this.stages();
+    const start = list.indexOf(from === undefined ? booking.stage : from);
+    const end = list.indexOf(to);
+    let failed = [];
+    if (end > start && !this.EXEMPT_STAGES.includes(to)) {
+      failed = this.rules().filter((rule) => {
+        const at = list.indexOf(rule.stage);
+        return rule.enabled && at > start && at <= end && !rule.test(booking);
+      });
+    }
+    const blocking = failed.filter((rule) => !rule.overridable);
+    const overridable = failed.filter((rule) => rule.overridable);
+    return { allowed: !failed.length, blocking, overridable };
+  },
+
+  // ============================================================
+  // MOVES
+  // ============================================================
+
+  /**
+   * Move a booking to a stage, saving any other changes with it
+   * @param {string} id
+   * @param {string} to
+   * @param {Object} [options]
+   * @param {boolean} [options.override] - Pass overridable rules anyway
+   * @param {string} [options.note] - Kept on the history entry
+   * @param {Object} [options.changes] - Other booking fields to save
+   * @returns {Object} Updated booking
+   * @throws {Schemas.ValidationError} On the stage field when a rule blocks
+   *   the move; `overridable` is true when overriding would let it through
+   */
+  move(id, to, options) {
+    const opts = options || {};
+    const booking = DataStore.getBooking(id);
+    if (!booking) return null;
+    const changes = Object.assign({}, opts.changes || {}, { stage: to });
+    if (booking.stage === to) return DataStore.updateBooking(id, changes);
+
+    const result = this.check(Object.assign({}, booking, changes), to, booking.stage);
+    const blocked = result.blocking.concat(opts.override ? [] : result.overridable);
+    if (blocked.length) {
+      const err = new Schemas.ValidationError(DataStore.KEYS.BOOKINGS, blocked.map((rule) => ({
+        field: 'stage',
+        message: `${rule.label}${rule.overridable ? '' : ' (required)'}.`,
+      })));
+      err.overridable = !result.blocking.length;
+      throw err;
+    }
+
+    changes.stageHistory = this.history(booking).concat(this.entry(booking.stage, to, {
+      override: result.overridable.length ? result.overridable.map((rule) => rule.id) : undefined,
+      note: opts.note,
+    }));
+    return DataStore.updateBooking(id, changes);
+  },
+
+  /**
+   * Add a booking with its first stage in the history
+   * @param {Object} data
+   * @returns {Object}
+   */
+  add(data) {
+    const stage = data.stage || 'lead';
+    return DataStore.addBooking(Object.assign({}, data, {
+      stage,
+      stageHistory: [this.entry('', stage)],
+    }));
+  },
+
+  /**
+   * A booking's stage history, oldest first
+   * @param {Object} booking
+   * @returns {Array<{from: string, to: string, at: string, by: string, override: Array<string>, note: string}>}
+   */
+  history(booking) {
+    return Array.isArray(booking.stageHistory) ? booking.stageHistory.slice() : [];
+  },
+
+  /**
+   * History entry for a move made now by the current user
+   * @param {string} from - '' for a new booking
+   * @param {string} to
+   * @param {{override: Array<string>, note: string}} [extra]
+   * @returns {Object}
+   */
+  entry(from, to, extra) {
+    const e = { from: from || '', to, at: new Date().toISOString(), by: Audit.currentUser() };
+    if (extra && extra.override) e.override = extra.override;
+    if (extra && extra.note) e.note = extra.note;
+    return e;
+  },
+
+  // ============================================================
+  // ANALYTICS
+  // ============================================================
+
+  /**
+   * Whether a booking was won, lost or is still open. A closed booking is
+   * won when its outcome says so or its history shows it reached a won
+   * stage before closing.
+   * @param {Object} booking
+   * @returns {string} 'won' | 'lost' | 'open'
+   */
+  result(booking) {
+    if (booking.stage === 'closed') {
+      if (booking.outcome === 'Won') return 'won';
+      return this.history(booking).some((h) => this.WON_STAGES.includes(h.to)) ? 'won' : 'lost';
+    }
+    return this.WON_STAGES.includes(booking.stage) ? 'won' : 'open';
+  },
+
+  /**
+   * Furthest stage a booking reached, closed aside. Without a history the
+   * current stage is taken, and a closed booking counts as reaching
+   * completed when won and lead otherwise.
+   * @param {Object} booking
+   * @returns {string}
+   */
+  furthest(booking) {
+    const list = this.stages();
+    const visited = this.history(booking).map((h) => h.to).concat(booking.stage)
+      .filter((s) => s !== 'closed' && list.includes(s));
+    if (!visited.length) return this.result(booking) === 'won' ? 'completed' : 'lead';
+    return visited.reduce((a, b) => (list.indexOf(b) > list.indexOf(a) ? b : a));
+  },
+
+  /**
+   * How many bookings reached each stage and how many of those went on to
+   * the next one
+   * @param {Array<Object>} [bookings] - Defaults to DataStore.getBookings()
+   * @returns {Array<{stage: string, reached: number, advanced: number, conversion: number|null, share: number}>}
+   *   conversion is % advancing to the next stage (null for the last);
+   *   share is % of all bookings that reached the stage
+   */
+  funnel(bookings) {
+    const list = this.stages().filter((s) => !this.EXEMPT_STAGES.includes(s));
+    const all = bookings || DataStore.getBookings();
+    const reach = list.map(() => 0);
+    all.forEach((b) => {
+      const top = list.indexOf(this.furthest(b));
+      for (let i = 0; i <= top; i++) reach[i]++;
+    });
+    return list.map((stage, i) => {
+      const next = i < list.length - 1 ? reach[i + 1] : null;
+      return {
+        stage,
+        reached: reach[i],
+        advanced: next === null ? 0 : next,
+        conversion: next === null ? null : this._pct(next, reach[i]),
+        share: this._pct(reach[i], all.length),
+      };
+    });
+  },
+
+  /**
+   * Average days spent in each stage, from stage history. Only finished
+   * stays count towards the average; bookings sitting in a stage now are
+   * reported as open with their average age so far.
+   * @param {Array<Object>} [bookings]
+   * @param {Date} [now]
+   * @returns {Array<{stage: string, avgDays: number|null, stays: number, open: number, openAvgDays: number|null}>}
+   */
+  velocity(bookings, now) {
+    const at = (now || new Date()).getTime();
+    const stats = {};
+    this.stages().forEach((s) => { stats[s] = { done: [], open: [] }; });
+    (bookings || DataStore.getBookings()).forEach((b) => {
+      const h = this.history(b).filter((e) => stats[e.to] && e.at);
+      h.forEach((e, i) => {
+        const start = new Date(e.at).getTime();
+        if (i < h.length - 1) stats[e.to].done.push(new Date(h[i + 1].at).getTime() - start);
+        else if (e.to === b.stage && b.stage !== 'closed') stats[e.to].open.push(at - start);
+      });
+    });
+    const avg = (ms) => (ms.length ? Math.round(ms.reduce((a, b) => a + b, 0) / ms.length / 864e5 * 10) / 10 : null);
+    return this.stages().filter((s) => s !== 'closed').map((stage) => ({
+      stage,
+      avgDays: avg(stats[stage].done),
+      stays: stats[stage].done.length,
+      open: stats[stage].open.length,
+      openAvgDays: avg(stats[stage].open),
+    }));
+  },
+
+  /**
+   * Won / lost / open counts grouped by a booking field, ignoring case
+   * (seeded event types are lower-case, the booking form's are not)
+   * @param {string} field - e.g. 'eventType' or 'referralSource'
+   * @param {Array<Object>} [bookings]
+   * @returns {Array<{key: string, won: number, lost: number, open: number, winRate: number|null, wonValue: number}>}
+   *   winRate is % of decided (won + lost) bookings; '' keys are unset. Most bookings first.
+   */
+  breakdown(field, bookings) {
+    const groups = {};
+    (bookings || DataStore.getBookings()).forEach((b) => {
+      const key = String(b[field] || '').trim();
+      const id = key.toLowerCase();
+      const g = groups[id] || (groups[id] = { key, won: 0, lost: 0, open: 0, wonValue: 0 });
+      const r = this.result(b);
+      g[r]++;
+      if (r === 'won') g.wonValue += parseFloat(b.value) || 0;
+    });
+    return Object.values(groups)
+      .map((g) => Object.assign(g, { wonValue: Utils.roundMoney(g.wonValue), winRate: g.won + g.lost ? this._pct(g.won, g.won + g.lost) : null }))
+      .sort((a, b) => (b.won + b.lost + b.open) - (a.won + a.lost + a.open) || a.key.localeCompare(b.key));
+  },
+
+  /**
+   * Open pipeline value, and the same weighted by each stage's probability
+   * @param {Array<Object>} [bookings]
+   * @returns {{open: number, weighted: number, won: number, count: number}}
+   */
+  weightedValue(bookings) {
+    const totals = { open: 0, weighted: 0, won: 0, count: 0 };
+    (bookings || DataStore.getBookings()).forEach((b) => {
+      const value = parseFloat(b.value) || 0;
+      const r = this.result(b);
+      if (r === 'won') totals.won += value;
+      if (r !== 'open') return;
+      totals.count++;
+      totals.open += value;
+      totals.weighted += value * (this.PROBABILITY[b.stage] || 0) / 100;
+    });
+    return { open: Utils.roundMoney(totals.open), weighted: Utils.roundMoney(totals.weighted), won: Utils.roundMoney(totals.won), count: totals.count };
+  },
+
+  /**
+   * Booked revenue per month of event date: won bookings at full value and
+   * open ones weighted by stage
+   * @param {number} [months=6] - Months to cover, starting with the month of `from`
+   * @param {string} [from] - YYYY-MM-DD, defaults to today
+   * @param {Array<Object>} [bookings]
+   * @returns {{months: Array<{month: string, label: string, booked: number, weighted: number, total: number, count: number}>, undated: number}}
+   *   undated is the weighted value of won and open bookings with no date
+   */
+  forecast(months, from, bookings) {
+    const start = (from || Utils.today()).slice(0, 7);
+    const year = parseInt(start.slice(0, 4), 10);
+    const month = parseInt(start.slice(5, 7), 10) - 1;
+    const rows = [];
+    const byMonth = {};
+    for (let i = 0; i < (months || 6); i++) {
+      const d = new Date(Date.UTC(year, month + i, 1));
+      const row = {
+        month: d.toISOString().slice(0, 7),
+        label: d.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+        booked: 0,
+        weighted: 0,
+        total: 0,
+        count: 0,
+      };
+      rows.push(row);
+      byMonth[row.month] = row;
+    }
+    let undated = 0;
+    (bookings || DataStore.getBookings()).forEach((b) => {
+      const r = this.result(b);
+      if (r === 'lost') return;
+      const value = parseFloat(b.value) || 0;
+      const weight = r === 'won' ? value : value * (this.PROBABILITY[b.stage] || 0) / 100;
+      if (!b.date) { undated += weight; return; }
+      const row = byMonth[String(b.date).slice(0, 7)];
+      if (!row) return;
+      row.count++;
+      if (r === 'won') row.booked += value;
+      else row.weighted += weight;
+    });
+    rows.forEach((row) => {
+      row.booked = Utils.roundMoney(row.booked);
+      row.weighted = Utils.roundMoney(row.weighted);
+      row.total = Utils.roundMoney(row.booked + row.weighted);
+    });
+    return { months: rows, undated: Utils.roundMoney(undated) };
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /** @private Whole-number percentage, 0 when the base is 0 */
+  _pct(part, whole) {
+    return whole ? Math.round(part / whole * 100) : 0;
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Pipeline;
@@ -0,0 +1,325 @@
+// js/proposals.js
+
+/**
+ * Proposals Module — quotes built from the artist's roster rates
+ * A quote prices a booking from its artist's rateType / standardRate
+ * (flat, or per hour × hoursNeeded), never below their minimumRate, plus
+ * mileage past the included miles (round trip), lodging nights and rider
+ * costs. The deposit is the artist's depositPercent of the total.
+ *
+ * build() keeps the quote on the booking, sets its value and deposit from
+ * it, and moves a lead / qualified booking to proposed (Pipeline.move, so
+ * stage rules and history apply), as one undoable step:
+ *
+ *   quote: { number, issueDate, validUntil, rateType, rate, hours,
+ *            travelMiles, lodgingNights, riderCost, riderNotes,
+ *            depositPercent, lineItems: [{ description, quantity, unitPrice }],
+ *            minimumApplied, total, deposit }
+ *
+ * renderHTML() / print() give the branded proposal the client receives.
+ */
+
+const Proposals = {
+  DEFAULTS: {
+    mileageRate: 0.67,
+    includedMiles: 25,
+    lodgingRate: 150,
+    localMiles: 50,
+    depositPercent: 50,
+    validDays: 30,
+    terms: '',
+  },
+
+  _config() {
+    return Object.assign({}, this.DEFAULTS, (typeof SiteConfig !== 'undefined' && SiteConfig.proposals) || {});
+  },
+
+  // ============================================================
+  // NUMBERING
+  // ============================================================
+
+  /**
+   * Next free proposal number for a year: PREFIX-Q-YYYY-NNN
+   * @param {number} [year] - Defaults to the current year
+   * @returns {string}
+   */
+  nextNumber(year) {
+    const y = year || new Date().getFullYear();
+    const prefix = `${(typeof SiteConfig !== 'undefined' && SiteConfig.company && SiteConfig.company.shortName) || 'Q'}-Q-${y}-`;
+    const highest = DataStore.getBookings().reduce((max, b) => {
+      const number = (b.quote && b.quote.number) || '';
+      return number.indexOf(prefix) === 0 ? Math.max(max, parseInt(number.slice(prefix.length), 10) || 0) : max;
+    }, 0);
+    return `${prefix}${String(highest + 1).padStart(3, '0')}`;
+  },
+
+  // ============================================================
+  // QUOTE
+  // ============================================================
+
+  /**
+   * Starting inputs for a booking's quote: its last quote, else the
+   * artist's roster rates and the booking's hours
+   * @param {Object} booking
+   * @returns {Object}
+   */
+  inputs(booking) {
+    const talent = this._talent(booking);
+    const cfg = this._config();
+    const last = booking.quote || {};
+    const pick = (value, fallback) => (value === undefined || value === '' || value === null ? fallback : value);
+    return {
+      rateType: pick(last.rateType, (talent && talent.rateType) || 'flat'),
+      rate: pick(last.rate, talent ? parseFloat(talent.standardRate) || 0 : 0),
+      hours: pick(last.hours, parseFloat(booking.hoursNeeded) || 0),
+      travelMiles: pick(last.travelMiles, 0),
+      lodgingNights: pick(last.lodgingNights, 0),
+      riderCost: pick(last.riderCost, 0),
+      riderNotes: pick(last.riderNotes, talent && this._filled(talent.riderNeeds) ? talent.riderNeeds : ''),
+      depositPercent: pick(last.depositPercent, talent && talent.depositPercent !== undefined && talent.depositPercent !== ''
+        ? parseFloat(talent.depositPercent) : cfg.depositPercent),
+    };
+  },
+
+  /**
+   * Price a quote
+   * @param {Object} booking
+   * @param {Object} inputs - See inputs()
+   * @returns {{lineItems: Array<Object>, performanceFee: number, minimumRate: number, minimumApplied: boolean,
+   *   total: number, deposit: number, depositPercent: number, warnings: Array<string>}}
+   */
+  calculate(booking, inputs) {
+    const cfg = this._config();
+    const talent = this._talent(booking);
+    const num = (v) => Math.max(0, parseFloat(v) || 0);
+    const name = (talent && talent.name) || booking.artist || 'The artist';
+    const money = (v) => Utils.formatCurrency(v, Currency.of(booking));
+    const rate = num(inputs.rate);
+    const hours = num(inputs.hours);
+    const hourly = inputs.rateType === 'hourly';
+    const minimumRate = talent ? num(talent.minimumRate) : 0;
+    const lineItems = [];
+    const warnings = [];
+
+    if (hourly) {
+      lineItems.push({ description: `Performance — ${name}`, quantity: hours, unitPrice: rate });
+      if (!hours) warnings.push('Hourly rate with no hours — set the hours needed.');
+    } else {
+      lineItems.push({ description: `Performance — ${name}${hours ? ` (${hours} hours)` : ''}`, quantity: 1, unitPrice: rate });
+    }
+    const quoted = Utils.roundMoney(hourly ? rate * hours : rate);
+    const minimumApplied = minimumRate > 0 && quoted < minimumRate;
+    if (minimumApplied) {
+      lineItems.push({ description: `Minimum fee adjustment (${money(minimumRate)} minimum)`, quantity: 1, unitPrice: Utils.roundMoney(minimumRate - quoted) });
+    }
+    const performanceFee = minimumApplied ? minimumRate : quoted;
+
+    const billableMiles = Math.max(0, num(inputs.travelMiles) - cfg.includedMiles) * 2;
+    if (billableMiles) {
+      lineItems.push({ description: `Travel — ${num(inputs.travelMiles)} mi each way, first ${cfg.includedMiles} mi included (round-trip miles)`, quantity: billableMiles, unitPrice: cfg.mileageRate });
+    }
+    if (num(inputs.lodgingNights)) {
+      lineItems.push({ description: 'Lodging', quantity: num(inputs.lodgingNights), unitPrice: cfg.lodgingRate });
+    }
+    if (num(inputs.riderCost)) {
+      lineItems.push({ description: 'Rider requirements', quantity: 1, unitPrice: num(inputs.riderCost) });
+    }
+
+    const radius = this.radiusMiles(talent);
+    if (num(inputs.travelMiles) > radius) {
+      warnings.push(`${num(inputs.travelMiles)} mi is beyond ${name}'s travel radius (${talent.travelRadius}).`);
+    }
+    if (talent && !num(talent.standardRate)) warnings.push(`${name} has no standard rate on the roster.`);
+    if (!talent) warnings.push('The booking\'s artist is not on the roster — no rates or minimum to apply.');
+
+    const total = Utils.roundMoney(lineItems.reduce((sum, item) => sum + Utils.roundMoney(item.quantity * item.unitPrice), 0));
+    const depositPercent = Math.min(100, num(inputs.depositPercent));
+    return {
+      lineItems,
+      performanceFee,
+      minimumRate,
+      minimumApplied,
+      total,
+      depositPercent,
+      deposit: Utils.roundMoney(total * depositPercent / 100),
+      warnings,
+    };
+  },
+
+  /**
+   * Save a quote on its booking, set value and deposit from it and move the
+   * booking to proposed if it is still a lead or qualified
+   * @param {string} id - Booking id
+   * @param {Object} inputs - See inputs()
+   * @param {{override: boolean}} [options] - Passed to Pipeline.move
+   * @returns {Object|null} The updated booking
+   * @throws {ValidationError} If a stage rule blocks the move to proposed
+   */
+  build(id, inputs, options) {
+    const booking = DataStore.getBooking(id);
+    if (!booking) return null;
+    const priced = this.calculate(booking, inputs);
+    const issueDate = Utils.today();
+    const previous = booking.quote || {};
+    const quote = {
+      number: previous.number || this.nextNumber(parseInt(issueDate.slice(0, 4), 10)),
+      issueDate,
+      validUntil: Utils.addDays(issueDate, this._config().validDays),
+      rateType: inputs.rateType === 'hourly' ? 'hourly' : 'flat',
+      rate: parseFloat(inputs.rate) || 0,
+      hours: parseFloat(inputs.hours) || 0,
+      travelMiles: parseFloat(inputs.travelMiles) || 0,
+      lodgingNights: parseFloat(inputs.lodgingNights) || 0,
+      riderCost: parseFloat(inputs.riderCost) || 0,
+      riderNotes: String(inputs.riderNotes || '').trim(),
+      depositPercent: priced.depositPercent,
+      lineItems: priced.lineItems,
+      minimumApplied: priced.minimumApplied,
+      total: priced.total,
+      deposit: priced.deposit,
+    };
+    const changes = { quote, value: quote.total, deposit: quote.deposit };
+    if (quote.hours) changes.hoursNeeded = quote.hours;
+
+    const stages = Pipeline.stages();
+    const advance = stages.indexOf(booking.stage) < stages.indexOf('proposed');
+    return DataStore.batch(`Proposal ${quote.number} for ${booking.name}`, () => (advance
+      ? Pipeline.move(id, 'proposed', { changes, override: options && options.override, note: `Proposal ${quote.number}` })
+      : DataStore.updateBooking(id, changes)));
+  },
+
+  /**
+   * Furthest an artist travels, in miles, from their roster travelRadius:
+   * a stated distance, localMiles for local-only, otherwise no limit
+   * @param {Object} talent
+   * @returns {number}
+   */
+  radiusMiles(talent) {
+    const text = String((talent && talent.travelRadius) || '').toLowerCase();
+    const miles = text.match(/(\d[\d,]*)\s*(mi|mile)/);
+    if (miles) return parseInt(miles[1].replace(/,/g, ''), 10);
+    const km = text.match(/(\d[\d,]*)\s*km/);
+    if (km) return Math.round(parseInt(km[1].replace(/,/g, ''), 10) * 0.621);
+    if (/local/.test(text)) return this._config().localMiles;
+    return Infinity;
+  },
+
+  // ============================================================
+  // OUTPUT
+  // ============================================================
+
+  /**
+   * Standalone, print-ready HTML proposal for a booking's quote
+   * @param {Object} booking - With a quote (see build())
+   * @returns {string}
+   */
+  renderHTML(booking) {
+    const esc = (v) => Utils.escapeHtml(v === undefined || v === null ? '' : String(v));
+    const money = (v) => Utils.formatCurrency(v, Currency.of(booking));
+    const date = (v) => (v ? Utils.formatDate(v) : 'TBD');
+    const company = (typeof SiteConfig !== 'undefined' && SiteConfig.company) || {};
+    const q = booking.quote || {};
+    const talent = this._talent(booking);
+    const artist = (talent && talent.name) || booking.artist || '';
+    const logo = typeof document !== 'undefined' && document.baseURI ? new URL('images/logo/gbe-logo.svg', document.baseURI).href : '';
+    const terms = this._config().terms ||
+      `This proposal is valid until ${date(q.validUntil)}. The date is held once the signed proposal and the ${esc(q.depositPercent)}% deposit are received; the balance is due on or before the event date.`;
+
+    const rows = (q.lineItems || []).map((item) => `
+        <tr><td>${esc(item.description)}</td><td class="num">${esc(item.quantity)}</td><td class="num">${money(item.unitPrice)}</td><td class="num">${money(Utils.roundMoney(item.quantity * item.unitPrice))}</td></tr>`).join('');
+    const details = [
+      ['Event', booking.name],
+      ['Artist', artist],
+      ['Date', date(booking.date)],
+      ['Venue', booking.venue],
+      ['Event type', booking.eventType],
+      ['Guests', booking.guestCount],
+      ['Hours', q.hours || booking.hoursNeeded],
+    ].filter((row) => row[1] !== undefined && row[1] !== '' && row[1] !== 0)
+      .map((row) => `<tr><td class="muted">${row[0]}</td><td>${esc(row[1])}</td></tr>`).join('');
+    const companyLines = [company.address, company.email, company.phone].filter(this._filled).map(esc).join('<br>');
+    const clientLines = [booking.contactEmail, booking.contactPhone].filter(this._filled).map(esc).join('<br>');
+
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Proposal ${esc(q.number)} — ${esc(booking.name)}</title>
+<style>
+  body{font-family:-apple-system,'Segoe UI',Helvetica,Arial,sans-serif;color:#1f2328;margin:40px;font-size:14px;}
+  .head{display:flex;justify-content:space-between;align-items:flex-start;border-bottom:3px solid #d4a017;padding-bottom:16px;margin-bottom:24px;}
+  .brand{display:flex;gap:12px;align-items:center;}
+  .brand img{width:56px;height:56px;}
+  h1{margin:0;font-size:28px;letter-spacing:0.08em;color:#d4a017;}
+  h2{font-size:13px;text-transform:uppercase;letter-spacing:0.05em;color:#656d76;margin:24px 0 8px;}
+  .muted{color:#656d76;}
+  .parties{display:flex;justify-content:space-between;gap:24px;margin-bottom:8px;}
+  table{width:100%;border-collapse:collapse;}
+  th{text-align:left;font-size:12px;text-transform:uppercase;letter-spacing:0.05em;color:#656d76;border-bottom:2px solid #d0d7de;padding:8px;}
+  td{padding:8px;border-bottom:1px solid #eaeef2;vertical-align:top;}
+  .details td{border:none;padding:3px 8px 3px 0;}
+  .details td:first-child{width:110px;}
+  .num{text-align:right;white-space:nowrap;}
+  .totals{margin-left:auto;width:300px;margin-top:16px;}
+  .totals td{border:none;padding:4px 8px;}
+  .grand td{border-top:2px solid #1f2328;font-weight:700;font-size:16px;}
+  .notes{white-space:pre-wrap;}
+  .sign{display:flex;gap:48px;margin-top:48px;}
+  .sign div{flex:1;border-top:1px solid #1f2328;padding-top:6px;font-size:12px;color:#656d76;}
+  @media print{body{margin:0;}}
+</style></head>
+<body>
+  <div class="head">
+    <div class="brand">${logo ? `<img src="${esc(logo)}" alt="">` : ''}<div><strong style="font-size:18px;">${esc(company.name || company.legalName || '')}</strong>
+      ${company.tagline ? `<br><em class="muted">${esc(company.tagline)}</em>` : ''}<br><span class="muted">${companyLines}</span></div></div>
+    <div style="text-align:right;"><h1>PROPOSAL</h1><div><strong>${esc(q.number)}</strong></div>
+      <div><span class="muted">Issued:</span> ${date(q.issueDate)}</div><div><span class="muted">Valid until:</span> ${date(q.validUntil)}</div></div>
+  </div>
+  <div class="parties">
+    <div><div class="muted">Prepared for</div><strong>${esc(booking.contactName || booking.name)}</strong><br>${clientLines}</div>
+  </div>
+  <h2>Event</h2>
+  <table class="details">${details}</table>
+  <h2>Quote</h2>
+  <table>
+    <thead><tr><th>Description</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Amount</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr class="grand"><td>Total</td><td class="num">${money(q.total)}</td></tr>
+    <tr><td>Deposit to confirm (${esc(q.depositPercent)}%)</td><td class="num">${money(q.deposit)}</td></tr>
+    <tr><td>Balance due by event date</td><td class="num">${money(Utils.roundMoney((q.total || 0) - (q.deposit || 0)))}</td></tr>
+  </table>
+  ${q.riderNotes ? `<h2>Rider</h2><div class="notes">${esc(q.riderNotes)}</div>` : ''}
+  <h2>Terms</h2>
+  <div class="notes">${esc(terms)}</div>
+  <div class="sign"><div>Client signature &amp; date</div><div>${esc(company.legalName || company.name || '')}</div></div>
+</body></html>`;
+  },
+
+  /**
+   * Open the proposal for printing / saving as PDF
+   * @param {Object} booking
+   * @returns {boolean} false if the browser blocked the window
+   */
+  print(booking) {
+    return Utils.printHTML(this.renderHTML(booking));
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /** @private Roster entry for a booking's artist, by talentId or name */
+  _talent(booking) {
+    if (booking.talentId) return DataStore._getById(DataStore.KEYS.ROSTER, booking.talentId) || null;
+    if (!booking.artist) return null;
+    const name = String(booking.artist).trim().toLowerCase();
+    return DataStore.getRoster().find((t) => String(t.name || '').trim().toLowerCase() === name) || null;
+  },
+
+  /** @private Set, and not a [PLACEHOLDER] */
+  _filled(v) {
+    return !!v && !/^\[.*\]$/.test(String(v).trim());
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Proposals;
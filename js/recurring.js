@@ -0,0 +1,255 @@
+// js/recurring.js
+
+/**
+ * Recurring Module — scheduled expense and revenue entries
+ * Two kinds of schedule post entries to the ledger when they fall due:
+ *
+ *   templates — gbe-recurring records: a name, amount, category and a
+ *               frequency (weekly, monthly, quarterly, annual, or custom
+ *               every N days / weeks / months), with nextDate marking the
+ *               next occurrence to post
+ *   servers   — active IT servers with a paid monthly or annual billing
+ *               cycle. renewalDate is the next charge and moves forward as
+ *               charges post; an annual plan is charged 12 × monthlyCost
+ *
+ * run() posts everything due up to today in one undoable batch and is
+ * called once DataStore is ready on the local dashboard. Every generated
+ * entry carries recurringRef (<schedule id>:<date>) so an occurrence is
+ * never posted twice, even when another synced device got there first.
+ */
+
+const Recurring = {
+  /** Frequencies and their step; custom uses the template's interval and unit */
+  FREQUENCIES: {
+    weekly: { unit: 'week', interval: 1, label: 'Weekly' },
+    monthly: { unit: 'month', interval: 1, label: 'Monthly' },
+    quarterly: { unit: 'month', interval: 3, label: 'Quarterly' },
+    annual: { unit: 'month', interval: 12, label: 'Annual' },
+    custom: { unit: null, interval: null, label: 'Custom' },
+  },
+
+  /** Server billing cycles that post charges, in months */
+  SERVER_CYCLES: { monthly: 1, annual: 12 },
+
+  /** Expense category for server subscription charges */
+  SERVER_CATEGORY: 'software',
+
+  /** Most occurrences posted per schedule in one run (guards a years-old start date) */
+  MAX_CATCH_UP: 36,
+
+  // ============================================================
+  // SCHEDULES
+  // ============================================================
+
+  /**
+   * Step of a template in days or months
+   * @param {Object} template
+   * @returns {{unit: string, interval: number}}
+   */
+  step(template) {
+    const freq = this.FREQUENCIES[template.frequency] || this.FREQUENCIES.monthly;
+    if (freq.unit) return { unit: freq.unit, interval: freq.interval };
+    return { unit: template.unit || 'month', interval: Math.max(1, parseInt(template.interval, 10) || 1) };
+  },
+
+  /**
+   * Readable frequency, e.g. "Every 2 weeks"
+   * @param {Object} template
+   * @returns {string}
+   */
+  describe(template) {
+    if (template.frequency !== 'custom') return (this.FREQUENCIES[template.frequency] || this.FREQUENCIES.monthly).label;
+    const s = this.step(template);
+    return s.interval === 1 ? `Every ${s.unit}` : `Every ${s.interval} ${s.unit}s`;
+  },
+
+  /**
+   * Date after another by a number of steps; month steps keep the day of
+   * the month where it exists (Jan 31 → Feb 28)
+   * @param {string} date - YYYY-MM-DD
+   * @param {{unit: string, interval: number}} step
+   * @param {number} [count=1]
+   * @returns {string}
+   */
+  advance(date, step, count) {
+    const n = step.interval * (count === undefined ? 1 : count);
+    const [y, m, d] = date.split('-').map(Number);
+    if (step.unit === 'month') {
+      const last = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+      return new Date(Date.UTC(y, m - 1 + n, Math.min(d, last))).toISOString().slice(0, 10);
+    }
+    const days = step.unit === 'week' ? n * 7 : n;
+    return Utils.addDays(date, days);
+  },
+
+  /**
+   * Every schedule that can post entries, templates first. Templates count
+   * occurrences from their start date so a month-end day isn't lost after
+   * a short month.
+   * @returns {Array<{id: string, kind: string, name: string, type: string, amount: number, currency: string, anchor: string, nextDate: string, endDate: string, step: Object, record: Object}>}
+   */
+  schedules() {
+    const templates = DataStore.getRecurring()
+      .filter((t) => t.active !== false && t.nextDate)
+      .map((t) => ({
+        id: t.id,
+        kind: 'template',
+        name: t.name,
+        type: t.type || 'expense',
+        amount: parseFloat(t.amount) || 0,
+        currency: Currency.of(t),
+        anchor: this._isDate(t.startDate) && t.startDate <= t.nextDate ? t.startDate : t.nextDate,
+        nextDate: t.nextDate,
+        endDate: t.endDate || '',
+        step: this.step(t),
+        record: t,
+      }));
+    const servers = DataStore.getActiveServers()
+      .filter((s) => this.SERVER_CYCLES[s.billingCycle] && (parseFloat(s.monthlyCost) || 0) > 0 && this._isDate(s.renewalDate))
+      .map((s) => ({
+        id: s.id,
+        kind: 'server',
+        name: s.name,
+        type: 'expense',
+        amount: Utils.roundMoney((parseFloat(s.monthlyCost) || 0) * this.SERVER_CYCLES[s.billingCycle]),
+        currency: Currency.BASE,
+        anchor: s.renewalDate,
+        nextDate: s.renewalDate,
+        endDate: '',
+        step: { unit: 'month', interval: this.SERVER_CYCLES[s.billingCycle] },
+        record: s,
+      }));
+    return templates.concat(servers);
+  },
+
+  /**
+   * Occurrences of every schedule from its next date up to a date
+   * @param {string} [until] - YYYY-MM-DD, defaults to today
+   * @param {number} [limit] - Per schedule, defaults to MAX_CATCH_UP
+   * @returns {Array<{schedule: Object, date: string, next: string, ref: string}>} By date
+   */
+  upcoming(until, limit) {
+    const end = until || Utils.today();
+    const max = limit || this.MAX_CATCH_UP;
+    const list = [];
+    this.schedules().forEach((schedule) => {
+      let k = 0;
+      while (this.advance(schedule.anchor, schedule.step, k) < schedule.nextDate) k++;
+      for (let i = 0; i < max; i++, k++) {
+        const date = this.advance(schedule.anchor, schedule.step, k);
+        if (date > end || (schedule.endDate && date > schedule.endDate)) break;
+        list.push({ schedule, date, next: this.advance(schedule.anchor, schedule.step, k + 1), ref: `${schedule.id}:${date}` });
+      }
+    });
+    return list.sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  /**
+   * Occurrences due today or earlier
+   * @param {string} [today]
+   * @returns {Array<Object>} See upcoming()
+   */
+  due(today) {
+    return this.upcoming(today || Utils.today());
+  },
+
+  // ============================================================
+  // POSTING
+  // ============================================================
+
+  /**
+   * Post every due occurrence and move each schedule past it, as one
+   * undoable step. Occurrences already in the ledger are skipped.
+   * @param {string} [today] - YYYY-MM-DD
+   * @returns {Array<Object>} Created revenue / expense entries
+   */
+  run(today) {
+    const due = this.due(today);
+    if (!due.length) return [];
+    const posted = new Set(DataStore.getExpenses().concat(DataStore.getRevenue())
+      .map((e) => e.recurringRef).filter(Boolean));
+    const last = {};
+
+    return DataStore.batch('Post recurring entries', () => {
+      const created = [];
+      due.forEach((occ) => {
+        last[occ.schedule.id] = occ;
+        if (posted.has(occ.ref)) return;
+        created.push(this._post(occ));
+      });
+      Object.keys(last).forEach((id) => {
+        const { schedule, next } = last[id];
+        if (schedule.kind === 'server') {
+          DataStore.updateServer(id, { renewalDate: next });
+        } else {
+          const ended = schedule.endDate && next > schedule.endDate;
+          DataStore.updateRecurring(id, ended ? { nextDate: next, active: false } : { nextDate: next });
+        }
+      });
+      return created;
+    });
+  },
+
+  /**
+   * Run on startup, on the local dashboard only (the books are local-only)
+   * @returns {Array<Object>} Created entries
+   */
+  start() {
+    if (typeof Auth === 'undefined' || !Auth.isLocalDashboard || !Auth.isLocalDashboard()) return [];
+    const created = this.run();
+    if (created.length && typeof Toast !== 'undefined') {
+      Toast.undoable(`Posted ${created.length} recurring entr${created.length === 1 ? 'y' : 'ies'} to the ledger`);
+    }
+    return created;
+  },
+
+  /** @private Create the ledger entry for one occurrence */
+  _post(occ) {
+    const s = occ.schedule;
+    const r = s.record;
+    const base = { date: occ.date, amount: s.amount, currency: s.currency, recurringRef: occ.ref };
+    if (s.kind === 'server') {
+      return DataStore.addExpense(Object.assign(base, {
+        description: `${r.name} subscription`,
+        category: this.SERVER_CATEGORY,
+        vendor: r.provider || '',
+        serverId: r.id,
+      }));
+    }
+    const shared = { category: r.category || '', talentId: r.talentId || '', recurringId: r.id, notes: r.notes || '' };
+    if (s.type === 'revenue') {
+      return DataStore.addRevenue(Object.assign(base, shared, { source: r.name }));
+    }
+    return DataStore.addExpense(Object.assign(base, shared, { description: r.name, vendor: r.vendor || '' }));
+  },
+
+  // ============================================================
+  // TOTALS
+  // ============================================================
+
+  /**
+   * Monthly equivalent of every active schedule, by type, in the
+   * reporting currency at today's rates
+   * @returns {{expense: number, revenue: number}}
+   */
+  monthlyTotals() {
+    const perMonth = { day: 365 / 12, week: 52 / 12, month: 1 };
+    const totals = { expense: 0, revenue: 0 };
+    const convert = Currency.converter();
+    this.schedules().forEach((s) => {
+      totals[s.type] += convert(s.amount, s.currency, Utils.today()) * perMonth[s.step.unit] / s.step.interval;
+    });
+    return { expense: Utils.roundMoney(totals.expense), revenue: Utils.roundMoney(totals.revenue) };
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /** @private */
+  _isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Recurring;
@@ -0,0 +1,253 @@
+// js/relations.js
+
+/**
+ * Relations Module — declared links between DataStore collections
+ * Each relation says that records in `from` point at a record in `to`
+ * through `field`, and what happens to them when that record is deleted:
+ *
+ *   restrict — the delete is refused while any record still points at it
+ *   cascade  — the pointing records are deleted too
+ *   nullify  — the pointing records keep existing with `field` cleared
+ *
+ * `copy` keeps a readable snapshot of the target on the pointing record
+ * (e.g. booking.artist = talent.name), refreshed when the link is set and
+ * when the target is renamed, and left in place after a nullify.
+ *
+ * DataStore enforces these on _add / _update (the target must exist) and
+ * on _delete, grouping a delete and its cascade into one undoable step.
+ * Records written by sync or a backup restore are taken as-is.
+ */
+
+/**
+ * Thrown by DataStore deletes blocked by a 'restrict' relation
+ * @property {Array<{key: string, label: string, count: number}>} blockers
+ */
+class RelationError extends Error {
+  constructor(message, blockers) {
+    super(message);
+    this.name = 'RelationError';
+    this.blockers = blockers;
+  }
+}
+
+const Relations = {
+
+  RelationError,
+
+  /** @type {Array<{from: string, field: string, to: string, onDelete: string, copy: (Object|undefined)}>} */
+  definitions: [
+    { from: 'gbe-contracts', field: 'talentId', to: 'gbe-roster', onDelete: 'restrict' },
+    { from: 'gbe-revenue', field: 'talentId', to: 'gbe-roster', onDelete: 'restrict' },
+    { from: 'gbe-expenses', field: 'talentId', to: 'gbe-roster', onDelete: 'restrict' },
+    { from: 'gbe-bookings', field: 'talentId', to: 'gbe-roster', onDelete: 'nullify', copy: { artist: 'name' } },
+    { from: 'gbe-events', field: 'talentId', to: 'gbe-roster', onDelete: 'nullify', copy: { artist: 'name' } },
+    { from: 'gbe-travel', field: 'talentId', to: 'gbe-roster', onDelete: 'nullify' },
+    { from: 'gbe-distribution', field: 'talentId', to: 'gbe-roster', onDelete: 'nullify', copy: { artist: 'name' } },
+    { from: 'gbe-contracts', field: 'bookingId', to: 'gbe-bookings', onDelete: 'restrict' },
+    { from: 'gbe-revenue', field: 'bookingId', to: 'gbe-bookings', onDelete: 'nullify' },
+    { from: 'gbe-events', field: 'bookingId', to: 'gbe-bookings', onDelete: 'cascade' },
+    { from: 'gbe-travel', field: 'bookingId', to: 'gbe-bookings', onDelete: 'nullify' },
+    { from: 'gbe-revenue', field: 'releaseId', to: 'gbe-distribution', onDelete: 'nullify' },
+    { from: 'gbe-revenue', field: 'invoiceId', to: 'gbe-invoices', onDelete: 'restrict' },
+    { from: 'gbe-revenue', field: 'royaltyImportId', to: 'gbe-royalty-imports', onDelete: 'cascade' },
+    { from: 'gbe-invoices', field: 'talentId', to: 'gbe-roster', onDelete: 'nullify' },
+    { from: 'gbe-invoices', field: 'bookingId', to: 'gbe-bookings', onDelete: 'nullify' },
+    { from: 'gbe-expenses', field: 'tripId', to: 'gbe-travel', onDelete: 'nullify' },
+    { from: 'gbe-expenses', field: 'releaseId', to: 'gbe-distribution', onDelete: 'nullify' },
+    { from: 'gbe-expenses', field: 'contractId', to: 'gbe-contracts', onDelete: 'nullify' },
+    { from: 'gbe-budgets', field: 'tripId', to: 'gbe-travel', onDelete: 'cascade' },
+    { from: 'gbe-budgets', field: 'releaseId', to: 'gbe-distribution', onDelete: 'cascade' },
+    { from: 'gbe-budgets', field: 'contractId', to: 'gbe-contracts', onDelete: 'cascade' },
+    { from: 'gbe-recurring', field: 'talentId', to: 'gbe-roster', onDelete: 'nullify' },
+    { from: 'gbe-expenses', field: 'recurringId', to: 'gbe-recurring', onDelete: 'nullify' },
+    { from: 'gbe-revenue', field: 'recurringId', to: 'gbe-recurring', onDelete: 'nullify' },
+    { from: 'gbe-expenses', field: 'serverId', to: 'gbe-it-servers', onDelete: 'nullify' },
+  ],
+
+  /**
+   * Relations pointing at a collection
+   * @param {string} key - Storage key
+   * @returns {Array<Object>}
+   */
+  referencing(key) {
+    return this.definitions.filter((rel) => rel.to === key);
+  },
+
+  /**
+   * Relations declared on a collection
+   * @param {string} key - Storage key
+   * @returns {Array<Object>}
+   */
+  outgoing(key) {
+    return this.definitions.filter((rel) => rel.from === key);
+  },
+
+  /**
+   * Records whose link field under a relation points at a record
+   * @param {Object} rel - Entry from definitions
+   * @param {string} id - Id of the record pointed at
+   * @returns {Array<Object>}
+   */
+  pointingAt(rel, id) {
+    return DataStore._getAll(rel.from).filter((record) => record[rel.field] === id);
+  },
+
+  /**
+   * Check the links on a record being written and fill in copied fields.
+   * For a partial update only the link fields present are checked.
+   * @param {string} key - Storage key
+   * @param {Object} data - Record or partial update (modified in place)
+   * @throws {ValidationError} If a link points at a record that doesn't exist
+   */
+  resolve(key, data) {
+    const errors = [];
+    this.outgoing(key).forEach((rel) => {
+      const targetId = data[rel.field];
+      if (targetId === undefined || targetId === null || targetId === '') return;
+
+      const target = DataStore._getById(rel.to, targetId);
+      if (!target) {
+        const label = (Schemas.get(key) && Schemas.get(key)[rel.field] && Schemas.get(key)[rel.field].label) || rel.field;
+        errors.push({ field: rel.field, message: `${label}: no ${DataStore._entityLabel(rel.to)} with id "${targetId}".` });
+        return;
+      }
+      Object.keys(rel.copy || {}).forEach((field) => { data[field] = target[rel.copy[field]]; });
+    });
+    if (errors.length) throw new Schemas.ValidationError(key, errors);
+  },
+
+  /**
+   * Copied fields to refresh after a record changed
+   * @param {string} key - Storage key of the updated record
+   * @param {Object} previous
+   * @param {Object} updated
+   * @returns {Array<{key: string, id: string, changes: Object}>}
+   */
+  copies(key, previous, updated) {
+    const out = [];
+    this.referencing(key).forEach((rel) => {
+      if (!rel.copy) return;
+      const changes = {};
+      Object.keys(rel.copy).forEach((field) => {
+        const source = rel.copy[field];
+        if (previous[source] !== updated[source]) changes[field] = updated[source];
+      });
+      if (!Object.keys(changes).length) return;
+      this.pointingAt(rel, updated.id).forEach((record) => {
+        out.push({ key: rel.from, id: record.id, changes: Object.assign({}, changes) });
+      });
+    });
+    return out;
+  },
+
+  /**
+   * Everything a delete would touch, following cascades
+   * @param {string} key - Storage key
+   * @param {string} id
+   * @returns {{restrict: Array<Object>, cascade: Array<Object>, nullify: Array<Object>}}
+   *   Each item: { key, field, record }
+   */
+  impact(key, id) {
+    const result = { restrict: [], cascade: [], nullify: [] };
+    const visit = (k, recordId, seen) => {
+      this.referencing(k).forEach((rel) => {
+        this.pointingAt(rel, recordId).forEach((record) => {
+          const tag = `${rel.from}:${record.id}`;
+          if (seen[tag]) return;
+          seen[tag] = true;
+          result[rel.onDelete].push({ key: rel.from, field: rel.field, record });
+          if (rel.onDelete === 'cascade') visit(rel.from, record.id, seen);
+        });
+      });
+    };
+    visit(key, id, {});
+    return result;
+  },
+
+  /**
+   * Throw if a delete is blocked by a 'restrict' relation
+   * @param {string} key
+   * @param {Object} record - The record about to be deleted
+   * @throws {RelationError}
+   */
+  assertDeletable(key, record) {
+    const blocked = this.impact(key, record.id).restrict;
+    if (!blocked.length) return;
+
+    const counts = this._count(blocked);
+    const blockers = Object.keys(counts).map((k) => ({ key: k, label: DataStore._entityLabel(k), count: counts[k] }));
+    const name = DataStore._entityName(record) || 'this record';
+    throw new RelationError(`Can't delete "${name}" — ${this._list(counts)} still ${blocked.length === 1 ? 'refers' : 'refer'} to it. Reassign or remove ${blocked.length === 1 ? 'it' : 'them'} first.`, blockers);
+  },
+
+  /**
+   * One-line description of a delete's side effects, for confirm dialogs
+   * @param {string} key
+   * @param {string} id
+   * @returns {string} '' when the delete touches nothing else
+   */
+  summary(key, id) {
+    const impact = this.impact(key, id);
+    const parts = [];
+    if (impact.cascade.length) parts.push(`also deletes ${this._list(this._count(impact.cascade))}`);
+    if (impact.nullify.length) parts.push(`unlinks ${this._list(this._count(impact.nullify))}`);
+    return parts.length ? `This ${parts.join(' and ')}.` : '';
+  },
+
+  /**
+   * Records linked to a record, grouped by entity label, in both directions:
+   * records pointing at it, and the records it points at.
+   * @param {string} type - Entity label ('talent', 'booking', ...) or storage key
+   * @param {string} id
+   * @returns {Object<string, Array<Object>>} e.g. { contract: [...], booking: [...] }
+   */
+  related(type, id) {
+    const key = this._keyFor(type);
+    const out = {};
+    const add = (k, records) => {
+      const label = DataStore._entityLabel(k);
+      records.forEach((r) => {
+        out[label] = out[label] || [];
+        if (!out[label].some((x) => x.id === r.id)) out[label].push(r);
+      });
+    };
+
+    this.referencing(key).forEach((rel) => add(rel.from, this.pointingAt(rel, id)));
+
+    const record = DataStore._getById(key, id);
+    if (record) {
+      this.outgoing(key).forEach((rel) => {
+        const target = record[rel.field] ? DataStore._getById(rel.to, record[rel.field]) : null;
+        if (target) add(rel.to, [target]);
+      });
+    }
+    return out;
+  },
+
+  /** @private */
+  _count(items) {
+    const counts = {};
+    items.forEach((item) => { counts[item.key] = (counts[item.key] || 0) + 1; });
+    return counts;
+  },
+
+  /** e.g. "1 contract and 2 revenue entries" @private */
+  _list(counts) {
+    const plurals = { itinerary: 'itineraries', revenue: 'revenue entries', 'IP entry': 'IP entries' };
+    const parts = Object.keys(counts).map((k) => {
+      const label = DataStore._entityLabel(k);
+      return `${counts[k]} ${counts[k] === 1 ? label : (plurals[label] || `${label}s`)}`;
+    });
+    return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts.join('');
+  },
+
+  /** @private */
+  _keyFor(type) {
+    if (Object.values(DataStore.KEYS).includes(type)) return type;
+    const key = Object.values(DataStore.KEYS).find((k) => DataStore._entityLabel(k) === type);
+    if (!key) throw new Error(`Unknown entity type: ${type}`);
+    return key;
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Relations;
@@ -36,10 +36,20 @@ const Router = {
 
     // Dashboard pages (unchanged)
     'dashboard-home': 'dashboard/home.html',
+    'dashboard-audit': 'dashboard/audit.html',
     'dashboard-roster': 'dashboard/roster.html',
     'dashboard-contracts': 'dashboard/contracts.html',
     'dashboard-finances': 'dashboard/finances.html',
+    'dashboard-invoices': 'dashboard/invoices.html',
+    'dashboard-statements': 'dashboard/statements.html',
+    'dashboard-taxes': 'dashboard/taxes.html',
+    'dashboard-bank-import': 'dashboard/bank-import.html',
+    'dashboard-budgets': 'dashboard/budgets.html',
+    'dashboard-recurring': 'dashboard/recurring.html',
+    'dashboard-currency': 'dashboard/currency.html',
+    'dashboard-accounting': 'dashboard/accounting.html',
     'dashboard-booking': 'dashboard/booking.html',
+    'dashboard-booking-analytics': 'dashboard/booking-analytics.html',
     'dashboard-leads': 'dashboard/leads.html',
     'dashboard-merch': 'dashboard/merch.html',
     'dashboard-travel': 'dashboard/travel.html',
@@ -74,6 +84,15 @@ const Router = {
    */
   localOnlyRoutes: [
     'dashboard-finances',
+    'dashboard-invoices',
+    'dashboard-statements',
+    'dashboard-taxes',
+    'dashboard-bank-import',
+    'dashboard-budgets',
+    'dashboard-recurring',
+    'dashboard-currency',
+    'dashboard-accounting',
+    'dashboard-booking-analytics',
     'dashboard-documents',
     'dashboard-integrations',
     'dashboard-settings',
@@ -370,10 +389,20 @@ const Router = {
 
     const labels = {
       'dashboard-home': 'Dashboard',
+      'dashboard-audit': 'Audit Trail',
       'dashboard-roster': 'Roster Management',
       'dashboard-contracts': 'Contracts',
       'dashboard-finances': 'Finances & Accounting',
+      'dashboard-invoices': 'Invoices',
+      'dashboard-statements': 'Artist Statements',
+      'dashboard-taxes': 'Taxes',
+      'dashboard-bank-import': 'Import Transactions',
+      'dashboard-budgets': 'Budgets',
+      'dashboard-recurring': 'Recurring Transactions',
+      'dashboard-currency': 'Exchange Rates',
+      'dashboard-accounting': 'Accounting Export',
       'dashboard-booking': 'Booking Pipeline',
+      'dashboard-booking-analytics': 'Pipeline Analytics',
       'dashboard-leads': 'Venue Leads',
       'dashboard-merch': 'Merch & Ecommerce',
       'dashboard-travel': 'Travel & Logistics',
@@ -0,0 +1,381 @@
+// js/royalties.js
+
+/**
+ * Royalties Module — royalty statement import and reconciliation
+ * Reads distributor and PRO statement CSVs, matches each row to a release
+ * and books the result as revenue:
+ *
+ *   parse      — detect the format, map its columns onto one row shape
+ *   reconcile  — match rows to releases (ISRC, then UPC, then title) and
+ *                aggregate per release, platform and territory
+ *   import     — save the reconciled statement to gbe-royalty-imports and
+ *                log one 'royalties' revenue entry per release and platform
+ *
+ * Revenue entries carry royaltyImportId, so deleting an import removes
+ * the revenue it created (cascade) in one undoable step. A file already
+ * imported is refused by its fingerprint.
+ *
+ * Normalised row:
+ *
+ *   { isrc, upc, title, artist, platform, territory, date, units, amount }
+ */
+
+const Royalties = {
+  /**
+   * Header names recognised for each field, lower-case. The first header
+   * in a file matching any alias wins, so specific names come first.
+   */
+  ALIASES: {
+    isrc: ['isrc', 'isrc code', 'track isrc'],
+    upc: ['upc', 'upc/ean', 'ean', 'release upc', 'product upc', 'upc code', 'barcode'],
+    title: ['song title', 'track title', 'title name', 'work title', 'track', 'song', 'title', 'release title'],
+    artist: ['artist', 'artist name', 'track artist', 'release artist', 'performer'],
+    platform: ['store', 'store name', 'platform', 'service', 'dsp', 'retailer', 'partner', 'perf source', 'music service', 'source'],
+    territory: ['country of sale', 'country', 'territory', 'country code', 'country of performance', 'sale country', 'region'],
+    date: ['sale month', 'sales period', 'reporting month', 'statement period', 'performance period', 'period', 'month', 'sale date', 'reporting date', 'date'],
+    units: ['quantity', 'units sold', 'units', 'streams', 'plays', 'perf count', 'performances', 'qty'],
+    amount: ['earnings (usd)', 'total earned', 'royalty amount', 'current activity amt', 'dollars', 'net revenue', 'net amount',
+      'amount (usd)', 'amount due', 'earnings', 'royalties', 'royalty', 'subtotal', 'payable', 'amount', 'revenue'],
+  },
+
+  /** Known statement layouts, identified by headers they always carry */
+  FORMATS: [
+    { id: 'distrokid', label: 'DistroKid', signature: ['sale month', 'store', 'earnings (usd)'] },
+    { id: 'tunecore', label: 'TuneCore', signature: ['sales period', 'store name', 'total earned'] },
+    { id: 'cdbaby', label: 'CD Baby', signature: ['partner', 'subtotal'] },
+    { id: 'bmi', label: 'BMI', signature: ['title name', 'perf count'] },
+    { id: 'ascap', label: 'ASCAP', signature: ['work title', 'dollars'] },
+  ],
+
+  /** Used when no FORMATS entry matches */
+  GENERIC: { id: 'generic', label: 'Generic CSV' },
+
+  // ============================================================
+  // PARSING
+  // ============================================================
+
+  /**
+   * Format a header row belongs to
+   * @param {Array<string>} headers - Lower-cased, trimmed
+   * @returns {{id: string, label: string}}
+   */
+  detect(headers) {
+    return this.FORMATS.find((f) => f.signature.every((h) => headers.includes(h))) || this.GENERIC;
+  },
+
+  /**
+   * Parse statement CSV text
+   * @param {string} text
+   * @param {string} [currency] - Statement currency, for its decimal separator
+   * @returns {{format: Object, columns: Object, rows: Array<Object>, skipped: number}}
+   * @throws {Schemas.ValidationError} When no amount column or no data rows are found
+   */
+  parse(text, currency) {
+    const table = Utils.parseCSV(text);
+    const headers = (table[0] || []).map((h) => h.trim().toLowerCase());
+    const format = this.detect(headers);
+
+    const columns = {};
+    Object.keys(this.ALIASES).forEach((field) => {
+      const alias = this.ALIASES[field].find((a) => headers.includes(a));
+      if (alias) columns[field] = headers.indexOf(alias);
+    });
+
+    const fail = (message) => {
+      throw new Schemas.ValidationError(DataStore.KEYS.ROYALTY_IMPORTS, [{ field: 'file', message }]);
+    };
+    if (columns.amount === undefined) fail('No earnings or amount column found in this file.');
+
+    let skipped = 0;
+    const rows = [];
+    table.slice(1).forEach((cells) => {
+      const cell = (field) => (columns[field] === undefined ? '' : String(cells[columns[field]] || '').trim());
+      const amount = Utils.parseAmount(cell('amount'), currency);
+      if (amount === null) { skipped++; return; }
+      rows.push({
+        isrc: this._code(cell('isrc')),
+        upc: this._code(cell('upc')).replace(/^0+/, ''),
+        title: cell('title'),
+        artist: cell('artist'),
+        platform: cell('platform') || format.label,
+        territory: cell('territory').toUpperCase() || 'Unknown',
+        date: this._date(cell('date')),
+        units: Utils.parseAmount(cell('units'), currency) || 0,
+        amount,
+      });
+    });
+    if (!rows.length) fail('No royalty rows found in this file.');
+
+    return { format, columns, rows, skipped };
+  },
+
+  // ============================================================
+  // RECONCILIATION
+  // ============================================================
+
+  /**
+   * Release a statement row belongs to. ISRC and UPC are exact; the title
+   * fallback (for PRO statements, which rarely carry codes) needs the
+   * artist to agree when the row names one.
+   * @param {Object} row - Normalised row
+   * @param {Array<Object>} releases
+   * @returns {{release: Object, by: string}|null}
+   */
+  match(row, releases) {
+    let release;
+    if (row.isrc) release = releases.find((r) => this._code(r.isrc) === row.isrc);
+    if (release) return { release, by: 'isrc' };
+
+    if (row.upc) release = releases.find((r) => this._code(r.upc).replace(/^0+/, '') === row.upc);
+    if (release) return { release, by: 'upc' };
+
+    const title = this._words(row.title);
+    if (title) {
+      release = releases.find((r) => this._words(r.title) === title &&
+        (!row.artist || !r.artist || this._words(r.artist) === this._words(row.artist)));
+    }
+    return release ? { release, by: 'title' } : null;
+  },
+
+  /**
+   * Match parsed rows to releases and aggregate them
+   * @param {Object} parsed - From parse()
+   * @returns {Object} { format, lines, unmatched, releases, from, to, rowCount, matchedRows, total, matchedTotal, unmatchedTotal }
+   *   lines: [{ releaseId, title, platform, territory, units, amount, by }] per release/platform/territory
+   *   unmatched: [{ isrc, upc, title, artist, platform, territory, units, amount }] per code/title/platform/territory
+   *   releases: [{ release, units, amount }] largest first
+   */
+  reconcile(parsed) {
+    const releases = DataStore.getReleases();
+    const lines = {};
+    const unmatched = {};
+    const perRelease = {};
+    let matchedRows = 0;
+
+    parsed.rows.forEach((row) => {
+      const m = this.match(row, releases);
+      if (m) {
+        matchedRows++;
+        const id = m.release.id;
+        const key = [id, row.platform, row.territory].join('|');
+        if (!lines[key]) lines[key] = { releaseId: id, title: m.release.title, platform: row.platform, territory: row.territory, units: 0, amount: 0, by: m.by };
+        lines[key].units += row.units;
+        lines[key].amount += row.amount;
+        if (!perRelease[id]) perRelease[id] = { release: m.release, units: 0, amount: 0 };
+        perRelease[id].units += row.units;
+        perRelease[id].amount += row.amount;
+      } else {
+        const key = [row.isrc, row.upc, row.title, row.platform, row.territory].join('|');
+        if (!unmatched[key]) unmatched[key] = { isrc: row.isrc, upc: row.upc, title: row.title, artist: row.artist, platform: row.platform, territory: row.territory, units: 0, amount: 0 };
+        unmatched[key].units += row.units;
+        unmatched[key].amount += row.amount;
+      }
+    });
+
+    const round = (list) => list.map((x) => ({ ...x, amount: Utils.roundMoney(x.amount) }));
+    const dates = parsed.rows.map((r) => r.date).filter(Boolean).sort();
+    const sum = (list) => Utils.roundMoney(list.reduce((s, x) => s + x.amount, 0));
+    const result = {
+      format: parsed.format,
+      lines: round(Object.values(lines)),
+      unmatched: round(Object.values(unmatched)).sort((a, b) => b.amount - a.amount),
+      releases: round(Object.values(perRelease)).sort((a, b) => b.amount - a.amount),
+      from: dates[0] || '',
+      to: dates[dates.length - 1] || '',
+      rowCount: parsed.rows.length,
+      matchedRows,
+    };
+    result.matchedTotal = sum(result.lines);
+    result.unmatchedTotal = sum(result.unmatched);
+    result.total = Utils.roundMoney(result.matchedTotal + result.unmatchedTotal);
+    return result;
+  },
+
+  // ============================================================
+  // IMPORT
+  // ============================================================
+
+  /**
+   * Stable fingerprint of a statement file, for duplicate detection
+   * @param {string} text
+   * @returns {string}
+   */
+  fingerprint(text) {
+    const normalized = String(text || '').replace(/\r\n?/g, '\n').trim();
+    let hash = 5381;
+    for (let i = 0; i < normalized.length; i++) hash = ((hash * 33) ^ normalized.charCodeAt(i)) >>> 0;
+    return `${normalized.length}-${hash.toString(16)}`;
+  },
+
+  /**
+   * Import a statement: save the reconciliation and log its revenue
+   * @param {string} text - CSV contents
+   * @param {Object} [options]
+   * @param {string} [options.fileName]
+   * @param {string} [options.source] - Payer label for the revenue entries (defaults to the format)
+   * @param {string} [options.date] - Revenue date (defaults to the statement's last period, then today)
+   * @param {boolean} [options.includeUnmatched] - Also log unmatched earnings, per platform, without a release
+   * @param {string} [options.currency] - Currency the statement pays in (defaults to Currency.BASE)
+   * @returns {Object} The saved import record
+   * @throws {Schemas.ValidationError} When the file is unreadable or already imported
+   */
+  import(text, options = {}) {
+    const fingerprint = this.fingerprint(text);
+    const existing = DataStore.getRoyaltyImports().find((imp) => imp.fingerprint === fingerprint);
+    if (existing) {
+      throw new Schemas.ValidationError(DataStore.KEYS.ROYALTY_IMPORTS, [
+        { field: 'file', message: `This statement was already imported on ${String(existing.createdAt).slice(0, 10)}.` },
+      ]);
+    }
+
+    const currency = options.currency || Currency.BASE;
+    const rec = this.reconcile(this.parse(text, currency));
+    const source = options.source || rec.format.label;
+    const date = options.date || rec.to || Utils.today();
+
+    return DataStore.batch(`Import ${source} royalties`, () => {
+      const imp = DataStore.addRoyaltyImport({
+        name: `${source} ${rec.from && rec.to && rec.from !== rec.to ? `${rec.from} – ${rec.to}` : date}`,
+        fileName: options.fileName || '',
+        format: rec.format.id,
+        source,
+        date,
+        periodFrom: rec.from,
+        periodTo: rec.to,
+        fingerprint,
+        rowCount: rec.rowCount,
+        matchedRows: rec.matchedRows,
+        currency,
+        total: rec.total,
+        matchedTotal: rec.matchedTotal,
+        unmatchedTotal: rec.unmatchedTotal,
+        lines: rec.lines,
+        unmatched: rec.unmatched,
+        includeUnmatched: !!options.includeUnmatched,
+      });
+
+      const entries = {};
+      rec.lines.forEach((line) => {
+        const key = `${line.releaseId}|${line.platform}`;
+        if (!entries[key]) entries[key] = { releaseId: line.releaseId, title: line.title, platform: line.platform, amount: 0 };
+        entries[key].amount += line.amount;
+      });
+      if (options.includeUnmatched) {
+        rec.unmatched.forEach((row) => {
+          const key = `|${row.platform}`;
+          if (!entries[key]) entries[key] = { releaseId: '', title: 'Unmatched', platform: row.platform, amount: 0 };
+          entries[key].amount += row.amount;
+        });
+      }
+
+      Object.values(entries).forEach((e) => {
+        const amount = Utils.roundMoney(e.amount);
+        if (!amount) return;
+        const release = e.releaseId ? DataStore.getReleases().find((r) => r.id === e.releaseId) : null;
+        DataStore.addRevenue({
+          date,
+          source: `${e.title} — ${e.platform} royalties`,
+          amount,
+          currency,
+          category: 'royalties',
+          talentId: release ? release.talentId || '' : '',
+          releaseId: e.releaseId,
+          royaltyImportId: imp.id,
+          notes: `Imported from ${imp.name}${options.fileName ? ` (${options.fileName})` : ''}`,
+        });
+      });
+      return imp;
+    });
+  },
+
+  // ============================================================
+  // PER-RELEASE EARNINGS
+  // ============================================================
+
+  /**
+   * What a release has earned: its manual royaltyIncome (in Currency.BASE)
+   * plus every revenue entry linked to it, in the reporting currency
+   * @param {Object} release
+   * @returns {number}
+   */
+  earnings(release) {
+    const convert = Currency.converter();
+    const linked = DataStore.getRevenue()
+      .filter((r) => r.releaseId === release.id)
+      .reduce((sum, r) => sum + convert(r.amount, r.currency, r.date), 0);
+    return Utils.roundMoney(convert(release.royaltyIncome, Currency.BASE) + linked);
+  },
+
+  /**
+   * Imported earnings for a release by platform and by territory, in the
+   * reporting currency
+   * @param {string} releaseId
+   * @returns {{platforms: Array<{name, units, amount}>, territories: Array<{name, units, amount}>, imports: number}}
+   */
+  breakdown(releaseId) {
+    const platforms = {};
+    const territories = {};
+    let imports = 0;
+    const convert = Currency.converter();
+    const add = (map, name, units, amount) => {
+      if (!map[name]) map[name] = { name, units: 0, amount: 0 };
+      map[name].units += units;
+      map[name].amount += amount;
+    };
+    DataStore.getRoyaltyImports().forEach((imp) => {
+      const lines = (imp.lines || []).filter((l) => l.releaseId === releaseId);
+      if (lines.length) imports++;
+      lines.forEach((line) => {
+        const amount = convert(line.amount, imp.currency, imp.date);
+        add(platforms, line.platform, line.units, amount);
+        add(territories, line.territory, line.units, amount);
+      });
+    });
+    const sorted = (map) => Object.values(map)
+      .map((x) => ({ ...x, amount: Utils.roundMoney(x.amount) }))
+      .sort((a, b) => b.amount - a.amount);
+    return { platforms: sorted(platforms), territories: sorted(territories), imports };
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /**
+   * ISRC / UPC without spaces or dashes; placeholders like "[YOUR ISRC]" become ''
+   * @private
+   */
+  _code(value) {
+    const code = String(value || '').toUpperCase().replace(/[\s-]/g, '');
+    return /^[A-Z0-9]+$/.test(code) ? code : '';
+  },
+
+  /** Title / artist reduced to lower-case words for comparison @private */
+  _words(value) {
+    return String(value || '').toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+  },
+
+  /**
+   * Statement period cell as YYYY-MM-DD. Month and quarter periods resolve
+   * to their last day: "2026-03", "03/2026", "Mar 2026", "2026Q1".
+   * @private
+   */
+  _date(value) {
+    const text = String(value || '').trim();
+    let m;
+    const lastDay = (y, month) => new Date(Date.UTC(y, month, 0)).toISOString().slice(0, 10);
+    if ((m = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) return `${m[1]}-${m[2]}-${m[3]}`;
+    if ((m = text.match(/^(\d{4})-(\d{1,2})$/))) return lastDay(+m[1], +m[2]);
+    if ((m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+    if ((m = text.match(/^(\d{1,2})\/(\d{4})$/))) return lastDay(+m[2], +m[1]);
+    if ((m = text.match(/^(\d{4})\s*Q([1-4])$/i))) return lastDay(+m[1], +m[2] * 3);
+    if ((m = text.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{4})$/))) {
+      const month = Finance.MONTHS.indexOf(m[1][0].toUpperCase() + m[1].slice(1, 3).toLowerCase());
+      if (month !== -1) return lastDay(+m[2], month + 1);
+    }
+    const parsed = text ? new Date(text) : null;
+    return parsed && !isNaN(parsed) ? parsed.toISOString().slice(0, 10) : '';
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Royalties;
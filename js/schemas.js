@@ -0,0 +1,486 @@
+// js/schemas.js
+
+/**
+ * Schemas Module — Declarative entity schemas for DataStore
+ * One schema per DataStore.KEYS collection (keyed by storage key).
+ * DataStore normalizes and validates every write against these; errors come
+ * back as [{ field, message }] — the same shape Forms.validate() produces —
+ * so pages can map them onto modal fields with Forms.showErrors().
+ *
+ * Field spec:
+ *   type     — 'string' | 'number' | 'integer' | 'boolean' | 'date' |
+ *              'datetime' | 'email' | 'phone' | 'url' | 'array' | 'object'
+ *   required — must be present and non-empty
+ *   enum     — allowed values (empty string allowed unless required)
+ *   min/max  — numeric bounds
+ *   label    — human-readable name for messages (defaults to the field name)
+ */
+
+/**
+ * Thrown by DataStore writes that fail schema validation.
+ * @property {string} collection - Storage key
+ * @property {Array<{field: string, message: string}>} errors
+ */
+class ValidationError extends Error {
+  constructor(collection, errors) {
+    super(errors.map((e) => e.message).join(' '));
+    this.name = 'ValidationError';
+    this.collection = collection;
+    this.errors = errors;
+  }
+}
+
+const Schemas = {
+
+  ValidationError,
+
+  /** Shared enums referenced by pages and schemas */
+  ENUMS: {
+    bookingStage: ['lead', 'qualified', 'proposed', 'negotiating', 'confirmed', 'contracted', 'completed', 'closed'],
+    trademarkStatus: ['not-filed', 'filed', 'pending', 'published', 'registered', 'refused', 'planned'],
+    outreachStatus: ['not-contacted', 'contacted', 'in-talks', 'follow-up', 'booked', 'declined'],
+    contractStatus: ['draft', 'sent', 'signed', 'active', 'expired'],
+    talentStatus: ['active', 'inactive', 'prospect'],
+    availabilityStatus: ['available', 'booked', 'onhold'],
+    eventType: ['gig', 'meeting', 'studio', 'deadline', 'travel'],
+    serverStatus: ['active', 'planned', 'paused', 'cancelled'],
+    billingCycle: ['free', 'monthly', 'annual', 'one-time'],
+    invoiceStatus: ['draft', 'sent', 'partial', 'paid', 'overdue'],
+    revenueCategory: ['booking', 'royalties', 'merch', 'licensing', 'publishing', 'sponsorship', 'services', 'other'],
+    expenseCategory: ['operations', 'production', 'marketing', 'travel', 'legal', 'equipment', 'payroll', 'software', 'advance', 'payout', 'other'],
+    priority: ['high', 'medium', 'low'],
+    budgetPeriod: ['month', 'quarter', 'total'],
+    recurringFrequency: ['weekly', 'monthly', 'quarterly', 'annual', 'custom'],
+    recurringUnit: ['day', 'week', 'month'],
+    currency: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'MXN'],
+  },
+
+  definitions: {
+    'gbe-roster': {
+      name: { type: 'string', required: true, label: 'Name' },
+      category: { type: 'string', label: 'Category' },
+      status: { type: 'string', enumRef: 'talentStatus', label: 'Status' },
+      email: { type: 'email', label: 'Email' },
+      phone: { type: 'phone', label: 'Phone' },
+      website: { type: 'string', label: 'Website' },
+      contractStart: { type: 'date', label: 'Contract start' },
+      contractEnd: { type: 'date', label: 'Contract end' },
+      commission: { type: 'number', min: 0, max: 100, label: 'Commission %' },
+      rateType: { type: 'string', enum: ['flat', 'hourly'], label: 'Rate type' },
+      standardRate: { type: 'number', min: 0, label: 'Standard rate' },
+      minimumRate: { type: 'number', min: 0, label: 'Minimum rate' },
+      depositPercent: { type: 'number', min: 0, max: 100, label: 'Deposit %' },
+      availabilityStatus: { type: 'string', enumRef: 'availabilityStatus', label: 'Availability' },
+    },
+
+    'gbe-contracts': {
+      type: { type: 'string', label: 'Type' },
+      status: { type: 'string', enumRef: 'contractStatus', label: 'Status' },
+      startDate: { type: 'date', label: 'Start date' },
+      endDate: { type: 'date', label: 'End date' },
+      value: { type: 'number', min: 0, label: 'Value' },
+      commission: { type: 'number', min: 0, max: 100, label: 'Commission %' },
+      commissionPct: { type: 'number', min: 0, max: 100, label: 'Commission %' },
+      talentId: { type: 'string', label: 'Talent' },
+      bookingId: { type: 'string', label: 'Booking' },
+    },
+
+    'gbe-revenue': {
+      date: { type: 'date', required: true, label: 'Date' },
+      source: { type: 'string', required: true, label: 'Source' },
+      amount: { type: 'number', required: true, label: 'Amount' },
+      currency: { type: 'string', enumRef: 'currency', label: 'Currency' },
+      category: { type: 'string', label: 'Category' },
+      talentId: { type: 'string', label: 'Talent' },
+      bookingId: { type: 'string', label: 'Booking' },
+      releaseId: { type: 'string', label: 'Release' },
+      invoiceId: { type: 'string', label: 'Invoice' },
+      royaltyImportId: { type: 'string', label: 'Royalty import' },
+      importRef: { type: 'string', label: 'Bank reference' },
+      recurringId: { type: 'string', label: 'Recurring template' },
+      recurringRef: { type: 'string', label: 'Recurring occurrence' },
+    },
+
+    'gbe-expenses': {
+      date: { type: 'date', required: true, label: 'Date' },
+      description: { type: 'string', required: true, label: 'Description' },
+      amount: { type: 'number', required: true, min: 0, label: 'Amount' },
+      currency: { type: 'string', enumRef: 'currency', label: 'Currency' },
+      category: { type: 'string', label: 'Category' },
+      vendor: { type: 'string', label: 'Vendor' },
+      talentId: { type: 'string', label: 'Talent' },
+      recoupable: { type: 'boolean', label: 'Recoupable' },
+      importRef: { type: 'string', label: 'Bank reference' },
+      tripId: { type: 'string', label: 'Tour / trip' },
+      releaseId: { type: 'string', label: 'Release' },
+      contractId: { type: 'string', label: 'Client contract' },
+      recurringId: { type: 'string', label: 'Recurring template' },
+      serverId: { type: 'string', label: 'Server subscription' },
+      recurringRef: { type: 'string', label: 'Recurring occurrence' },
+    },
+
+    'gbe-invoices': {
+      invoiceNumber: { type: 'string', required: true, label: 'Invoice #' },
+      client: { type: 'string', required: true, label: 'Client' },
+      clientEmail: { type: 'email', label: 'Client email' },
+      clientAddress: { type: 'string', label: 'Client address' },
+      issueDate: { type: 'date', label: 'Issue date' },
+      dueDate: { type: 'date', label: 'Due date' },
+      lineItems: { type: 'array', label: 'Line items' },
+      discount: { type: 'number', min: 0, label: 'Discount' },
+      taxRate: { type: 'number', min: 0, max: 100, label: 'Tax rate' },
+      subtotal: { type: 'number', label: 'Subtotal' },
+      tax: { type: 'number', label: 'Tax' },
+      amount: { type: 'number', min: 0, label: 'Amount' },
+      currency: { type: 'string', enumRef: 'currency', label: 'Currency' },
+      payments: { type: 'array', label: 'Payments' },
+      amountPaid: { type: 'number', min: 0, label: 'Amount paid' },
+      status: { type: 'string', enumRef: 'invoiceStatus', label: 'Status' },
+      sentDate: { type: 'date', label: 'Sent date' },
+      paidDate: { type: 'date', label: 'Paid date' },
+      talentId: { type: 'string', label: 'Talent' },
+      bookingId: { type: 'string', label: 'Booking' },
+    },
+
+    'gbe-events': {
+      title: { type: 'string', required: true, label: 'Title' },
+      date: { type: 'datetime', required: true, label: 'Date' },
+      endDate: { type: 'datetime', label: 'End date' },
+      type: { type: 'string', enumRef: 'eventType', label: 'Type' },
+      talentId: { type: 'string', label: 'Artist' },
+      bookingId: { type: 'string', label: 'Booking' },
+    },
+
+    'gbe-bookings': {
+      name: { type: 'string', required: true, label: 'Booking name' },
+      venue: { type: 'string', required: true, label: 'Venue' },
+      date: { type: 'date', label: 'Date' },
+      stage: { type: 'string', required: true, enumRef: 'bookingStage', label: 'Stage' },
+      talentId: { type: 'string', label: 'Artist' },
+      value: { type: 'number', min: 0, label: 'Value' },
+      deposit: { type: 'number', min: 0, label: 'Deposit' },
+      depositPaid: { type: 'boolean', label: 'Deposit paid' },
+      guestCount: { type: 'integer', min: 0, label: 'Guest count' },
+      hoursNeeded: { type: 'number', min: 0, label: 'Hours needed' },
+      rating: { type: 'integer', min: 0, max: 5, label: 'Rating' },
+      rebook: { type: 'boolean', label: 'Re-book' },
+      contactEmail: { type: 'email', label: 'Contact email' },
+      contactPhone: { type: 'phone', label: 'Contact phone' },
+      stageHistory: { type: 'array', label: 'Stage history' },
+      intakeIds: { type: 'array', label: 'Booking requests' },
+      quote: { type: 'object', label: 'Quote' },
+    },
+
+    'gbe-ip-rights': {
+      title: { type: 'string', required: true, label: 'Title' },
+      type: { type: 'string', label: 'Type' },
+      ownershipPct: { type: 'number', min: 0, max: 100, label: 'Ownership %' },
+    },
+
+    'gbe-trademarks': {
+      mark: { type: 'string', required: true, label: 'Mark' },
+      status: { type: 'string', required: true, enumRef: 'trademarkStatus', label: 'Status' },
+      filingDate: { type: 'date', label: 'Filing date' },
+      registrationDate: { type: 'date', label: 'Registration date' },
+      firstUseDate: { type: 'date', label: 'First use date' },
+      useInCommerce: { type: 'boolean', label: 'Use in commerce' },
+    },
+
+    'gbe-documents': {
+      name: { type: 'string', required: true, label: 'Name' },
+      required: { type: 'boolean', label: 'Required' },
+    },
+
+    'gbe-merch-products': {
+      name: { type: 'string', required: true, label: 'Product name' },
+      price: { type: 'number', min: 0, label: 'Price' },
+      comparePrice: { type: 'number', min: 0, label: 'Compare-at price' },
+      inventory: { type: 'integer', min: 0, label: 'Inventory' },
+      printOnDemand: { type: 'boolean', label: 'Print on demand' },
+    },
+
+    'gbe-merch-orders': {
+      total: { type: 'number', min: 0, label: 'Total' },
+    },
+
+    'gbe-travel': {
+      name: { type: 'string', required: true, label: 'Trip name' },
+      city: { type: 'string', label: 'City' },
+      date: { type: 'date', label: 'Departure date' },
+      returnDate: { type: 'date', label: 'Return date' },
+      totalBudget: { type: 'number', min: 0, label: 'Total budget' },
+      perDiem: { type: 'number', min: 0, label: 'Per diem' },
+      expenses: { type: 'array', label: 'Expenses' },
+      checklist: { type: 'array', label: 'Checklist' },
+      talentId: { type: 'string', label: 'Talent' },
+      bookingId: { type: 'string', label: 'Booking' },
+    },
+
+    'gbe-distribution': {
+      title: { type: 'string', required: true, label: 'Title' },
+      releaseDate: { type: 'date', label: 'Release date' },
+      royaltyIncome: { type: 'number', min: 0, label: 'Royalty income' },
+      platforms: { type: 'array', label: 'Platforms' },
+      talentId: { type: 'string', label: 'Artist' },
+    },
+
+    'gbe-royalty-imports': {
+      name: { type: 'string', required: true, label: 'Name' },
+      date: { type: 'date', required: true, label: 'Revenue date' },
+      periodFrom: { type: 'date', label: 'Period start' },
+      periodTo: { type: 'date', label: 'Period end' },
+      total: { type: 'number', label: 'Total' },
+      currency: { type: 'string', enumRef: 'currency', label: 'Currency' },
+      lines: { type: 'array', label: 'Matched lines' },
+      unmatched: { type: 'array', label: 'Unmatched rows' },
+    },
+
+    'gbe-bank-rules': {
+      pattern: { type: 'string', required: true, label: 'Pattern' },
+      match: { type: 'string', enum: ['contains', 'starts', 'equals'], label: 'Match' },
+      type: { type: 'string', enum: ['expense', 'revenue'], label: 'Applies to' },
+      category: { type: 'string', required: true, label: 'Category' },
+      vendor: { type: 'string', label: 'Vendor' },
+    },
+
+    'gbe-budgets': {
+      name: { type: 'string', required: true, label: 'Name' },
+      amount: { type: 'number', required: true, min: 0, label: 'Amount' },
+      period: { type: 'string', required: true, enumRef: 'budgetPeriod', label: 'Period' },
+      category: { type: 'string', enumRef: 'expenseCategory', label: 'Category' },
+      tripId: { type: 'string', label: 'Tour / trip' },
+      releaseId: { type: 'string', label: 'Release' },
+      contractId: { type: 'string', label: 'Client contract' },
+      alertPct: { type: 'number', min: 1, max: 100, label: 'Alert at %' },
+    },
+
+    'gbe-recurring': {
+      name: { type: 'string', required: true, label: 'Name' },
+      type: { type: 'string', required: true, enum: ['expense', 'revenue'], label: 'Type' },
+      amount: { type: 'number', required: true, min: 0, label: 'Amount' },
+      currency: { type: 'string', enumRef: 'currency', label: 'Currency' },
+      category: { type: 'string', label: 'Category' },
+      frequency: { type: 'string', required: true, enumRef: 'recurringFrequency', label: 'Frequency' },
+      interval: { type: 'number', min: 1, label: 'Every' },
+      unit: { type: 'string', enumRef: 'recurringUnit', label: 'Unit' },
+      startDate: { type: 'date', required: true, label: 'Start date' },
+      nextDate: { type: 'date', required: true, label: 'Next date' },
+      endDate: { type: 'date', label: 'End date' },
+      active: { type: 'boolean', label: 'Active' },
+      vendor: { type: 'string', label: 'Vendor' },
+      talentId: { type: 'string', label: 'Talent' },
+    },
+
+    'gbe-exchange-rates': {
+      currency: { type: 'string', required: true, enumRef: 'currency', label: 'Currency' },
+      date: { type: 'date', required: true, label: 'Date' },
+      rate: { type: 'number', required: true, min: 0.000001, label: 'Rate' },
+      source: { type: 'string', label: 'Source' },
+    },
+
+    'gbe-venue-leads': {
+      name: { type: 'string', required: true, label: 'Venue name' },
+      outreachStatus: { type: 'string', enumRef: 'outreachStatus', label: 'Outreach status' },
+      priority: { type: 'string', enumRef: 'priority', label: 'Priority' },
+      contactEmail: { type: 'email', label: 'Contact email' },
+      contactPhone: { type: 'phone', label: 'Contact phone' },
+      lastContact: { type: 'date', label: 'Last contact' },
+    },
+
+    'gbe-it-credentials': {
+      name: { type: 'string', required: true, label: 'Service name' },
+      category: { type: 'string', label: 'Category' },
+    },
+
+    'gbe-it-servers': {
+      name: { type: 'string', required: true, label: 'Name' },
+      status: { type: 'string', enumRef: 'serverStatus', label: 'Status' },
+      monthlyCost: { type: 'number', min: 0, label: 'Monthly cost' },
+      billingCycle: { type: 'string', enumRef: 'billingCycle', label: 'Billing cycle' },
+      renewalDate: { type: 'date', label: 'Renewal date' },
+    },
+
+    'gbe-checklist': {
+      label: { type: 'string', required: true, label: 'Label' },
+      checked: { type: 'boolean', label: 'Checked' },
+    },
+
+    'gbe-activity': {
+      action: { type: 'string', required: true, label: 'Action' },
+      timestamp: { type: 'datetime', required: true, label: 'Timestamp' },
+    },
+
+    // Key/value maps — typed where a page depends on the shape
+    'gbe-settings': {
+      ownerEmail: { type: 'email', label: 'Owner email' },
+      ownerPhone: { type: 'phone', label: 'Owner phone' },
+      notifyEmail: { type: 'boolean', label: 'Email notifications' },
+      notifyDashboard: { type: 'boolean', label: 'Dashboard notifications' },
+      taxFederalRate: { type: 'number', min: 0, max: 100, label: 'Federal tax rate' },
+      taxStateRate: { type: 'number', min: 0, max: 100, label: 'State tax rate' },
+      reportingCurrency: { type: 'string', enumRef: 'currency', label: 'Reporting currency' },
+      pipelineRules: { type: 'object', label: 'Pipeline stage rules' },
+    },
+
+    'gbe-integrations': {},
+  },
+
+  /**
+   * Get the schema for a storage key
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  get: function(key) {
+    return this.definitions[key] || null;
+  },
+
+  /**
+   * Coerce form-style values (strings from FormData) into schema types.
+   * Unknown fields pass through untouched.
+   * @param {string} key - Storage key
+   * @param {Object} data
+   * @returns {Object} New object with coerced values
+   */
+  normalize: function(key, data) {
+    var schema = this.get(key);
+    var out = Object.assign({}, data);
+    if (!schema) return out;
+
+    Object.keys(schema).forEach(function(field) {
+      if (!Object.prototype.hasOwnProperty.call(out, field)) return;
+      out[field] = Schemas._coerce(schema[field].type, out[field]);
+    });
+    return out;
+  },
+
+  /**
+   * Validate a record against its collection schema
+   * @param {string} key - Storage key
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {boolean} [options.partial=false] - Only check fields present in data
+   * @returns {{ valid: boolean, errors: Array<{field: string, message: string}> }}
+   */
+  validate: function(key, data, options) {
+    var schema = this.get(key);
+    var partial = !!(options && options.partial);
+    var errors = [];
+    if (!schema) return { valid: true, errors: errors };
+
+    Object.keys(schema).forEach(function(field) {
+      var spec = schema[field];
+      var present = Object.prototype.hasOwnProperty.call(data, field);
+      if (partial && !present) return;
+
+      var message = Schemas._checkField(spec, data[field]);
+      if (message) {
+        errors.push({ field: field, message: (spec.label || field) + ' ' + message });
+      }
+    });
+
+    return { valid: errors.length === 0, errors: errors };
+  },
+
+  /**
+   * Normalize then validate; throws ValidationError on failure
+   * @param {string} key
+   * @param {Object} data
+   * @param {Object} [options] - See validate()
+   * @returns {Object} Normalized data
+   */
+  enforce: function(key, data, options) {
+    var normalized = this.normalize(key, data);
+    var result = this.validate(key, normalized, options);
+    if (!result.valid) throw new ValidationError(key, result.errors);
+    return normalized;
+  },
+
+  /**
+   * Check one value; returns an error fragment or null
+   * @private
+   */
+  _checkField: function(spec, value) {
+    var empty = value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0 && spec.required);
+
+    if (empty) return spec.required ? 'is required.' : null;
+
+    if (typeof value === 'string' && spec.type !== 'string' && /^\[.*\]$/.test(value.trim())) {
+      return 'still holds a placeholder (' + value + ').';
+    }
+
+    switch (spec.type) {
+      case 'number':
+      case 'integer':
+        if (typeof value !== 'number' || isNaN(value)) return 'must be a number.';
+        if (spec.type === 'integer' && Math.floor(value) !== value) return 'must be a whole number.';
+        if (spec.min !== undefined && value < spec.min) return 'must be at least ' + spec.min + '.';
+        if (spec.max !== undefined && value > spec.max) return 'must be no more than ' + spec.max + '.';
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') return 'must be true or false.';
+        break;
+      case 'date':
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) return 'must be a date (YYYY-MM-DD).';
+        break;
+      case 'datetime':
+        if (!/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) || isNaN(new Date(value).getTime())) {
+          return 'must be a date/time (YYYY-MM-DDTHH:MM).';
+        }
+        break;
+      case 'email':
+        if (!Utils.isValidEmail(value)) return 'must be a valid email address.';
+        break;
+      case 'phone':
+        if (!/^\+?[\d\s().\-]{7,}(\s*(x|ext\.?)\s*\d+)?$/i.test(value)) return 'must be a valid phone number.';
+        break;
+      case 'url':
+        if (!/^(https?:\/\/|\.{0,2}\/)/.test(value)) return 'must be a URL.';
+        break;
+      case 'array':
+        if (!Array.isArray(value)) return 'must be a list.';
+        break;
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) return 'must be an object.';
+        break;
+      default:
+        if (typeof value !== 'string') return 'must be text.';
+    }
+
+    var allowed = spec.enum || (spec.enumRef && this.ENUMS[spec.enumRef]);
+    if (allowed && allowed.indexOf(value) === -1) {
+      return 'must be one of: ' + allowed.join(', ') + '.';
+    }
+    return null;
+  },
+
+  /**
+   * Convert a raw value to the field type where it is unambiguous
+   * @private
+   */
+  _coerce: function(type, value) {
+    if (typeof value === 'string') value = value.trim();
+
+    switch (type) {
+      case 'number':
+      case 'integer':
+        if (typeof value === 'string' && value !== '' && !isNaN(Number(value.replace(/[$,]/g, '')))) {
+          return Number(value.replace(/[$,]/g, ''));
+        }
+        return value;
+      case 'boolean':
+        if (value === 'on' || value === 'true' || value === 'yes') return true;
+        if (value === 'false' || value === 'no' || value === '') return false;
+        return value;
+      case 'array':
+        if (typeof value === 'string') {
+          return value === '' ? [] : value.split(',').map(function(v) { return v.trim(); }).filter(Boolean);
+        }
+        return value;
+      default:
+        return value;
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Schemas;
@@ -0,0 +1,296 @@
+// js/settlements.js
+
+/**
+ * Settlements Module — commission and artist payout statements
+ * Splits each revenue entry tied to a talentId between GBE (commission)
+ * and the artist, then charges the artist's side with recoupable costs:
+ *
+ *   artist share  = revenue − commission
+ *   recoupments   = expenses for the talent marked recoupable, plus
+ *                   every expense in the 'advance' category
+ *   payouts       = expenses for the talent in the 'payout' category
+ *   balance       = opening + share − recoupments − payouts
+ *
+ * The opening balance is the same sum over everything before the period,
+ * so unrecouped advances carry forward until earnings cover them. A
+ * negative closing balance is unrecouped; nothing is payable until it
+ * turns positive.
+ *
+ * The commission rate comes from the governing contract (see
+ * commissionRate), falling back to the roster record's rate.
+ *
+ * Statements are in the reporting currency: revenue and charges entered
+ * in another currency are converted at the rate on their date.
+ */
+
+const Settlements = {
+  /** Contract statuses that can govern a revenue entry */
+  GOVERNING_STATUSES: ['signed', 'active', 'expired'],
+
+  // ============================================================
+  // COMMISSION
+  // ============================================================
+
+  /**
+   * Commission % a contract sets (the contracts page writes commissionPct,
+   * older records carry commission)
+   * @param {Object} contract
+   * @returns {number|null}
+   */
+  contractRate(contract) {
+    const rate = parseFloat(contract.commissionPct !== undefined && contract.commissionPct !== '' ? contract.commissionPct : contract.commission);
+    return isNaN(rate) ? null : rate;
+  },
+
+  /**
+   * Contract that governs a revenue entry: a signed contract for the same
+   * booking if there is one, otherwise the talent's signed contract in
+   * force on the entry's date (the most recently started wins)
+   * @param {Object} revenue
+   * @returns {Object|null}
+   */
+  governingContract(revenue) {
+    if (!revenue.talentId) return null;
+    const date = String(revenue.date || '').slice(0, 10);
+    const candidates = DataStore.getContracts().filter((c) =>
+      c.talentId === revenue.talentId &&
+      this.GOVERNING_STATUSES.includes(c.status) &&
+      this.contractRate(c) !== null);
+
+    if (revenue.bookingId) {
+      const forBooking = candidates.find((c) => c.bookingId === revenue.bookingId);
+      if (forBooking) return forBooking;
+    }
+    return candidates
+      .filter((c) => c.type !== 'booking' || !c.bookingId)
+      .filter((c) => (!c.startDate || c.startDate <= date) && (!c.endDate || c.endDate >= date))
+      .sort((a, b) => String(b.startDate || '').localeCompare(String(a.startDate || '')))[0] || null;
+  },
+
+  /**
+   * @param {Object} revenue
+   * @returns {{rate: number, source: string, contract: (Object|null)}}
+   *   source is 'contract', 'roster' or 'none'
+   */
+  commissionRate(revenue) {
+    const contract = this.governingContract(revenue);
+    if (contract) return { rate: this.contractRate(contract), source: 'contract', contract };
+    const talent = revenue.talentId ? DataStore.getTalent(revenue.talentId) : null;
+    const rosterRate = talent ? parseFloat(talent.commission) : NaN;
+    if (!isNaN(rosterRate)) return { rate: rosterRate, source: 'roster', contract: null };
+    return { rate: 0, source: 'none', contract: null };
+  },
+
+  // ============================================================
+  // STATEMENTS
+  // ============================================================
+
+  /**
+   * Is an expense charged against the talent's earnings?
+   * @param {Object} expense
+   * @returns {string|null} 'payout', 'advance', 'recoupable' or null
+   */
+  chargeType(expense) {
+    if (!expense.talentId) return null;
+    if (expense.category === 'payout') return 'payout';
+    if (expense.category === 'advance') return 'advance';
+    return expense.recoupable === true ? 'recoupable' : null;
+  },
+
+  /**
+   * Statement for one talent over a date range
+   * @param {string} talentId
+   * @param {{from: string, to: string}} range - Inclusive YYYY-MM-DD ('' = open)
+   * @returns {Object} { talent, range, earnings, charges, payouts, totals }
+   *   earnings: [{ revenue, rate, source, contract, commission, share }]
+   *   charges / payouts: expense records, amount in the reporting currency
+   *   totals: { gross, commission, share, recouped, paid, opening, closing, payable }
+   */
+  statement(talentId, range) {
+    const talent = DataStore.getTalent(talentId);
+    const r = range || { from: '', to: '' };
+    const convert = Currency.converter();
+    const earnings = [];
+    const charges = [];
+    const payouts = [];
+    const opening = r.from ? this._balance(talentId, { from: '', to: Utils.addDays(r.from, -1) }, convert) : 0;
+
+    DataStore.getRevenue()
+      .filter((rev) => rev.talentId === talentId && Finance.inRange(rev.date, r))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+      .forEach((rev) => earnings.push(this._split(rev, convert)));
+
+    DataStore.getExpenses()
+      .filter((exp) => exp.talentId === talentId && Finance.inRange(exp.date, r))
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+      .forEach((exp) => {
+        const type = this.chargeType(exp);
+        const charge = { ...exp, amount: convert(exp.amount, exp.currency, exp.date) };
+        if (type === 'payout') payouts.push(charge);
+        else if (type) charges.push(charge);
+      });
+
+    const sum = (list, field) => Utils.roundMoney(list.reduce((s, x) => s + (parseFloat(x[field]) || 0), 0));
+    const totals = {
+      gross: sum(earnings, 'amount'),
+      commission: sum(earnings, 'commission'),
+      share: sum(earnings, 'share'),
+      recouped: sum(charges, 'amount'),
+      paid: sum(payouts, 'amount'),
+      opening,
+    };
+    totals.closing = Utils.roundMoney(opening + totals.share - totals.recouped - totals.paid);
+    totals.payable = Math.max(0, totals.closing);
+
+    return { talent, talentId, range: r, earnings, charges, payouts, totals };
+  },
+
+  /**
+   * Statements for every talent with activity in the range or a balance
+   * carried into it, largest gross first
+   * @param {{from: string, to: string}} range
+   * @returns {Array<Object>}
+   */
+  statements(range) {
+    return DataStore.getRoster()
+      .map((t) => this.statement(t.id, range))
+      .filter((s) => s.earnings.length || s.charges.length || s.payouts.length || s.totals.opening)
+      .sort((a, b) => b.totals.gross - a.totals.gross);
+  },
+
+  // ============================================================
+  // OUTPUT
+  // ============================================================
+
+  COLUMNS: [
+    { key: 'date', label: 'Date' },
+    { key: 'type', label: 'Type' },
+    { key: 'description', label: 'Description' },
+    { key: 'gross', label: 'Gross' },
+    { key: 'rate', label: 'Commission %' },
+    { key: 'commission', label: 'Commission' },
+    { key: 'artist', label: 'Artist Amount' },
+  ],
+
+  /**
+   * Statement as flat CSV rows: opening balance, earnings, charges,
+   * payouts and closing balance
+   * @param {Object} st - From statement()
+   * @returns {Array<Object>}
+   */
+  toRows(st) {
+    const money = (n) => (n === '' ? '' : Number(n).toFixed(2));
+    const rows = [{ date: st.range.from, type: 'opening', description: 'Opening balance', gross: '', rate: '', commission: '', artist: money(st.totals.opening) }];
+    st.earnings.forEach((e) => rows.push({
+      date: e.revenue.date, type: 'revenue', description: e.revenue.source, gross: money(e.amount), rate: e.rate, commission: money(e.commission), artist: money(e.share),
+    }));
+    st.charges.forEach((x) => rows.push({
+      date: x.date, type: this.chargeType(x), description: x.description, gross: '', rate: '', commission: '', artist: money(-x.amount),
+    }));
+    st.payouts.forEach((x) => rows.push({
+      date: x.date, type: 'payout', description: x.description, gross: '', rate: '', commission: '', artist: money(-x.amount),
+    }));
+    rows.push({ date: st.range.to, type: 'closing', description: 'Closing balance', gross: money(st.totals.gross), rate: '', commission: money(st.totals.commission), artist: money(st.totals.closing) });
+    return rows;
+  },
+
+  /**
+   * Download a statement as gbe-statement-<talent>-<from>-<to>.csv
+   * @param {Object} st
+   */
+  exportCSV(st) {
+    const slug = String((st.talent && st.talent.name) || st.talentId).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    Utils.downloadCSV(this.toRows(st), `gbe-statement-${slug}-${st.range.from || 'start'}-${st.range.to || 'today'}.csv`, this.COLUMNS);
+  },
+
+  /**
+   * Standalone, print-ready HTML document for a statement
+   * @param {Object} st
+   * @returns {string}
+   */
+  renderHTML(st) {
+    const esc = (v) => Utils.escapeHtml(v === undefined || v === null ? '' : String(v));
+    const money = (v) => (v < 0 ? `-${Utils.formatCurrency(-v)}` : Utils.formatCurrency(v));
+    const date = (v) => (v ? Utils.formatDate(v) : '—');
+    const company = (typeof SiteConfig !== 'undefined' && SiteConfig.company) || {};
+    const t = st.totals;
+    const name = st.talent ? st.talent.name : st.talentId;
+    const period = st.range.from || st.range.to ? `${date(st.range.from)} – ${date(st.range.to)}` : 'All time';
+
+    const earningRows = st.earnings.map((e) => `
+      <tr><td>${date(e.revenue.date)}</td><td>${esc(e.revenue.source)}</td><td class="num">${money(e.amount)}</td><td class="num">${esc(e.rate)}%<div class="muted small">${esc(e.contract ? (e.contract.name || e.contract.title) : e.source === 'roster' ? 'Roster rate' : 'No rate set')}</div></td><td class="num">${money(e.commission)}</td><td class="num">${money(e.share)}</td></tr>`).join('');
+    const chargeRows = st.charges.concat(st.payouts).map((x) => `
+      <tr><td>${date(x.date)}</td><td>${esc(x.description)}</td><td>${esc(Utils.capitalize(this.chargeType(x)))}</td><td class="num">-${Utils.formatCurrency(x.amount)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Statement — ${esc(name)} — ${esc(period)}</title>
+<style>
+  body{font-family:-apple-system,'Segoe UI',Helvetica,Arial,sans-serif;color:#1f2328;margin:40px;font-size:14px;}
+  .head{display:flex;justify-content:space-between;align-items:flex-start;border-bottom:3px solid #d4a017;padding-bottom:16px;margin-bottom:24px;}
+  h1{margin:0;font-size:24px;letter-spacing:0.06em;color:#d4a017;}
+  h2{font-size:14px;text-transform:uppercase;letter-spacing:0.05em;color:#656d76;margin:24px 0 8px;}
+  .muted{color:#656d76;} .small{font-size:11px;}
+  table{width:100%;border-collapse:collapse;}
+  th{text-align:left;font-size:12px;text-transform:uppercase;letter-spacing:0.05em;color:#656d76;border-bottom:2px solid #d0d7de;padding:8px;}
+  td{padding:8px;border-bottom:1px solid #eaeef2;vertical-align:top;}
+  .num{text-align:right;white-space:nowrap;}
+  .summary{margin-left:auto;width:320px;margin-top:24px;}
+  .summary td{border:none;padding:4px 8px;}
+  .grand td{border-top:2px solid #1f2328;font-weight:700;font-size:16px;}
+  @media print{body{margin:0;}}
+</style></head>
+<body>
+  <div class="head">
+    <div><strong style="font-size:18px;">${esc(company.legalName || company.name || '')}</strong></div>
+    <div style="text-align:right;"><h1>ARTIST STATEMENT</h1><div><strong>${esc(name)}</strong></div><div class="muted">${esc(period)}</div></div>
+  </div>
+  <h2>Earnings</h2>
+  ${st.earnings.length ? `<table><thead><tr><th>Date</th><th>Source</th><th class="num">Gross</th><th class="num">Commission %</th><th class="num">Commission</th><th class="num">Artist share</th></tr></thead><tbody>${earningRows}</tbody></table>` : '<p class="muted">No earnings this period.</p>'}
+  <h2>Recoupments &amp; Payouts</h2>
+  ${chargeRows ? `<table><thead><tr><th>Date</th><th>Description</th><th>Type</th><th class="num">Amount</th></tr></thead><tbody>${chargeRows}</tbody></table>` : '<p class="muted">None this period.</p>'}
+  <table class="summary">
+    <tr><td>Opening balance</td><td class="num">${money(t.opening)}</td></tr>
+    <tr><td>Gross earnings</td><td class="num">${money(t.gross)}</td></tr>
+    <tr><td>Commission</td><td class="num">-${Utils.formatCurrency(t.commission)}</td></tr>
+    <tr><td>Recouped</td><td class="num">-${Utils.formatCurrency(t.recouped)}</td></tr>
+    <tr><td>Paid to artist</td><td class="num">-${Utils.formatCurrency(t.paid)}</td></tr>
+    <tr class="grand"><td>${t.closing < 0 ? 'Unrecouped balance' : 'Balance owed'}</td><td class="num">${money(t.closing)}</td></tr>
+  </table>
+</body></html>`;
+  },
+
+  /**
+   * Open a statement for printing / saving as PDF
+   * @param {Object} st
+   * @returns {boolean} false if the browser blocked the window
+   */
+  print(st) {
+    return Utils.printHTML(this.renderHTML(st));
+  },
+
+  // ============================================================
+  // HELPERS
+  // ============================================================
+
+  /** @private */
+  _split(rev, convert) {
+    const amount = convert(rev.amount, rev.currency, rev.date);
+    const c = this.commissionRate(rev);
+    const commission = Utils.roundMoney(amount * c.rate / 100);
+    return { revenue: rev, amount, rate: c.rate, source: c.source, contract: c.contract, commission, share: Utils.roundMoney(amount - commission) };
+  },
+
+  /** Closing balance over a range, without building the line items @private */
+  _balance(talentId, range, convert) {
+    let balance = 0;
+    DataStore.getRevenue().forEach((rev) => {
+      if (rev.talentId === talentId && Finance.inRange(rev.date, range)) balance += this._split(rev, convert).share;
+    });
+    DataStore.getExpenses().forEach((exp) => {
+      if (exp.talentId === talentId && Finance.inRange(exp.date, range) && this.chargeType(exp)) balance -= convert(exp.amount, exp.currency, exp.date);
+    });
+    return Utils.roundMoney(balance);
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Settlements;
@@ -0,0 +1,373 @@
+// js/storage-adapters.js
+
+/**
+ * StorageAdapters Module — Pluggable persistence backends for DataStore
+ * Every adapter exposes the same synchronous surface over an in-memory view
+ * of the data, plus an async init() that hydrates it before first use:
+ *   - localStorage → browser localStorage (default, ~5 MB, today's behavior)
+ *   - indexeddb    → browser IndexedDB (large datasets, still offline)
+ *   - rest         → home server /api/v1/{entity} endpoints (LAN)
+ *
+ * Adapter contract:
+ *   init(keys)                → Promise, resolves once get() is safe to call
+ *   get(key, fallback)        → value or fallback
+ *   set(key, value)           → replace a whole key
+ *   remove(key)               → delete a whole key
+ *   insert(key, item, items)  → persist a created record (items = new array)
+ *   replace(key, item, items) → persist an updated record
+ *   destroy(key, id, items)   → persist a deleted record
+ */
+
+const StorageAdapters = {
+
+  adapters: {
+
+    /* ------------------------------------------
+       localStorage — thin wrapper over Utils.storage
+       ------------------------------------------ */
+
+    localStorage: {
+      name: 'localStorage',
+
+      init: function() {
+        return Promise.resolve();
+      },
+
+      get: function(key, fallback) {
+        return Utils.storage.get(key, fallback);
+      },
+
+      set: function(key, value) {
+        Utils.storage.set(key, value);
+      },
+
+      remove: function(key) {
+        Utils.storage.remove(key);
+      },
+
+      insert: function(key, item, items) { this.set(key, items); },
+      replace: function(key, item, items) { this.set(key, items); },
+      destroy: function(key, id, items) { this.set(key, items); }
+    },
+
+    /* ------------------------------------------
+       IndexedDB — one record per storage key, cached in memory
+       ------------------------------------------ */
+
+    indexeddb: {
+      name: 'indexeddb',
+
+      /** @type {string} Object store holding one entry per storage key */
+      storeName: 'collections',
+
+      /** @type {IDBDatabase|null} */
+      _db: null,
+
+      /** @type {Object} In-memory copy of every key, filled by init() */
+      _cache: {},
+
+      /**
+       * Open the database and load every key into memory.
+       * Keys missing from IndexedDB are imported from localStorage once,
+       * so switching adapters does not lose existing browser data. Once
+       * IndexedDB holds a key, the localStorage copy is removed — it would
+       * otherwise keep credentials in plaintext after the vault seals them.
+       * @param {Array<string>} keys
+       * @returns {Promise}
+       */
+      init: function(keys) {
+        var self = this;
+        var dbName = StorageAdapters._config().dbName || 'gbe-datastore';
+
+        return new Promise(function(resolve, reject) {
+          if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not supported'));
+            return;
+          }
+          var request = indexedDB.open(dbName, 1);
+          request.onupgradeneeded = function() {
+            request.result.createObjectStore(self.storeName);
+          };
+          request.onsuccess = function() { resolve(request.result); };
+          request.onerror = function() { reject(request.error); };
+        }).then(function(db) {
+          self._db = db;
+          return self._readAll();
+        }).then(function(stored) {
+          self._cache = stored;
+          var imports = {};
+          (keys || []).forEach(function(key) {
+            if (Object.prototype.hasOwnProperty.call(stored, key)) return;
+            var legacy = Utils.storage.get(key);
+            if (legacy !== null) imports[key] = legacy;
+          });
+          return self._import(imports).then(function() {
+            (keys || []).forEach(function(key) {
+              if (Object.prototype.hasOwnProperty.call(self._cache, key)) Utils.storage.remove(key);
+            });
+          });
+        });
+      },
+
+      /**
+       * Write legacy values in one transaction; resolves once committed
+       * @param {Object} values - { key: value }
+       * @returns {Promise}
+       * @private
+       */
+      _import: function(values) {
+        var self = this;
+        var keys = Object.keys(values);
+        if (!keys.length) return Promise.resolve();
+        return new Promise(function(resolve, reject) {
+          var tx = self._db.transaction(self.storeName, 'readwrite');
+          var store = tx.objectStore(self.storeName);
+          keys.forEach(function(key) { store.put(values[key], key); });
+          tx.oncomplete = function() {
+            keys.forEach(function(key) { self._cache[key] = values[key]; });
+            resolve();
+          };
+          tx.onerror = function() { reject(tx.error); };
+        });
+      },
+
+      get: function(key, fallback) {
+        if (typeof fallback === 'undefined') fallback = null;
+        return Object.prototype.hasOwnProperty.call(this._cache, key)
+          ? Utils.deepClone(this._cache[key])
+          : fallback;
+      },
+
+      set: function(key, value) {
+        this._cache[key] = Utils.deepClone(value);
+        this._write(function(store) { store.put(value, key); }, key);
+      },
+
+      remove: function(key) {
+        delete this._cache[key];
+        this._write(function(store) { store.delete(key); }, key);
+      },
+
+      insert: function(key, item, items) { this.set(key, items); },
+      replace: function(key, item, items) { this.set(key, items); },
+      destroy: function(key, id, items) { this.set(key, items); },
+
+      /**
+       * Read every stored key into a plain object
+       * @returns {Promise<Object>}
+       * @private
+       */
+      _readAll: function() {
+        var self = this;
+        return new Promise(function(resolve, reject) {
+          var result = {};
+          var tx = self._db.transaction(self.storeName, 'readonly');
+          var cursorReq = tx.objectStore(self.storeName).openCursor();
+          cursorReq.onsuccess = function() {
+            var cursor = cursorReq.result;
+            if (!cursor) return;
+            result[cursor.key] = cursor.value;
+            cursor.continue();
+          };
+          tx.oncomplete = function() { resolve(result); };
+          tx.onerror = function() { reject(tx.error); };
+        });
+      },
+
+      /**
+       * Run a write against the object store (fire-and-forget)
+       * @param {Function} fn - Receives the IDBObjectStore
+       * @param {string} key - For logging only
+       * @private
+       */
+      _write: function(fn, key) {
+        if (!this._db) return;
+        try {
+          var tx = this._db.transaction(this.storeName, 'readwrite');
+          fn(tx.objectStore(this.storeName));
+          tx.onerror = function() {
+            console.warn('[StorageAdapters] IndexedDB write failed for "' + key + '":', tx.error);
+            if (Utils.storage.isQuotaError(tx.error)) Utils.storage.quotaExceeded(key, tx.error);
+          };
+        } catch (e) {
+          console.warn('[StorageAdapters] IndexedDB write failed for "' + key + '":', e);
+        }
+      }
+    },
+
+    /* ------------------------------------------
+       REST — home server generic CRUD routes, cached in memory
+       ------------------------------------------ */
+
+    rest: {
+      name: 'rest',
+
+      /** @type {Object} In-memory copy of every key, filled by init() */
+      _cache: {},
+
+      /**
+       * Fetch every key from the server. Rejects if the server is
+       * unreachable or lacks a data route (404) so DataStore can fall
+       * back to localStorage. An empty key is answered with 204.
+       * @param {Array<string>} keys
+       * @returns {Promise}
+       */
+      init: function(keys) {
+        var self = this;
+        if (!this._baseUrl()) {
+          return Promise.reject(new Error('Home server URL not detected'));
+        }
+
+        return Promise.all((keys || []).map(function(key) {
+          return self._request('GET', self._entityUrl(key)).then(function(data) {
+            if (data !== null && data !== undefined) self._cache[key] = data;
+          });
+        }));
+      },
+
+      get: function(key, fallback) {
+        if (typeof fallback === 'undefined') fallback = null;
+        return Object.prototype.hasOwnProperty.call(this._cache, key)
+          ? Utils.deepClone(this._cache[key])
+          : fallback;
+      },
+
+      set: function(key, value) {
+        this._cache[key] = Utils.deepClone(value);
+        return this._send({ type: 'replace', collection: key, value: value });
+      },
+
+      remove: function(key) {
+        delete this._cache[key];
+        return this._send({ type: 'remove', collection: key });
+      },
+
+      insert: function(key, item, items) {
+        this._cache[key] = Utils.deepClone(items);
+        return this._send({ type: 'create', collection: key, id: item.id, record: item });
+      },
+
+      replace: function(key, item, items) {
+        this._cache[key] = Utils.deepClone(items);
+        return this._send({ type: 'update', collection: key, id: item.id, record: item });
+      },
+
+      destroy: function(key, id, items) {
+        this._cache[key] = Utils.deepClone(items);
+        return this._send({ type: 'delete', collection: key, id: id });
+      },
+
+      /**
+       * Home server base URL, as detected by Auth on the LAN
+       * @returns {string|null}
+       * @private
+       */
+      _baseUrl: function() {
+        return (typeof Auth !== 'undefined' && Auth._serverUrl) ? Auth._serverUrl : null;
+      },
+
+      /**
+       * Map a storage key to its API route: 'gbe-roster' → '/api/v1/roster'
+       * @param {string} key
+       * @returns {string}
+       * @private
+       */
+      _entityUrl: function(key) {
+        var apiPath = StorageAdapters._config().apiPath || '/api/v1';
+        return this._baseUrl() + apiPath + '/' + key.replace(/^gbe-/, '');
+      },
+
+      /**
+       * Perform an authenticated JSON request. 204 resolves to null; any
+       * other failure, 404 included, rejects.
+       * @param {string} method
+       * @param {string} url
+       * @param {*} [body]
+       * @returns {Promise<*>}
+       * @private
+       */
+      _request: function(method, url, body) {
+        var headers = { 'Content-Type': 'application/json' };
+        if (typeof Auth !== 'undefined' && Auth._sessionToken) {
+          headers['X-GBE-Session'] = Auth._sessionToken;
+        }
+        var opts = { method: method, headers: headers };
+        if (body !== undefined) opts.body = JSON.stringify(body);
+
+        return fetch(url, opts).then(function(response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status + ' ' + method + ' ' + url);
+          if (response.status === 204) return null;
+          return response.json();
+        });
+      },
+
+      /**
+       * Send a write — the cache is already updated. One that fails, or
+       * that would overtake a write already waiting, goes to the Sync
+       * outbox (Sync.retry) to be replayed in order.
+       * @param {Object} op - Sync outbox operation
+       * @returns {Promise<boolean>} Whether the server has it now
+       * @private
+       */
+      _send: function(op) {
+        var hasSync = typeof Sync !== 'undefined';
+        if (hasSync && Sync.pendingCount()) {
+          Sync.retry(op);
+          return Promise.resolve(false);
+        }
+
+        var url = this._entityUrl(op.collection);
+        var id = op.id ? '/' + encodeURIComponent(op.id) : '';
+        var request = {
+          replace: ['PUT', url, op.value],
+          remove: ['DELETE', url],
+          create: ['POST', url, op.record],
+          update: ['PUT', url + id, op.record],
+          'delete': ['DELETE', url + id]
+        }[op.type];
+
+        return this._request(request[0], request[1], request[2]).then(function() {
+          return true;
+        }, function(err) {
+          console.warn('[StorageAdapters] REST write failed:', err);
+          if (hasSync) Sync.retry(op);
+          else if (typeof Toast !== 'undefined') Toast.error('Could not save to the home server: ' + err.message);
+          return false;
+        });
+      }
+    }
+  },
+
+  /**
+   * Pick the adapter for this environment.
+   * SiteConfig.storage.adapter forces one; 'auto' uses localAdapter on the
+   * LAN dashboard (Auth.isLocalDashboard) and remoteAdapter everywhere else.
+   * @returns {Object} Adapter
+   */
+  resolve: function() {
+    var cfg = this._config();
+    var name = cfg.adapter || 'auto';
+
+    if (name === 'auto') {
+      var isLocal = (typeof Auth !== 'undefined' && Auth.isLocalDashboard && Auth.isLocalDashboard());
+      name = isLocal ? (cfg.localAdapter || 'rest') : (cfg.remoteAdapter || 'localStorage');
+    }
+
+    if (!this.adapters[name]) {
+      console.warn('[StorageAdapters] Unknown adapter "' + name + '" — using localStorage');
+      name = 'localStorage';
+    }
+    return this.adapters[name];
+  },
+
+  /**
+   * Storage settings from SiteConfig (empty object if unset)
+   * @returns {Object}
+   * @private
+   */
+  _config: function() {
+    return (typeof SiteConfig !== 'undefined' && SiteConfig.storage) ? SiteConfig.storage : {};
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = StorageAdapters;
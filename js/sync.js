@@ -0,0 +1,618 @@
+// js/sync.js
+
+/**
+ * Sync Module — keeps this browser's DataStore copy in step with the home
+ * server so several devices on the LAN share one set of records.
+ *
+ * Local writes are queued (an outbox in this browser's localStorage) from
+ * DataStore change events and pushed to {server}{apiPath}/{entity}; server
+ * changes are pulled on an interval and applied locally. The queue survives
+ * reloads and offline periods and is replayed when the browser comes back
+ * online (App.setupGlobalListeners → Sync.flush()).
+ *
+ * Versioning is per record: `updatedAt` is the version. Every PUT/DELETE
+ * sends the version the edit was based on in X-GBE-Base-Version; the
+ * server answers 409 { current } when its copy has moved on. Conflicts are
+ * held (not pushed) until resolved in the conflict dialog.
+ *
+ * Pulls are incremental by a cursor the server issues, never by the
+ * records' own updatedAt — those come from each device's clock, and one
+ * device running fast would move the cursor past other devices' changes.
+ * The server stamps every change it stores with its own revision (a
+ * counter or its receive time) and returns the current one in the
+ * X-GBE-Revision header (listed in Access-Control-Expose-Headers). A
+ * server that sends none gets a full pull every time.
+ *
+ * Server contract:
+ *   GET    /{entity}?since=REV   → records changed after revision REV (or
+ *                                   all), with deletions as
+ *                                   { id, deleted: true, updatedAt };
+ *                                   X-GBE-Revision: current revision
+ *   POST   /{entity}             → create record
+ *   PUT    /{entity}/{id}        → update record (409 on version mismatch,
+ *                                   404 once deleted — held as a conflict)
+ *   DELETE /{entity}/{id}        → delete record (409 on version mismatch)
+ *   PUT    /{entity}             → replace a whole key (settings, integrations,
+ *                                   vault metadata, restored collections)
+ *
+ * Only active on the LAN dashboard, and not with the 'rest' adapter, which
+ * already reads and writes the server directly. That adapter hands the
+ * writes it could not send to retry(); only the outbox runs for it (no
+ * pull), and the keys it pushes are re-read from the server afterwards.
+ */
+
+const Sync = {
+  QUEUE_KEY: 'gbe-sync-queue',
+  STATE_KEY: 'gbe-sync-state',
+
+  /** @type {Array<Object>} Unresolved { op, server } pairs */
+  conflicts: [],
+
+  _started: false,
+  _applying: false,
+  _deferred: false,
+  _running: null,
+  _timer: null,
+  _pushTimer: null,
+
+  _config() {
+    const defaults = { enabled: true, intervalSeconds: 30, timeoutSeconds: 8 };
+    return Object.assign(defaults, (typeof SiteConfig !== 'undefined' && SiteConfig.sync) || {});
+  },
+
+  /** Keys kept per device — never synced */
+  _excluded() {
+    return [DataStore.KEYS.ACTIVITY, DataStore.KEYS.SCHEMA_VERSION];
+  },
+
+  _keys() {
+    return Object.values(DataStore.KEYS).filter((key) => !this._excluded().includes(key));
+  },
+
+  /** @returns {boolean} */
+  isEnabled() {
+    return this._config().enabled &&
+      typeof Auth !== 'undefined' && !!Auth._serverUrl && Auth.isLocalDashboard() &&
+      DataStore._store().name !== 'rest';
+  },
+
+  // ============================================================
+  // LIFECYCLE
+  // ============================================================
+
+  /**
+   * Initial pull, then start queuing local changes and polling. DataStore
+   * does not wait for it: pulled changes reach pages through DataStore._emit.
+   * Never rejects — an unreachable server just leaves the queue to replay.
+   * @returns {Promise}
+   */
+  start() {
+    if (this._started || !this.isEnabled()) return Promise.resolve();
+    this._started = true;
+
+    DataStore.subscribe('*', (event) => this._record(event), 'sync');
+    this._timer = setInterval(() => this.flush(), this._config().intervalSeconds * 1000);
+
+    return this.flush();
+  },
+
+  stop() {
+    DataStore.unsubscribeAll('sync');
+    clearInterval(this._timer);
+    clearTimeout(this._pushTimer);
+    this._started = false;
+  },
+
+  /**
+   * Push queued changes, then pull server changes. Concurrent calls share
+   * one run.
+   * @returns {Promise<{pushed: number, pulled: number, conflicts: number, offline: boolean}>}
+   */
+  flush() {
+    const outboxOnly = !this.isEnabled();
+    if (outboxOnly && !this._retrying()) return Promise.resolve({ pushed: 0, pulled: 0, conflicts: 0, offline: false });
+    if (this._running) return this._running;
+
+    const before = this.conflicts.length;
+    const summary = { pushed: 0, pulled: 0, conflicts: 0, offline: false };
+    const pending = outboxOnly ? Array.from(new Set(this._queue().map((op) => op.collection))) : [];
+    if (outboxOnly) this._retryLater();
+
+    this._running = this.push()
+      .then((pushed) => {
+        summary.pushed = pushed;
+        return outboxOnly ? this._reload(pending) : this.pull();
+      })
+      .then((pulled) => { summary.pulled = pulled; })
+      .catch((err) => {
+        summary.offline = this._isNetworkError(err);
+        if (!summary.offline) console.warn('[Sync] Sync failed:', err);
+      })
+      .then(() => {
+        this._running = null;
+        if (outboxOnly && !this._queue().length) {
+          clearInterval(this._timer);
+          this._timer = null;
+          if (summary.pushed && typeof Toast !== 'undefined') {
+            Toast.success(`Saved ${summary.pushed} queued change${summary.pushed === 1 ? '' : 's'} to the home server`);
+          }
+        }
+        summary.conflicts = this.conflicts.length;
+        if (this.conflicts.length > before || (this._deferred && this.conflicts.length)) this._announceConflicts();
+        return summary;
+      });
+
+    return this._running;
+  },
+
+  /** @returns {boolean} Whether this browser has ever completed a pull */
+  hasPulled() {
+    return !!Utils.storage.get(this.STATE_KEY, {}).pulledAt;
+  },
+
+  /**
+   * Run local writes that must not be queued for the server, such as the
+   * sample data seeded on a device whose server has none
+   * @param {Function} fn
+   * @returns {*} fn's result
+   */
+  quietly(fn) {
+    this._applying = true;
+    try {
+      return fn();
+    } finally {
+      this._applying = false;
+    }
+  },
+
+  /** @returns {number} Changes waiting to be pushed */
+  pendingCount() {
+    return this._queue().length;
+  },
+
+  // ============================================================
+  // OUTBOX
+  // ============================================================
+
+  /**
+   * Queue a DataStore change event. Consecutive changes to the same record
+   * collapse into one operation that keeps the oldest base version.
+   * @private
+   */
+  _record(event) {
+    if (this._applying || this._excluded().includes(event.collection)) return;
+
+    const value = DataStore._store().get(event.collection);
+    const isRecord = Array.isArray(value) && event.id && event.type !== 'restore';
+    const queue = this._queue();
+
+    if (!isRecord) {
+      // Whole-key replace: only the latest value matters
+      const rest = queue.filter((op) => op.collection !== event.collection);
+      rest.push({ type: 'replace', collection: event.collection, id: null, value, queuedAt: new Date().toISOString() });
+      this._saveQueue(rest);
+      this._schedulePush();
+      return;
+    }
+
+    const existing = queue.find((op) => op.collection === event.collection && op.id === event.id);
+    const op = existing || {
+      type: event.type,
+      collection: event.collection,
+      id: event.id,
+      base: event.previous ? event.previous.updatedAt || null : null,
+      queuedAt: new Date().toISOString(),
+    };
+
+    if (existing) {
+      if (existing.type === 'create' && event.type === 'delete') {
+        // Never reached the server — nothing to send
+        this._saveQueue(queue.filter((o) => o !== existing));
+        return;
+      }
+      if (existing.type !== 'create') existing.type = event.type;
+      // New revision — an in-flight push of the old one must not dequeue it
+      existing.queuedAt = new Date().toISOString();
+    } else {
+      queue.push(op);
+    }
+    op.record = event.entity || null;
+
+    this._saveQueue(queue);
+    this._schedulePush();
+  },
+
+  _schedulePush() {
+    clearTimeout(this._pushTimer);
+    this._pushTimer = setTimeout(() => this.flush(), 1000);
+  },
+
+  _queue() {
+    return Utils.storage.get(this.QUEUE_KEY, []);
+  },
+
+  _saveQueue(queue) {
+    Utils.storage.set(this.QUEUE_KEY, queue);
+  },
+
+  /**
+   * Queue a write the 'rest' adapter could not send, or must not send ahead
+   * of one already queued. Replayed on the sync interval; the first one
+   * queued tells the user.
+   * @param {Object} op - { type: 'create'|'update'|'delete'|'replace'|'remove', collection, id, record, value }
+   */
+  retry(op) {
+    const queue = this._queue();
+    if (!queue.length && typeof Toast !== 'undefined') {
+      Toast.warning('Could not save to the home server — your changes are kept in this browser and will be retried.');
+    }
+
+    // A whole-key write supersedes everything queued for that key
+    const same = (o) => o.collection === op.collection && (!op.id || o.id === op.id);
+    const existing = op.id ? queue.find(same) : null;
+    const rest = queue.filter((o) => !same(o));
+    const next = Object.assign({ id: null, base: null, queuedAt: new Date().toISOString() }, op);
+
+    if (existing && existing.type === 'create') {
+      // Never reached the server — nothing to send
+      if (op.type === 'delete') { this._saveQueue(rest); return; }
+      next.type = 'create';
+    }
+    rest.push(next);
+    this._saveQueue(rest);
+    this._retryLater();
+  },
+
+  /** @private The 'rest' adapter has writes waiting */
+  _retrying() {
+    return DataStore._store().name === 'rest' && this._queue().length > 0;
+  },
+
+  /** @private Replay the 'rest' adapter's outbox on the sync interval */
+  _retryLater() {
+    if (!this._timer) this._timer = setInterval(() => this.flush(), this._config().intervalSeconds * 1000);
+  },
+
+  /**
+   * Re-read pushed keys from the server into the 'rest' adapter's cache
+   * @param {Array<string>} collections
+   * @returns {Promise<number>} Keys reloaded
+   * @private
+   */
+  _reload(collections) {
+    // Keys still holding a queued (e.g. conflicted) write keep the local copy
+    const keys = collections.filter((key) => !this._queue().some((op) => op.collection === key));
+    if (!keys.length) return Promise.resolve(0);
+    return StorageAdapters.adapters.rest.init(keys).then(() => {
+      keys.forEach((key) => DataStore._emit('restore', key, null, null));
+      return keys.length;
+    });
+  },
+
+  // ============================================================
+  // PUSH
+  // ============================================================
+
+  /**
+   * Send queued operations in order. Stops at the first network failure so
+   * the rest replay later; conflicted records are held back.
+   * @returns {Promise<number>} Operations sent
+   */
+  push() {
+    const queue = this._queue();
+    let sent = 0;
+
+    const next = (i) => {
+      if (i >= queue.length) return Promise.resolve(sent);
+      const op = queue[i];
+      if (this._inConflict(op)) return next(i + 1);
+
+      return this._send(op).then((response) => {
+        if (response && response.conflict) {
+          this._addConflict(op, response.current);
+        } else {
+          this._acknowledge(op);
+          sent++;
+        }
+        return next(i + 1);
+      });
+    };
+
+    return next(0);
+  },
+
+  _send(op) {
+    const url = this._url(op.collection);
+    const headers = {};
+    if (op.base) headers['X-GBE-Base-Version'] = op.base;
+
+    if (op.type === 'replace') return this._request('PUT', url, op.value);
+    if (op.type === 'remove') return this._request('DELETE', url);
+    if (op.type === 'create') return this._request('POST', url, op.record);
+    if (op.type === 'delete') return this._request('DELETE', `${url}/${encodeURIComponent(op.id)}`, undefined, headers);
+    // The server no longer has the record — deleted on another device
+    return this._request('PUT', `${url}/${encodeURIComponent(op.id)}`, op.record, headers)
+      .catch((err) => {
+        if (err.status === 404) return { conflict: true, current: null };
+        throw err;
+      });
+  },
+
+  /**
+   * Drop a sent operation. A newer revision queued meanwhile is now based
+   * on the version just sent.
+   * @private
+   */
+  _acknowledge(op) {
+    const queue = this._queue().filter((o) => !(o.collection === op.collection && o.id === op.id && o.queuedAt === op.queuedAt));
+    const newer = op.id && queue.find((o) => o.collection === op.collection && o.id === op.id);
+    if (newer && op.record) newer.base = op.record.updatedAt || newer.base;
+    this._saveQueue(queue);
+  },
+
+  _dequeue(op) {
+    this._saveQueue(this._queue().filter((o) => !(o.collection === op.collection && o.id === op.id && o.queuedAt === op.queuedAt)));
+  },
+
+  // ============================================================
+  // PULL
+  // ============================================================
+
+  /**
+   * Fetch server changes for every synced key and apply them locally
+   * @returns {Promise<number>} Records applied
+   */
+  pull() {
+    const stored = Utils.storage.get(this.STATE_KEY, {});
+    // Cursors saved before revisions were client timestamps — start over
+    const state = { revision: stored.revision || {}, pulledAt: stored.pulledAt || null };
+    let applied = 0;
+
+    return this._keys().reduce((chain, key) => chain.then(() => {
+      const since = state.revision[key];
+      const url = this._url(key) + (since ? `?since=${encodeURIComponent(since)}` : '');
+
+      return this._fetch('GET', url).then((response) => {
+        if (response.status === 404 || response.status === 204) return;
+        if (!response.ok) throw new Error(`HTTP ${response.status} GET ${url}`);
+        const revision = response.headers.get('X-GBE-Revision');
+        return response.json().then((remote) => {
+          if (remote === null || remote === undefined) return;
+          if (Array.isArray(remote)) applied += this._applyRecords(key, remote);
+          else applied += this._applyDocument(key, remote);
+          if (revision) state.revision[key] = revision;
+          else delete state.revision[key];
+        });
+      });
+    }), Promise.resolve()).then(() => {
+      state.pulledAt = new Date().toISOString();
+      Utils.storage.set(this.STATE_KEY, state);
+      return applied;
+    });
+  },
+
+  /** @private */
+  _applyRecords(key, remote) {
+    const items = DataStore._store().get(key, []);
+    const pending = this._queue().filter((op) => op.collection === key);
+    let applied = 0;
+
+    // A whole-collection replace (restore) is still waiting to go up
+    if (pending.some((op) => op.type === 'replace')) return 0;
+
+    remote.forEach((server) => {
+      const index = items.findIndex((i) => i.id === server.id);
+      const local = index === -1 ? null : items[index];
+      const op = pending.find((o) => o.id === server.id);
+
+      if (op) {
+        // Our edit is based on an older server version — let the user decide
+        if (server.updatedAt === op.base || (local && server.updatedAt === local.updatedAt)) return;
+        this._addConflict(op, server.deleted ? null : server);
+        return;
+      }
+
+      if (server.deleted) {
+        if (!local) return;
+        items.splice(index, 1);
+        this._applyLocal('delete', key, items, null, local);
+      } else if (!local) {
+        items.push(server);
+        this._applyLocal('create', key, items, server, null);
+      } else if (server.updatedAt && (!local.updatedAt || server.updatedAt > local.updatedAt)) {
+        items[index] = server;
+        this._applyLocal('update', key, items, server, local);
+      } else {
+        return;
+      }
+      applied++;
+    });
+
+    return applied;
+  },
+
+  /** @private */
+  _applyDocument(key, remote) {
+    if (this._queue().some((op) => op.collection === key)) return 0;
+    const local = DataStore._store().get(key);
+    if (JSON.stringify(local) === JSON.stringify(remote)) return 0;
+    this._applyLocal('restore', key, remote, null, null);
+    return 1;
+  },
+
+  /** Write without re-queuing, and notify subscribers */
+  _applyLocal(type, key, value, entity, previous) {
+    this._applying = true;
+    try {
+      DataStore._store().set(key, value);
+      DataStore._emit(type, key, entity, previous);
+    } finally {
+      this._applying = false;
+    }
+  },
+
+  // ============================================================
+  // CONFLICTS
+  // ============================================================
+
+  _inConflict(op) {
+    return this.conflicts.some((c) => c.op.collection === op.collection && c.op.id === op.id);
+  },
+
+  _addConflict(op, server) {
+    if (this._inConflict(op)) return;
+    this.conflicts.push({ op, server });
+  },
+
+  /**
+   * Settle one conflict
+   * @param {Object} conflict - Entry from Sync.conflicts
+   * @param {string} choice - 'mine' (overwrite the server) | 'server' (take theirs)
+   */
+  resolve(conflict, choice) {
+    const { op, server } = conflict;
+    this.conflicts = this.conflicts.filter((c) => c !== conflict);
+
+    if (choice === 'mine') {
+      const queue = this._queue();
+      const queued = queue.find((o) => o.collection === op.collection && o.id === op.id);
+      if (queued) {
+        queued.base = server ? server.updatedAt : null;
+        // Server deleted it — recreate rather than update
+        if (!server && queued.type === 'update') queued.type = 'create';
+        this._saveQueue(queue);
+      }
+      return;
+    }
+
+    this._dequeue(op);
+    const items = DataStore._store().get(op.collection, []);
+    const index = items.findIndex((i) => i.id === op.id);
+    const local = index === -1 ? null : items[index];
+
+    if (!server) {
+      if (index !== -1) items.splice(index, 1);
+      this._applyLocal('delete', op.collection, items, null, local || { id: op.id });
+    } else if (index === -1) {
+      items.push(server);
+      this._applyLocal('create', op.collection, items, server, null);
+    } else {
+      items[index] = server;
+      this._applyLocal('update', op.collection, items, server, local);
+    }
+  },
+
+  /** Open the dialog now, or after the next sync once the open modal is gone */
+  _announceConflicts() {
+    if (typeof Modal !== 'undefined' && !Modal.isOpen) {
+      this._deferred = false;
+      this.showConflicts();
+    } else if (!this._deferred) {
+      this._deferred = true;
+      if (typeof Toast !== 'undefined') {
+        Toast.warning(`${this.conflicts.length} sync conflict${this.conflicts.length === 1 ? '' : 's'} — you will be asked to resolve ${this.conflicts.length === 1 ? 'it' : 'them'} once this dialog closes.`);
+      }
+    }
+  },
+
+  /** Conflict resolution dialog: one row per conflict, pick a side, save */
+  showConflicts() {
+    if (!this.conflicts.length || typeof Modal === 'undefined') return;
+    const esc = Utils.escapeHtml;
+    const list = this.conflicts.slice();
+
+    const rows = list.map((c, i) => {
+      const mine = c.op.record || {};
+      const theirs = c.server || {};
+      const name = esc(mine.name || mine.title || theirs.name || theirs.title || c.op.id);
+      const fields = Object.keys(Object.assign({}, mine, theirs))
+        .filter((f) => f !== 'updatedAt' && JSON.stringify(mine[f]) !== JSON.stringify(theirs[f]));
+
+      const diff = !c.server
+        ? '<p class="text-muted" style="font-size:0.82rem;">Deleted on another device.</p>'
+        : c.op.type === 'delete'
+          ? '<p class="text-muted" style="font-size:0.82rem;">You deleted it; it was changed on another device.</p>'
+          : '<table class="data-table"><thead><tr><th>Field</th><th>Yours</th><th>Server</th></tr></thead><tbody>' +
+            fields.map((f) => `<tr><td data-label="Field">${esc(f)}</td><td data-label="Yours">${esc(this._show(mine[f]))}</td><td data-label="Server">${esc(this._show(theirs[f]))}</td></tr>`).join('') +
+            '</tbody></table>';
+
+      return `<div style="margin-bottom:var(--space-md);"><h4 style="margin-bottom:6px;">${name} <span class="text-muted" style="font-size:0.78rem;">${esc(c.op.collection.replace(/^gbe-/, ''))}</span></h4>${diff}` +
+        `<div class="form-group"><select class="form-select" name="conflict-${i}">` +
+        '<option value="server">Use the server version</option><option value="mine">Keep my version</option></select></div></div>';
+    }).join('');
+
+    Modal.open({
+      title: `Sync Conflicts (${list.length})`,
+      size: 'lg',
+      content: `<form id="modal-form">${rows}</form>`,
+      saveText: 'Resolve',
+      cancelText: 'Later',
+      onSave: () => {
+        const form = document.getElementById('modal-form');
+        list.forEach((c, i) => this.resolve(c, form.elements[`conflict-${i}`].value));
+        if (typeof Toast !== 'undefined') Toast.success('Sync conflicts resolved');
+        this._schedulePush();
+      },
+    });
+  },
+
+  _show(value) {
+    if (value === undefined || value === null) return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  },
+
+  // ============================================================
+  // TRANSPORT
+  // ============================================================
+
+  _url(key) {
+    return StorageAdapters.adapters.rest._entityUrl(key);
+  },
+
+  /**
+   * Authenticated request with a timeout, resolving the raw Response
+   * @private
+   */
+  _fetch(method, url, body, extraHeaders) {
+    const headers = Object.assign({ 'Content-Type': 'application/json' }, extraHeaders || {});
+    if (Auth._sessionToken) headers['X-GBE-Session'] = Auth._sessionToken;
+    const opts = { method, headers };
+    if (body !== undefined) opts.body = JSON.stringify(body);
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new TypeError('Sync request timed out')), this._config().timeoutSeconds * 1000);
+    });
+
+    const settled = (value) => { clearTimeout(timer); return value; };
+    return Promise.race([fetch(url, opts), timeout])
+      .then(settled, (err) => { settled(); throw err; });
+  },
+
+  /**
+   * Authenticated JSON request with a timeout. Resolves { conflict, current }
+   * on 409 and null on 204 or a DELETE's 404 (already gone); any other
+   * failure rejects with the HTTP status on the error.
+   * @private
+   */
+  _request(method, url, body, extraHeaders) {
+    return this._fetch(method, url, body, extraHeaders).then((response) => {
+      if (response.status === 409) {
+        return response.json().catch(() => ({})).then((data) => ({ conflict: true, current: data.current || null }));
+      }
+      if (response.status === 204 || (response.status === 404 && method === 'DELETE')) return null;
+      if (!response.ok) {
+        const err = new Error(`HTTP ${response.status} ${method} ${url}`);
+        err.status = response.status;
+        throw err;
+      }
+      return response.json();
+    });
+  },
+
+  _isNetworkError(err) {
+    return err instanceof TypeError || (typeof navigator !== 'undefined' && navigator.onLine === false);
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Sync;
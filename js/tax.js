@@ -0,0 +1,303 @@
+// js/tax.js
+
+/**
+ * Tax Module — Schedule C, quarterly estimates and 1099-NEC prep
+ * Read-only reports over revenue and expenses for the Taxes page and the
+ * CSV package sent to the accountant (SiteConfig.company.accountant).
+ *
+ *   scheduleC   — gross receipts and expenses grouped by Schedule C line
+ *   quarterly   — estimated payments per IRS installment period, from the
+ *                 net income earned so far that year (annualized-income
+ *                 style: each installment tops the year's estimate up to
+ *                 date, so a slow Q1 is caught up later)
+ *   contractors — payments per payee in the contractor categories,
+ *                 flagged against the 1099-NEC threshold for the year
+ *
+ * Rates come from SiteConfig.tax, overridden per install by the
+ * taxFederalRate / taxStateRate settings. Everything here is an estimate
+ * to hand to the CPA, not a filing.
+ */
+
+const Tax = {
+  /** Schedule C (Form 1040) expense lines used by the expense categories */
+  SCHEDULE_C_LINES: [
+    { line: '8', label: 'Advertising' },
+    { line: '11', label: 'Contract labor' },
+    { line: '13', label: 'Depreciation and section 179' },
+    { line: '17', label: 'Legal and professional services' },
+    { line: '18', label: 'Office expense' },
+    { line: '24a', label: 'Travel' },
+    { line: '26', label: 'Wages' },
+    { line: '27a', label: 'Other expenses' },
+  ],
+
+  /** Expense category → Schedule C line; anything unlisted is line 27a */
+  CATEGORY_LINES: {
+    marketing: '8',
+    production: '11',
+    payout: '11',
+    equipment: '13',
+    legal: '17',
+    operations: '18',
+    software: '18',
+    travel: '24a',
+    payroll: '26',
+    advance: '27a',
+    other: '27a',
+  },
+
+  /** Expense categories that can be payments to contractors (1099-NEC) */
+  CONTRACTOR_CATEGORIES: ['production', 'payout', 'advance', 'legal', 'marketing', 'operations', 'other'],
+
+  /** 1099-NEC reporting threshold by payment year, newest first ($2,000 from 2026) */
+  NEC_THRESHOLDS: [
+    { from: 2026, amount: 2000 },
+    { from: 0, amount: 600 },
+  ],
+
+  /** Share of the threshold at which a payee is flagged as approaching it */
+  NEAR_THRESHOLD: 0.75,
+
+  /**
+   * IRS estimated-tax installment periods. Months are 0-based and
+   * inclusive; Q4 is due in January of the following year.
+   */
+  INSTALLMENTS: [
+    { quarter: 'Q1', fromMonth: 0, toMonth: 2, dueMonth: 3, dueDay: 15 },
+    { quarter: 'Q2', fromMonth: 3, toMonth: 4, dueMonth: 5, dueDay: 15 },
+    { quarter: 'Q3', fromMonth: 5, toMonth: 7, dueMonth: 8, dueDay: 15 },
+    { quarter: 'Q4', fromMonth: 8, toMonth: 11, dueMonth: 12, dueDay: 15 },
+  ],
+
+  // ============================================================
+  // RATES
+  // ============================================================
+
+  /**
+   * Rates in percent: SiteConfig.tax defaults with settings overrides
+   * @returns {{federal: number, state: number, selfEmployment: number}}
+   */
+  rates() {
+    const defaults = (typeof SiteConfig !== 'undefined' && SiteConfig.tax) || {};
+    const settings = DataStore.getSettings();
+    const pick = (value, fallback) => (value === undefined || value === '' || isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+    return {
+      federal: pick(settings.taxFederalRate, pick(defaults.federalRate, 22)),
+      state: pick(settings.taxStateRate, pick(defaults.stateRate, 0)),
+      selfEmployment: pick(defaults.selfEmploymentRate, 15.3),
+    };
+  },
+
+  /**
+   * Estimated tax on a net profit: self-employment tax on 92.35% of it,
+   * income tax on what is left after deducting half the SE tax, state tax
+   * on the profit
+   * @param {number} net
+   * @param {Object} [rates] - From rates()
+   * @returns {{selfEmployment: number, federal: number, state: number, total: number}}
+   */
+  estimate(net, rates) {
+    const r = rates || this.rates();
+    const profit = Math.max(0, net);
+    const selfEmployment = Utils.roundMoney(profit * 0.9235 * r.selfEmployment / 100);
+    const federal = Utils.roundMoney(Math.max(0, profit - selfEmployment / 2) * r.federal / 100);
+    const state = Utils.roundMoney(profit * r.state / 100);
+    return { selfEmployment, federal, state, total: Utils.roundMoney(selfEmployment + federal + state) };
+  },
+
+  // ============================================================
+  // SCHEDULE C
+  // ============================================================
+
+  /**
+   * Schedule C line for an expense category
+   * @param {string} category
+   * @returns {{line: string, label: string}}
+   */
+  line(category) {
+    const line = this.CATEGORY_LINES[category] || '27a';
+    return this.SCHEDULE_C_LINES.find((l) => l.line === line);
+  },
+
+  /**
+   * A year's revenue and expenses on Schedule C lines
+   * @param {number} year
+   * @returns {Object} { year, grossReceipts, lines, totalExpenses, net }
+   *   lines: [{ line, label, amount, categories }] in form order, empty lines omitted
+   */
+  scheduleC(year) {
+    const rows = Finance.ledger(Finance.range('year', year));
+    const lines = {};
+    rows.filter((r) => r.type === 'expense').forEach((r) => {
+      const l = this.line(r.category);
+      if (!lines[l.line]) lines[l.line] = { ...l, amount: 0, categories: [] };
+      lines[l.line].amount += r.amount;
+      const category = r.category || 'other';
+      if (!lines[l.line].categories.includes(category)) lines[l.line].categories.push(category);
+    });
+
+    const totals = Finance.totals(rows);
+    return {
+      year,
+      grossReceipts: Utils.roundMoney(totals.revenue),
+      lines: this.SCHEDULE_C_LINES
+        .filter((l) => lines[l.line])
+        .map((l) => ({ ...lines[l.line], amount: Utils.roundMoney(lines[l.line].amount) })),
+      totalExpenses: Utils.roundMoney(totals.expenses),
+      net: Utils.roundMoney(totals.net),
+    };
+  },
+
+  // ============================================================
+  // QUARTERLY ESTIMATES
+  // ============================================================
+
+  /**
+   * Estimated payments for each installment of a year
+   * @param {number} year
+   * @param {Object} [rates] - From rates()
+   * @returns {Array<Object>} [{ quarter, from, to, due, revenue, expenses, net, cumulativeNet, cumulativeTax, payment }]
+   */
+  quarterly(year, rates) {
+    const r = rates || this.rates();
+    let cumulativeNet = 0;
+    let paid = 0;
+    return this.INSTALLMENTS.map((inst) => {
+      const range = { from: Utils.isoDate(new Date(year, inst.fromMonth, 1)), to: Utils.isoDate(new Date(year, inst.toMonth + 1, 0)) };
+      const totals = Finance.totals(Finance.ledger(range));
+      cumulativeNet += totals.net;
+      const cumulativeTax = this.estimate(cumulativeNet, r).total;
+      const payment = Utils.roundMoney(Math.max(0, cumulativeTax - paid));
+      paid += payment;
+      return {
+        quarter: inst.quarter,
+        from: range.from,
+        to: range.to,
+        due: Utils.isoDate(new Date(year, inst.dueMonth, inst.dueDay)),
+        revenue: Utils.roundMoney(totals.revenue),
+        expenses: Utils.roundMoney(totals.expenses),
+        net: Utils.roundMoney(totals.net),
+        cumulativeNet: Utils.roundMoney(cumulativeNet),
+        cumulativeTax,
+        payment,
+      };
+    });
+  },
+
+  // ============================================================
+  // 1099-NEC
+  // ============================================================
+
+  /**
+   * 1099-NEC threshold for payments made in a year
+   * @param {number} year
+   * @returns {number}
+   */
+  threshold(year) {
+    return this.NEC_THRESHOLDS.find((t) => year >= t.from).amount;
+  },
+
+  /**
+   * Payments per payee in the contractor categories. The payee is the
+   * roster talent when the expense has a talentId, else the vendor.
+   * @param {number} year
+   * @returns {Array<Object>} [{ payee, talentId, amount, count, categories, status: 'file'|'near'|'below'|'unnamed' }], largest first
+   */
+  contractors(year) {
+    const threshold = this.threshold(year);
+    const convert = Currency.converter();
+    const payees = {};
+    DataStore.getExpenses()
+      .filter((e) => Finance.inRange(e.date, Finance.range('year', year)) && this.CONTRACTOR_CATEGORIES.includes(e.category || 'other'))
+      .forEach((e) => {
+        const talent = e.talentId ? DataStore.getTalent(e.talentId) : null;
+        const name = talent ? talent.name : String(e.vendor || '').trim();
+        const key = e.talentId || name.toLowerCase();
+        if (!payees[key]) payees[key] = { payee: name, talentId: e.talentId || '', amount: 0, count: 0, categories: [] };
+        payees[key].amount += convert(e.amount, e.currency, e.date);
+        payees[key].count++;
+        if (!payees[key].categories.includes(e.category)) payees[key].categories.push(e.category);
+      });
+
+    return Object.values(payees)
+      .filter((p) => p.amount > 0)
+      .map((p) => {
+        const amount = Utils.roundMoney(p.amount);
+        let status = 'below';
+        if (!p.payee) status = 'unnamed';
+        else if (amount >= threshold) status = 'file';
+        else if (amount >= threshold * this.NEAR_THRESHOLD) status = 'near';
+        return { ...p, amount, status };
+      })
+      .sort((a, b) => b.amount - a.amount);
+  },
+
+  // ============================================================
+  // CPA PACKAGE
+  // ============================================================
+
+  COLUMNS: [
+    { key: 'section', label: 'Section' },
+    { key: 'item', label: 'Item' },
+    { key: 'detail', label: 'Detail' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'notes', label: 'Notes' },
+  ],
+
+  /**
+   * One flat CSV of everything the accountant needs for a year: header,
+   * Schedule C, quarterly estimates, 1099-NEC payees and the ledger
+   * (expenses negative)
+   * @param {number} year
+   * @returns {Array<Object>}
+   */
+  packageRows(year) {
+    const company = (typeof SiteConfig !== 'undefined' && SiteConfig.company) || {};
+    const rates = this.rates();
+    const sc = this.scheduleC(year);
+    const threshold = this.threshold(year);
+    const rows = [];
+    const add = (section, item, detail, amount, notes) => rows.push({ section, item, detail, amount: amount === undefined ? '' : amount, notes: notes || '' });
+
+    const filled = (v) => (v && !/^\[.*\]$/.test(String(v).trim()) ? v : '');
+    const ein = filled(company.ein);
+
+    add('Prepared for', filled(company.accountant), `${filled(company.legalName)} — tax year ${year}`, undefined, `${ein ? `EIN ${ein}; ` : ''}generated ${Utils.today()}`);
+    add('Rates', 'Estimate rates', `Federal ${rates.federal}%, state ${rates.state}%, self-employment ${rates.selfEmployment}%`);
+
+    add('Schedule C', 'Line 1', 'Gross receipts', sc.grossReceipts);
+    sc.lines.forEach((l) => add('Schedule C', `Line ${l.line}`, l.label, l.amount, `Categories: ${l.categories.join(', ')}`));
+    add('Schedule C', 'Line 28', 'Total expenses', sc.totalExpenses);
+    add('Schedule C', 'Line 31', 'Net profit (loss)', sc.net);
+
+    this.quarterly(year, rates).forEach((q) => {
+      add('Estimated tax', q.quarter, `${q.from} to ${q.to}, due ${q.due}`, q.payment, `Net ${q.net}; year-to-date net ${q.cumulativeNet}; year-to-date tax ${q.cumulativeTax}`);
+    });
+
+    this.contractors(year).forEach((c) => {
+      const notes = {
+        file: `File 1099-NEC (threshold ${threshold})`,
+        near: `Approaching threshold ${threshold}`,
+        below: `Below threshold ${threshold}`,
+        unnamed: 'No vendor recorded — add one to check the threshold',
+      };
+      add('1099-NEC', c.payee || '(no vendor)', `${c.count} payment${c.count === 1 ? '' : 's'} — ${c.categories.join(', ')}`, c.amount, notes[c.status]);
+    });
+
+    Finance.ledger(Finance.range('year', year)).slice().reverse().forEach((r) => {
+      const detail = r.type === 'expense' ? `Line ${this.line(r.category).line} — ${r.category || 'other'}` : r.category || '';
+      add('Ledger', r.date, r.description, r.type === 'expense' ? -r.amount : r.amount, detail);
+    });
+    return rows;
+  },
+
+  /**
+   * Download the package as gbe-tax-package-YYYY.csv
+   * @param {number} year
+   */
+  exportPackage(year) {
+    Utils.downloadCSV(this.packageRows(year), `gbe-tax-package-${year}.csv`, this.COLUMNS);
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Tax;
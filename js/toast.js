@@ -24,8 +24,9 @@ const Toast = {
    * @param {string} message - The notification message
    * @param {string} [type='info'] - Toast type: 'success', 'error', 'info', 'warning'
    * @param {number} [duration=4000] - Auto-dismiss duration in milliseconds
+   * @param {Object} [action] - Optional button: { label, onClick }; clicking it dismisses the toast
    */
-  show: function(message, type, duration) {
+  show: function(message, type, duration, action) {
     type = type || 'info';
     duration = duration || 4000;
 
@@ -65,6 +66,19 @@ const Toast = {
       Toast._removeToast(toast);
     });
 
+    // Action button
+    var actionBtn = null;
+    if (action) {
+      actionBtn = document.createElement('button');
+      actionBtn.className = 'toast-action';
+      actionBtn.type = 'button';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', function() {
+        Toast._removeToast(toast);
+        action.onClick();
+      });
+    }
+
     // Progress bar
     var progressWrap = document.createElement('div');
     progressWrap.className = 'toast-progress-wrap';
@@ -76,6 +90,7 @@ const Toast = {
     // Assemble
     toast.appendChild(iconEl);
     toast.appendChild(msgEl);
+    if (actionBtn) toast.appendChild(actionBtn);
     toast.appendChild(closeBtn);
     toast.appendChild(progressWrap);
 
@@ -127,6 +142,49 @@ const Toast = {
     this.show(message, 'warning');
   },
 
+  /**
+   * Show a success toast for a DataStore change, with an Undo button that
+   * reverts that change (if nothing newer has been done since)
+   * @param {string} message
+   */
+  undoable: function(message) {
+    var entryId = (typeof DataStore !== 'undefined' && DataStore.lastHistoryId) ? DataStore.lastHistoryId() : null;
+    if (!entryId) {
+      this.success(message);
+      return;
+    }
+    this.show(message, 'success', 8000, {
+      label: 'Undo',
+      onClick: function() { Toast.history('undo', entryId); }
+    });
+  },
+
+  /**
+   * Run DataStore.undo() / redo() and report the outcome, offering the
+   * opposite action
+   * @param {string} direction - 'undo' | 'redo'
+   * @param {string} [entryId] - For undo: only if still the newest step
+   */
+  history: function(direction, entryId) {
+    if (typeof DataStore === 'undefined') return;
+    var step;
+    try {
+      step = direction === 'undo' ? DataStore.undo(entryId) : DataStore.redo();
+    } catch (err) {
+      this.error(err.message);
+      return;
+    }
+    if (!step) {
+      this.info(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo');
+      return;
+    }
+    var opposite = direction === 'undo' ? 'redo' : 'undo';
+    this.show((direction === 'undo' ? 'Undone: ' : 'Redone: ') + step.label, 'info', 6000, {
+      label: direction === 'undo' ? 'Redo' : 'Undo',
+      onClick: function() { Toast.history(opposite); }
+    });
+  },
+
   /**
    * Remove a toast element with slide-out animation
    * @param {HTMLElement} toast
@@ -207,6 +265,12 @@ const Toast = {
       '  transition: color 0.2s;' +
       '}' +
       '.toast-close:hover { color: #fff; }' +
+      '.toast-action {' +
+      '  background: none; border: 1px solid rgba(255,255,255,0.3); color: #fff;' +
+      '  border-radius: 6px; cursor: pointer; font-size: 13px; font-weight: 600;' +
+      '  padding: 4px 10px; flex-shrink: 0; transition: background 0.2s;' +
+      '}' +
+      '.toast-action:hover { background: rgba(255,255,255,0.1); }' +
       '.toast-progress-wrap {' +
       '  position: absolute; bottom: 0; left: 0; right: 0; height: 3px;' +
       '  background: rgba(255,255,255,0.1);' +
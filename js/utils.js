@@ -15,12 +15,36 @@ const Utils = {
   },
 
   /**
-   * Format a number as US currency
+   * Parse a money cell from an imported file: "$1,234.50" → 1234.5,
+   * "(12.00)", "-$12" and "$12.00-" → -12. Only the first number counts,
+   * and only a minus before it or at the very end makes it negative.
+   * @param {string|number} value
+   * @param {string} [currency] - Its locale's decimal separator is used
+   *   ("1.234,50" in EUR → 1234.5); '.' when omitted
+   * @returns {number|null} null when the cell holds no number
+   */
+  parseAmount: function(value, currency) {
+    var text = String(value === undefined || value === null ? '' : value).trim();
+    var match = text.match(/[.,]?\d[\d.,'\s\u00a0\u202f]*/);
+    if (!match) return null;
+    var sep = (currency && typeof Currency !== 'undefined') ? Currency.decimalSeparator(currency) : '.';
+    var digits = match[0].split('').filter(function(c) { return /\d/.test(c) || c === sep; }).join('');
+    var n = parseFloat(digits.replace(sep, '.'));
+    if (isNaN(n)) return null;
+    var negative = /^\(.*\)$/.test(text) || /^[^\d]*-/.test(text) || /-\s*$/.test(text);
+    return negative ? -n : n;
+  },
+
+  /**
+   * Format a number as currency, following the currency's locale
+   * conventions (see Currency.format); USD without js/currency.js
    * @param {number} amount
-   * @returns {string} Formatted currency string like '$1,234.56'
+   * @param {string} [currency] - ISO code; defaults to the reporting currency
+   * @returns {string} Formatted currency string like '$1,234.56' or '1.234,56 €'
    */
-  formatCurrency: function(amount) {
-    if (amount === null || amount === undefined || isNaN(amount)) return '$0.00';
+  formatCurrency: function(amount, currency) {
+    if (amount === null || amount === undefined || isNaN(amount)) amount = 0;
+    if (typeof Currency !== 'undefined' && typeof DataStore !== 'undefined') return Currency.format(amount, currency);
     return '$' + Number(amount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
   },
 
@@ -51,6 +75,45 @@ const Utils = {
     return mm + '/' + dd + '/' + yy;
   },
 
+  /**
+   * Local calendar date as YYYY-MM-DD
+   * @param {Date} [date] - Defaults to now; overflowing dates (day 0, month 12) are fine
+   * @returns {string}
+   */
+  isoDate: function(date) {
+    var d = date || new Date();
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+  },
+
+  /**
+   * Today in local time as YYYY-MM-DD
+   * @returns {string}
+   */
+  today: function() {
+    return Utils.isoDate(new Date());
+  },
+
+  /**
+   * A YYYY-MM-DD date moved by whole days (negative for earlier)
+   * @param {string} date - YYYY-MM-DD (a time part is ignored)
+   * @param {number} days
+   * @returns {string}
+   */
+  addDays: function(date, days) {
+    var d = new Date(String(date).slice(0, 10) + 'T12:00:00');
+    d.setDate(d.getDate() + days);
+    return Utils.isoDate(d);
+  },
+
+  /**
+   * Round a money amount to cents
+   * @param {number} n
+   * @returns {number}
+   */
+  roundMoney: function(n) {
+    return Math.round(n * 100) / 100;
+  },
+
   /**
    * Return a human-readable relative time string
    * @param {string|Date} dateStr
@@ -254,9 +317,96 @@ const Utils = {
    * @param {string} filename - File name (default 'export.json')
    */
   downloadJSON: function(data, filename) {
-    filename = filename || 'export.json';
     var json = JSON.stringify(data, null, 2);
-    var blob = new Blob([json], { type: 'application/json' });
+    Utils._downloadBlob(new Blob([json], { type: 'application/json' }), filename || 'export.json');
+  },
+
+  /**
+   * Download a string as a text file
+   * @param {string} text
+   * @param {string} filename - File name (default 'export.txt')
+   * @param {string} [type] - MIME type (default 'text/plain')
+   */
+  downloadText: function(text, filename, type) {
+    Utils._downloadBlob(new Blob([text], { type: type || 'text/plain' }), filename || 'export.txt');
+  },
+
+  /**
+   * Serialize rows as RFC 4180 CSV
+   * @param {Array<Object>} rows
+   * @param {Array<{key: string, label: string}>} [columns] - Defaults to the keys of the first row
+   * @returns {string}
+   */
+  toCSV: function(rows, columns) {
+    columns = columns || Object.keys(rows[0] || {}).map(function(key) { return { key: key, label: key }; });
+    var cell = function(value) {
+      if (value === null || value === undefined) return '';
+      var text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    var lines = [columns.map(function(c) { return cell(c.label); }).join(',')];
+    rows.forEach(function(row) {
+      lines.push(columns.map(function(c) { return cell(row[c.key]); }).join(','));
+    });
+    return lines.join('\r\n');
+  },
+
+  /**
+   * Parse CSV text into rows of cells (RFC 4180 quoting). The delimiter —
+   * comma, tab or semicolon — is taken from whichever is most common in
+   * the first line; a byte-order mark and blank lines are dropped
+   * @param {string} text
+   * @returns {Array<Array<string>>}
+   */
+  parseCSV: function(text) {
+    text = String(text || '').replace(/^﻿/, '');
+    var firstLine = text.split(/\r?\n/, 1)[0];
+    var delimiter = [',', '\t', ';'].reduce(function(best, d) {
+      return firstLine.split(d).length > firstLine.split(best).length ? d : best;
+    }, ',');
+
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted = false;
+    for (var i = 0; i < text.length; i++) {
+      var ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        row.push(cell); cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell); cell = '';
+        rows.push(row); row = [];
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(function(r) { return r.some(function(c) { return c.trim() !== ''; }); });
+  },
+
+  /**
+   * Download rows as a CSV file
+   * @param {Array<Object>} rows
+   * @param {string} filename - File name (default 'export.csv')
+   * @param {Array<{key: string, label: string}>} [columns]
+   */
+  downloadCSV: function(rows, filename, columns) {
+    var csv = Utils.toCSV(rows, columns);
+    Utils._downloadBlob(new Blob([csv], { type: 'text/csv' }), filename || 'export.csv');
+  },
+
+  /**
+   * Trigger a browser download of a Blob
+   * @private
+   */
+  _downloadBlob: function(blob, filename) {
     var url = URL.createObjectURL(blob);
     var a = document.createElement('a');
     a.href = url;
@@ -267,6 +417,23 @@ const Utils = {
     URL.revokeObjectURL(url);
   },
 
+  /**
+   * Open a standalone HTML document in a new window and bring up the print
+   * dialog ("Save as PDF" there produces a PDF)
+   * @param {string} html - Complete document
+   * @returns {boolean} false if the browser blocked the window
+   */
+  printHTML: function(html) {
+    var win = window.open('', '_blank');
+    if (!win) return false;
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    setTimeout(function() { win.print(); }, 250);
+    return true;
+  },
+
   /**
    * Copy text to the system clipboard
    * @param {string} text
@@ -337,12 +504,37 @@ const Utils = {
      * Save a value to localStorage (JSON-stringified)
      * @param {string} key
      * @param {*} value
+     * @returns {boolean} false if the write failed (see quotaExceeded())
      */
     set: function(key, value) {
       try {
         localStorage.setItem(key, JSON.stringify(value));
+        return true;
       } catch (e) {
         console.warn('[Utils.storage] Failed to write "' + key + '":', e);
+        if (Utils.storage.isQuotaError(e)) Utils.storage.quotaExceeded(key, e);
+        return false;
+      }
+    },
+
+    /**
+     * Whether a storage error means the browser's quota is used up
+     * @param {*} e
+     * @returns {boolean}
+     */
+    isQuotaError: function(e) {
+      return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014);
+    },
+
+    /**
+     * Announce a write refused for lack of space as a 'gbe:storage-full'
+     * document event ({ key }); Audit.watchQuota() tells the user
+     * @param {string} key
+     * @param {*} [error]
+     */
+    quotaExceeded: function(key, error) {
+      if (typeof document !== 'undefined' && typeof CustomEvent === 'function') {
+        document.dispatchEvent(new CustomEvent('gbe:storage-full', { detail: { key: key, error: error } }));
       }
     },
 
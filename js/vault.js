@@ -0,0 +1,354 @@
+// js/vault.js
+
+/**
+ * Vault Module — encryption at rest for IT credential secrets
+ * The `password` and `apiKey` fields of gbe-it-credentials are stored as
+ * AES-GCM ciphertext ({ enc, iv, ct }) under a key derived from a
+ * passphrase with PBKDF2. Vault metadata (salt, iteration count and an
+ * encrypted check value used to verify the passphrase) lives in
+ * DataStore.KEYS.VAULT, so it travels with backups. The derived key is held
+ * in memory only and is dropped after SiteConfig.vault.idleMinutes without
+ * user input, or when lock() is called.
+ *
+ * WebCrypto is only exposed in secure contexts (https or localhost), so
+ * the home server must be served over https for LAN devices to use the
+ * vault. Where it is unsupported, credentials holding ciphertext are
+ * read-only (isSealed) rather than re-saved as plaintext.
+ *
+ * Events: 'gbe:vault-unlocked' and 'gbe:vault-locked' on document.
+ */
+
+const Vault = {
+  FIELDS: ['password', 'apiKey'],
+  FORMAT: 'v1',
+
+  /** @type {CryptoKey|null} */
+  _key: null,
+
+  /** @type {number|null} */
+  _idleTimer: null,
+
+  _listening: false,
+
+  _config() {
+    const defaults = { idleMinutes: 5, iterations: 310000 };
+    return Object.assign(defaults, (typeof SiteConfig !== 'undefined' && SiteConfig.vault) || {});
+  },
+
+  // ============================================================
+  // STATE
+  // ============================================================
+
+  /** @returns {boolean} WebCrypto available in this context */
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder !== 'undefined';
+  },
+
+  /** @returns {boolean} A passphrase has been set */
+  isInitialized() {
+    const meta = DataStore._store().get(DataStore.KEYS.VAULT);
+    return !!(meta && meta.salt && meta.check);
+  },
+
+  /** @returns {boolean} */
+  isUnlocked() {
+    return this._key !== null;
+  },
+
+  /**
+   * Is this value vault ciphertext?
+   * @param {*} value
+   * @returns {boolean}
+   */
+  isEncrypted(value) {
+    return !!(value && typeof value === 'object' && value.enc === this.FORMAT && value.iv && value.ct);
+  },
+
+  /**
+   * Does a credential hold any ciphertext?
+   * @param {Object} credential
+   * @returns {boolean}
+   */
+  isSealed(credential) {
+    return !!credential && this.FIELDS.some((field) => this.isEncrypted(credential[field]));
+  },
+
+  /**
+   * Does a field hold a real secret (not empty, not a '[PLACEHOLDER]')?
+   * @param {*} value
+   * @returns {boolean}
+   */
+  hasValue(value) {
+    if (this.isEncrypted(value)) return true;
+    return typeof value === 'string' && value !== '' && !/^\[.*\]$/.test(value.trim());
+  },
+
+  // ============================================================
+  // LIFECYCLE
+  // ============================================================
+
+  /**
+   * Create the vault and encrypt every existing credential secret
+   * @param {string} passphrase
+   * @returns {Promise<number>} Number of credentials encrypted
+   */
+  setup(passphrase) {
+    if (!this.isSupported()) return Promise.reject(this._unsupportedError());
+    if (this.isInitialized()) return Promise.reject(new Error('The vault is already set up.'));
+    if (!passphrase || passphrase.length < 8) return Promise.reject(new Error('Use a passphrase of at least 8 characters.'));
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iterations = this._config().iterations;
+
+    return this._derive(passphrase, salt, iterations)
+      .then((key) => this._encryptWith(key, 'gbe-vault-check').then((check) => {
+        DataStore._store().set(DataStore.KEYS.VAULT, {
+          version: 1,
+          kdf: 'PBKDF2-SHA256',
+          iterations,
+          salt: this._toBase64(salt),
+          check,
+          createdAt: new Date().toISOString(),
+        });
+        DataStore._emit('restore', DataStore.KEYS.VAULT, null, null);
+        this._setKey(key);
+        return this._resealAll((value) => Promise.resolve(value));
+      }))
+      .then(() => {
+        // A copy left in localStorage by an older build or another adapter is still plaintext
+        if (DataStore._store().name !== 'localStorage') Utils.storage.remove(DataStore.KEYS.IT_CREDENTIALS);
+      });
+  },
+
+  /**
+   * Verify the passphrase and hold the derived key in memory
+   * @param {string} passphrase
+   * @returns {Promise} Rejects with 'Incorrect passphrase.' on mismatch
+   */
+  unlock(passphrase) {
+    if (!this.isSupported()) return Promise.reject(this._unsupportedError());
+    const meta = DataStore._store().get(DataStore.KEYS.VAULT);
+    if (!meta) return Promise.reject(new Error('The vault has not been set up.'));
+
+    return this._derive(passphrase, this._fromBase64(meta.salt), meta.iterations)
+      .then((key) => this._decryptWith(key, meta.check)
+        .catch(() => { throw new Error('Incorrect passphrase.'); })
+        .then((text) => {
+          if (text !== 'gbe-vault-check') throw new Error('Incorrect passphrase.');
+          this._setKey(key);
+        }));
+  },
+
+  /** Forget the key; revealed secrets should be re-masked by listeners */
+  lock() {
+    const wasUnlocked = this._key !== null;
+    this._key = null;
+    clearTimeout(this._idleTimer);
+    this._idleTimer = null;
+    if (wasUnlocked) this._dispatch('gbe:vault-locked');
+  },
+
+  /**
+   * Change the passphrase: decrypt every secret with the current key and
+   * re-encrypt under a new salt and key
+   * @param {string} currentPassphrase
+   * @param {string} newPassphrase
+   * @returns {Promise<number>} Number of credentials re-encrypted
+   */
+  rekey(currentPassphrase, newPassphrase) {
+    if (!newPassphrase || newPassphrase.length < 8) return Promise.reject(new Error('Use a passphrase of at least 8 characters.'));
+
+    return this.unlock(currentPassphrase).then(() => {
+      const oldKey = this._key;
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iterations = this._config().iterations;
+      const decryptOld = (value) => (this.isEncrypted(value) ? this._decryptWith(oldKey, value) : Promise.resolve(value));
+
+      return this._derive(newPassphrase, salt, iterations).then((newKey) => this._encryptWith(newKey, 'gbe-vault-check')
+        .then((check) => this._resealAll(decryptOld, newKey).then((count) => {
+          const meta = DataStore._store().get(DataStore.KEYS.VAULT);
+          DataStore._store().set(DataStore.KEYS.VAULT, Object.assign(meta, {
+            iterations,
+            salt: this._toBase64(salt),
+            check,
+            rekeyedAt: new Date().toISOString(),
+          }));
+          DataStore._emit('restore', DataStore.KEYS.VAULT, null, null);
+          this._setKey(newKey);
+          return count;
+        })));
+    });
+  },
+
+  // ============================================================
+  // FIELD ACCESS
+  // ============================================================
+
+  /**
+   * Plaintext of one credential field
+   * @param {Object} credential
+   * @param {string} field
+   * @returns {Promise<string>} Rejects if the value is encrypted and the vault is locked
+   */
+  reveal(credential, field) {
+    const value = credential ? credential[field] : '';
+    if (!this.isEncrypted(value)) return Promise.resolve(value || '');
+    if (!this._key) return Promise.reject(new Error('The vault is locked.'));
+    this._touch();
+    return this._decryptWith(this._key, value);
+  },
+
+  /**
+   * Copy of a credential with every secret field decrypted (for edit forms)
+   * @param {Object} credential
+   * @returns {Promise<Object>}
+   */
+  open(credential) {
+    const out = Object.assign({}, credential);
+    return Promise.all(this.FIELDS.map((field) => this.reveal(credential, field).then((text) => { out[field] = text; })))
+      .then(() => out);
+  },
+
+  /**
+   * Copy of form data with every secret field encrypted, ready for
+   * DataStore.addCredential / updateCredential. Passes through unchanged
+   * when the vault has not been set up; rejects when it has but WebCrypto
+   * is unavailable here.
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  seal(data) {
+    if (this.isInitialized() && !this.isSupported()) return Promise.reject(this._unsupportedError());
+    if (!this.isInitialized()) return Promise.resolve(data);
+    if (!this._key) return Promise.reject(new Error('The vault is locked.'));
+    this._touch();
+
+    const out = Object.assign({}, data);
+    return Promise.all(this.FIELDS.map((field) => {
+      if (!this.hasValue(out[field]) || this.isEncrypted(out[field])) return null;
+      return this._encryptWith(this._key, out[field]).then((sealed) => { out[field] = sealed; });
+    })).then(() => out);
+  },
+
+  /**
+   * Download the vault metadata and credentials as stored (secrets stay
+   * encrypted). Any plaintext secrets are sealed first.
+   * @returns {Promise<Object>} The exported bundle
+   */
+  exportEncrypted() {
+    if (!this.isInitialized()) return Promise.reject(new Error('Set up the vault before exporting.'));
+    if (!this._key) return Promise.reject(new Error('The vault is locked.'));
+
+    return this._resealAll((value) => Promise.resolve(value)).then(() => {
+      const bundle = {
+        app: 'gbe-vault',
+        exportedAt: new Date().toISOString(),
+        vault: DataStore._store().get(DataStore.KEYS.VAULT),
+        credentials: DataStore.getCredentials(),
+      };
+      Utils.downloadJSON(bundle, `gbe-vault-${bundle.exportedAt.slice(0, 10)}.json`);
+      return bundle;
+    });
+  },
+
+  // ============================================================
+  // INTERNALS
+  // ============================================================
+
+  /**
+   * Run every credential secret through transform(), encrypt the result
+   * with `key`, and save the collection in one write once every value has
+   * been processed — a failure part-way leaves storage untouched.
+   * @private
+   */
+  _resealAll(transform, key) {
+    key = key || this._key;
+    const credentials = DataStore.getCredentials();
+    let count = 0;
+
+    return Promise.all(credentials.map((cred) => Promise.all(this.FIELDS.map((field) => {
+      if (!this.hasValue(cred[field])) return false;
+      return transform(cred[field]).then((plain) => {
+        if (this.isEncrypted(plain)) return false;
+        return this._encryptWith(key, plain).then((sealed) => { cred[field] = sealed; return true; });
+      });
+    })).then((changed) => {
+      if (changed.includes(true)) count++;
+    }))).then(() => {
+      if (count) {
+        DataStore._save(DataStore.KEYS.IT_CREDENTIALS, credentials);
+        DataStore._emit('restore', DataStore.KEYS.IT_CREDENTIALS, null, null);
+      }
+      return count;
+    });
+  },
+
+  _derive(passphrase, salt, iterations) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+      .then((material) => crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      ));
+  },
+
+  _encryptWith(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    return crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(String(text)))
+      .then((buf) => ({ enc: this.FORMAT, iv: this._toBase64(iv), ct: this._toBase64(new Uint8Array(buf)) }));
+  },
+
+  _decryptWith(key, sealed) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: this._fromBase64(sealed.iv) }, key, this._fromBase64(sealed.ct))
+      .then((buf) => new TextDecoder().decode(buf));
+  },
+
+  _setKey(key) {
+    this._key = key;
+    this._listenForActivity();
+    this._touch();
+    this._dispatch('gbe:vault-unlocked');
+  },
+
+  /** Restart the idle auto-lock countdown */
+  _touch() {
+    if (!this._key) return;
+    clearTimeout(this._idleTimer);
+    this._idleTimer = setTimeout(() => this.lock(), this._config().idleMinutes * 60 * 1000);
+  },
+
+  _listenForActivity() {
+    if (this._listening || typeof document === 'undefined') return;
+    this._listening = true;
+    ['keydown', 'mousedown', 'touchstart'].forEach((type) => {
+      document.addEventListener(type, () => this._touch(), { passive: true });
+    });
+  },
+
+  _dispatch(name) {
+    if (typeof document !== 'undefined' && typeof CustomEvent === 'function') {
+      document.dispatchEvent(new CustomEvent(name));
+    }
+  },
+
+  _unsupportedError() {
+    return new Error('The vault needs WebCrypto, which browsers only allow over https or on localhost.');
+  },
+
+  _toBase64(bytes) {
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+  },
+
+  _fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Vault;